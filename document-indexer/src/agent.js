@@ -3,31 +3,84 @@
  */
 
 import { searchByText, DEFAULT_THRESHOLD } from './searcher.js';
-import { generateEmbedding } from './embedder.js';
-import { createStreamingCompletion } from './openai-client.js';
+import { generateEmbedding, getTokenCounter } from './embedder.js';
+import { createChatCompletion, createStreamingCompletion } from './openai-client.js';
+import { formatSource } from './chunker.js';
+import { buildContext, CONTEXT_DEFAULTS } from './context.js';
+import { verifyCitations } from './citations.js';
 
 // System prompt for RAG mode
 const RAG_SYSTEM_PROMPT = `You are a helpful assistant that answers questions based on the provided context.
 Use the context below to answer the user's question. If the context doesn't contain relevant information, say so.
-Always cite the source file when using information from the context.`;
+Cite the numbered context blocks you use in square brackets right after the statement they support, e.g. [1] or [2][3].
+Only cite numbers of context blocks that exist.`;
 
 // System prompt for non-RAG mode
 const DEFAULT_SYSTEM_PROMPT = `You are a helpful assistant. Answer the user's questions to the best of your ability.`;
 
+// System prompt for rewriting follow-up questions into standalone search queries
+const CONDENSE_SYSTEM_PROMPT = `Rewrite the user's follow-up question as a standalone search query, using the conversation for context.
+Resolve references such as "it", "that" or "the second one" to what they refer to. Keep the language and all specific terms.
+Reply with the query only, without quotes or explanation.`;
+
+// Longest excerpt of each history message shown to the condensing model
+const CONDENSE_MESSAGE_CHARS = 500;
+
+/**
+ * Rewrites a follow-up question into a standalone search query using the conversation history
+ * @param {string} question - User question
+ * @param {Array<{role: string, content: string}>} history - Conversation history
+ * @param {Object} options - Options
+ * @param {string} options.systemPrompt - Rewriting instructions (default: CONDENSE_SYSTEM_PROMPT)
+ * @returns {Promise<string>} - Search query (the question itself without history or on an empty reply)
+ */
+export async function condenseQuestion(question, history, options = {}) {
+  const { systemPrompt = CONDENSE_SYSTEM_PROMPT } = options;
+
+  if (history.length === 0) {
+    return question;
+  }
+
+  const conversation = history
+    .map(({ role, content }) => {
+      const label = role === 'system' ? 'Summary' : role === 'user' ? 'User' : 'Assistant';
+      const excerpt = content.length > CONDENSE_MESSAGE_CHARS ? `${content.slice(0, CONDENSE_MESSAGE_CHARS)}...` : content;
+      return `${label}: ${excerpt}`;
+    })
+    .join('\n');
+
+  const reply = await createChatCompletion([
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: `Conversation:\n${conversation}\n\nFollow-up question: ${question}\n\nStandalone search query:` }
+  ], { temperature: 0, maxTokens: 100 });
+
+  // Models sometimes quote the query or add a second line of explanation
+  const query = reply.trim().split('\n')[0].trim().replace(/^["'“]|["'”]$/g, '').trim();
+  return query || question;
+}
+
 /**
- * Formats context from search results
- * @param {Array<{content: string, source: Object, score: number}>} results
+ * Formats context from assembled passages, numbered [1], [2], ... for citations
+ * @param {Array<{content: string, source: Object, score: number}>} passages
+ * @param {string} mode - Search mode the passages came from
  * @returns {string}
  */
-function formatContext(results) {
-  if (results.length === 0) {
+function formatContext(passages, mode) {
+  if (passages.length === 0) {
     return 'No relevant context found.';
   }
 
-  return results
+  return passages
     .map((r, i) => {
-      const source = `[${r.source.filename}, chunk ${r.source.chunkIndex}]`;
-      return `--- Context ${i + 1} ${source} (relevance: ${(r.score * 100).toFixed(1)}%) ---\n${r.content}`;
+      const section = r.source.headingPath ? `, section: ${r.source.headingPath}` : '';
+      const chunks = r.source.chunkEnd !== undefined && r.source.chunkEnd !== r.source.chunkIndex
+        ? `chunks ${r.source.chunkIndex}–${r.source.chunkEnd}`
+        : `chunk ${r.source.chunkIndex}`;
+      const source = `${formatSource(r.source)}, ${chunks}${section}`;
+      const relevance = mode === 'lexical'
+        ? `BM25 score: ${r.score.toFixed(2)}`
+        : `relevance: ${(r.score * 100).toFixed(1)}%`;
+      return `--- [${i + 1}] ${source} (${relevance}) ---\n${r.content}`;
     })
     .join('\n\n');
 }
@@ -39,27 +92,80 @@ function formatContext(results) {
  * @param {Object} options - Options
  * @param {number} options.topK - Number of context chunks to retrieve (default: 5)
  * @param {number} options.threshold - Minimum similarity threshold (default: 0.3)
+ * @param {number} options.efSearch - HNSW candidate list size (default: from the index)
+ * @param {boolean} options.exact - Force an exhaustive search (default: false)
+ * @param {string} options.mode - Retrieval mode: 'semantic' (default), 'lexical' or 'hybrid'
+ * @param {string} options.fusion - Hybrid merging: 'rrf' (default) or 'weighted'
+ * @param {number} options.semanticWeight - Share of the semantic ranking in hybrid mode (default: 0.5)
+ * @param {string|Object} options.filter - Metadata filter, e.g. 'path:runbooks/** -ext:pdf'
+ * @param {boolean|Object} options.rerank - Re-rank candidates with the cross-encoder (default: false)
+ * @param {number} options.rerankThreshold - Minimum re-ranker relevance (default: 0.1)
+ * @param {number} options.neighbors - Neighbouring chunks to add around each hit (default: 0)
+ * @param {number|null} options.diversity - MMR lambda for diverse context (0-1, default: off)
+ * @param {number} options.budget - Maximum context size (default: 8000)
+ * @param {string} options.budgetUnit - Budget unit: 'characters' (default) or 'tokens'
+ * @param {boolean} options.condense - Rewrite the question into a standalone search query using the history (default: false)
+ * @param {string} options.condensePrompt - Rewriting instructions (default: CONDENSE_SYSTEM_PROMPT)
+ * @param {string} options.systemPrompt - System prompt (default: RAG_SYSTEM_PROMPT)
  * @param {Array} options.history - Conversation history
  * @param {Function} options.onChunk - Streaming callback
- * @returns {Promise<{answer: string, context: Array, stats: Object}>}
+ * @returns {Promise<{answer: string, context: Array, passages: Array, stats: Object, searchQuery: string, citations: Object}>}
+ *   searchQuery is the text that was searched for (the question, or its rewrite with condense);
+ *   citations maps the [n] markers of the answer to passages (see verifyCitations)
  */
 export async function answerWithRAG(question, index, options = {}) {
-  const { topK = 5, threshold = DEFAULT_THRESHOLD, history = [], onChunk } = options;
+  const {
+    topK = 5,
+    threshold = DEFAULT_THRESHOLD,
+    efSearch,
+    exact,
+    mode = 'semantic',
+    fusion,
+    semanticWeight,
+    filter,
+    rerank = false,
+    rerankThreshold,
+    neighbors = CONTEXT_DEFAULTS.neighbors,
+    diversity = CONTEXT_DEFAULTS.diversity,
+    budget = CONTEXT_DEFAULTS.budget,
+    budgetUnit = CONTEXT_DEFAULTS.budgetUnit,
+    condense = false,
+    condensePrompt,
+    systemPrompt = RAG_SYSTEM_PROMPT,
+    history = [],
+    onChunk
+  } = options;
+
+  // Follow-ups like "and how do I disable it?" only make sense with the history
+  const searchQuery = condense
+    ? await condenseQuestion(question, history, { systemPrompt: condensePrompt })
+    : question;
 
   // Search for relevant context with filtering
   const { results: searchResults, stats } = await searchByText(
     index,
-    question,
+    searchQuery,
     generateEmbedding,
-    { topK, threshold }
+    { topK, threshold, efSearch, exact, mode, fusion, semanticWeight, filter, rerank, rerankThreshold }
   );
 
-  // Format context for the prompt
-  const context = formatContext(searchResults);
+  // Merge, expand and trim the results to the context budget
+  const countTokens = budgetUnit === 'tokens' ? (await getTokenCounter()).countTokens : undefined;
+  const { passages, stats: contextStats } = buildContext(index, searchResults, {
+    neighbors,
+    diversity,
+    budget,
+    budgetUnit,
+    countTokens
+  });
+  stats.context = contextStats;
+
+  // Format context for the prompt (re-ranked results carry 0-1 relevance even in lexical mode)
+  const context = formatContext(passages, rerank ? 'reranked' : mode);
 
   // Build messages with history
   const messages = [
-    { role: 'system', content: RAG_SYSTEM_PROMPT },
+    { role: 'system', content: systemPrompt },
     ...history,
     {
       role: 'user',
@@ -73,7 +179,10 @@ export async function answerWithRAG(question, index, options = {}) {
   return {
     answer,
     context: searchResults,
-    stats
+    passages,
+    stats,
+    searchQuery,
+    citations: verifyCitations(answer, passages)
   };
 }
 
@@ -81,15 +190,16 @@ export async function answerWithRAG(question, index, options = {}) {
  * Answers a question without RAG
  * @param {string} question - User question
  * @param {Object} options - Options
+ * @param {string} options.systemPrompt - System prompt (default: DEFAULT_SYSTEM_PROMPT)
  * @param {Array} options.history - Conversation history
  * @param {Function} options.onChunk - Streaming callback
  * @returns {Promise<string>}
  */
 export async function answerWithoutRAG(question, options = {}) {
-  const { history = [], onChunk } = options;
+  const { systemPrompt = DEFAULT_SYSTEM_PROMPT, history = [], onChunk } = options;
 
   const messages = [
-    { role: 'system', content: DEFAULT_SYSTEM_PROMPT },
+    { role: 'system', content: systemPrompt },
     ...history,
     { role: 'user', content: question }
   ];
@@ -97,4 +207,4 @@ export async function answerWithoutRAG(question, options = {}) {
   return createStreamingCompletion(messages, {}, onChunk);
 }
 
-export { RAG_SYSTEM_PROMPT, DEFAULT_SYSTEM_PROMPT };
+export { RAG_SYSTEM_PROMPT, DEFAULT_SYSTEM_PROMPT, CONDENSE_SYSTEM_PROMPT };
@@ -0,0 +1,72 @@
+/**
+ * agent.test.js - Answers through the offline LLM backends (no model or API key needed)
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { answerWithRAG, answerWithoutRAG } from './agent.js';
+import { configureLLM, describeLLM } from './openai-client.js';
+import { createIndex } from './indexer.js';
+
+// Lexical retrieval needs no embedding model, so the vectors can be made up
+const index = createIndex([
+  { content: 'Backups run every night at 02:00 and are kept for 30 days.', source: { filename: 'guides/backup.md', chunkIndex: 0 } },
+  { content: 'To restore a backup, stop the service and run restore.sh.', source: { filename: 'guides/restore.md', chunkIndex: 0 } },
+  { content: 'The office is closed on public holidays.', source: { filename: 'office.txt', chunkIndex: 0 } }
+], [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+
+beforeEach(() => {
+  configureLLM({ backend: 'echo', script: [] });
+});
+
+test('answerWithoutRAG echoes the question and streams it', async () => {
+  const chunks = [];
+  const answer = await answerWithoutRAG('What is a backup?', { onChunk: chunk => chunks.push(chunk) });
+
+  assert.equal(answer, 'What is a backup?');
+  assert.equal(chunks.join(''), answer);
+});
+
+test('answerWithRAG sends the retrieved context to the model', async () => {
+  const { answer, context, passages } = await answerWithRAG('How do I restore a backup?', index, {
+    mode: 'lexical',
+    topK: 2
+  });
+
+  assert.equal(context[0].source.filename, 'guides/restore.md');
+  assert.ok(passages.length > 0);
+  // The echo backend returns the user message: the context followed by the question
+  assert.match(answer, /run restore\.sh/);
+  assert.match(answer, /Question: How do I restore a backup\?$/);
+});
+
+test('answerWithRAG verifies the citations of a scripted answer', async () => {
+  configureLLM({
+    backend: 'scripted',
+    script: [
+      { match: 'restore', reply: 'Stop the service and run restore.sh [1]. Old backups are gone [7].' },
+      'I do not know.'
+    ]
+  });
+
+  const { answer, citations } = await answerWithRAG('How do I restore a backup?', index, {
+    mode: 'lexical',
+    topK: 2
+  });
+
+  assert.match(answer, /restore\.sh \[1\]/);
+  assert.deepEqual(citations.cited.map(c => c.source.filename), ['guides/restore.md']);
+  assert.deepEqual(citations.invalid, [7]);
+
+  const fallback = await answerWithoutRAG('Where is the office?');
+  assert.equal(fallback, 'I do not know.');
+});
+
+test('invalid script rules are rejected', () => {
+  configureLLM({ backend: 'scripted', script: [{ match: '(', reply: 'x' }] });
+  assert.throws(() => describeLLM(), /invalid "match" pattern/);
+
+  configureLLM({ backend: 'scripted', script: [{ match: 'backup' }] });
+  assert.throws(() => describeLLM(), /entry 1 must be a reply string/);
+});
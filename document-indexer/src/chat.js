@@ -1,25 +1,223 @@
 /**
  * chat.js - Interactive CLI chat interface
+ * Run directly (npm run chat) or through the CLI (document-indexer chat)
  */
 
 import readline from 'readline';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { loadIndex } from './indexer.js';
+import { useIndexEmbedding, configureEmbeddingCache } from './embedder.js';
 import { answerWithRAG, answerWithoutRAG } from './agent.js';
-import { DEFAULT_THRESHOLD } from './searcher.js';
+import { describeLLM, configureLLM } from './openai-client.js';
+import { SEARCH_MODES } from './searcher.js';
+import { parseFilter, formatFilter } from './filter.js';
+import { loadConfig } from './config.js';
+import {
+  saveSession,
+  loadSession,
+  listSessions,
+  exportTranscript,
+  describeSource,
+  defaultSessionName
+} from './sessions.js';
+import { createConversationMemory } from './memory.js';
+import { splitCitedResults } from './citations.js';
+import { watchIndexFile } from './watch.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-// Default index path
-const INDEX_PATH = path.join(__dirname, '..', 'output', 'index.json');
+// Project configuration (see config.js)
+let config = null;
 
-// Chat state
+// Chat state (search settings start from config.search)
 let ragMode = false;
 let index = null;
-let threshold = DEFAULT_THRESHOLD;
+let indexPath = null;
+let threshold = 0;
+let topK = 0;
+let searchMode = 'semantic';
+let filter = null;
+let rerank = false;
+let rerankThreshold = 0;
+let condense = false;
+// Turns of the conversation; assistant turns also record mode, threshold and sources
 let conversationHistory = [];
+// What the model sees of the conversation: recent turns and a summary of older ones
+let memory = null;
+
+// Name and start time of the session (name is set by /save or /load)
+let sessionName = null;
+let sessionCreated = new Date().toISOString();
+
+// An index rewritten while a question is answered is reloaded before the next prompt
+let busy = false;
+let reloadPending = false;
+
+/**
+ * Records a finished turn and folds older turns into the memory summary
+ * @param {string} question - User question
+ * @param {string} answer - Assistant answer
+ */
+async function rememberTurn(question, answer) {
+  memory.addTurn(question, answer);
+  try {
+    const { summarized } = await memory.compact();
+    if (summarized > 0) {
+      console.log(`[Memory: ${summarized} earlier turn(s) folded into the summary]\n`);
+    }
+  } catch (error) {
+    console.log(`[Memory: summarising failed (${error.message}); the oldest turns are left out instead]\n`);
+  }
+}
+
+/**
+ * Rebuilds memory turns from session messages (sessions saved without memory state)
+ * @param {Array} messages - Session messages
+ * @returns {Array<{user: string, assistant: string}>}
+ */
+function turnsFromMessages(messages) {
+  const turns = [];
+  for (let i = 0; i + 1 < messages.length; i++) {
+    if (messages[i].role === 'user' && messages[i + 1].role === 'assistant') {
+      turns.push({ user: messages[i].content, assistant: messages[i + 1].content });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Returns the current chat as a session (see sessions.js)
+ * @returns {Object} - Session
+ */
+function getSession() {
+  return {
+    name: sessionName,
+    created: sessionCreated,
+    index: index ? {
+      path: indexPath,
+      created: index.metadata.created,
+      model: index.metadata.model,
+      totalChunks: index.metadata.totalChunks
+    } : null,
+    settings: {
+      ragMode,
+      threshold,
+      topK,
+      searchMode,
+      filter: filter ? formatFilter(filter) : null,
+      rerank,
+      rerankThreshold,
+      condense
+    },
+    memory: memory.getState(),
+    messages: conversationHistory
+  };
+}
+
+/**
+ * Checks that a list holds chat messages ({ role: 'user' | 'assistant', content: string })
+ * @param {Array} messages - Messages
+ * @returns {boolean}
+ */
+function isValidHistory(messages) {
+  return messages.every(message =>
+    message && ['user', 'assistant'].includes(message.role) && typeof message.content === 'string');
+}
+
+/**
+ * Resumes a saved session: its settings and conversation replace the current ones.
+ * The session is checked first, so an invalid file leaves the current conversation as it was.
+ * @param {Object} session - Loaded session
+ */
+function resumeSession(session) {
+  const { settings } = session;
+
+  if (!isValidHistory(session.messages)) {
+    throw new Error(`Session "${session.name}" has invalid messages`);
+  }
+
+  let savedFilter = null;
+  if (settings.filter) {
+    try {
+      savedFilter = parseFilter(settings.filter);
+    } catch (error) {
+      throw new Error(`Session "${session.name}" has an invalid filter: ${error.message}`);
+    }
+  }
+
+  const memoryState = session.memory || { turns: turnsFromMessages(session.messages) };
+  const turns = memoryState.turns || [];
+  if (!Array.isArray(turns) ||
+    !turns.every(turn => turn && typeof turn.user === 'string' && typeof turn.assistant === 'string')) {
+    throw new Error(`Session "${session.name}" has an invalid memory`);
+  }
+
+  sessionName = session.name;
+  sessionCreated = session.created;
+  conversationHistory = session.messages;
+  threshold = settings.threshold ?? threshold;
+  topK = settings.topK ?? topK;
+  searchMode = SEARCH_MODES.includes(settings.searchMode) ? settings.searchMode : searchMode;
+  rerank = Boolean(settings.rerank);
+  rerankThreshold = settings.rerankThreshold ?? rerankThreshold;
+  condense = settings.condense ?? condense;
+  filter = savedFilter;
+  ragMode = Boolean(settings.ragMode) && Boolean(index);
+  memory.restore(memoryState);
+
+  console.log(`\nLoaded session "${session.name}" (${session.messages.length} messages).`);
+  if (settings.ragMode && !index) {
+    console.log('The session used RAG mode, but no index is loaded; continuing without RAG.');
+  }
+  if (session.index && session.index.path !== indexPath) {
+    console.log(`Note: the session was recorded with the index at ${session.index.path}.`);
+  }
+
+  const lastQuestion = [...session.messages].reverse().find(m => m.role === 'user');
+  if (lastQuestion) {
+    console.log(`Last question: ${lastQuestion.content}`);
+  }
+  console.log();
+}
+
+/**
+ * Sets up query embedding for an index, at startup or when it is (re)loaded later
+ * @param {Object} loaded - Loaded index
+ */
+function useIndex(loaded) {
+  // Questions must be embedded with the model the index was built with
+  useIndexEmbedding(loaded.metadata);
+  // Query embeddings share the indexing pipeline's cache
+  if (config.embeddingCache.enabled) {
+    const { dir, maxEntries, maxSizeMB } = config.embeddingCache;
+    configureEmbeddingCache({ dir, maxEntries, maxSizeMB });
+  }
+}
+
+/**
+ * Loads the index again after it was rewritten on disk (e.g. by npm start -- --watch).
+ * The conversation, memory and settings are kept.
+ * @returns {Promise<string>} - Notice for the user
+ */
+async function reloadIndex() {
+  const previous = index;
+
+  try {
+    const reloaded = await loadIndex(indexPath);
+    useIndex(reloaded);
+    index = reloaded;
+  } catch (error) {
+    return `[Index changed, but it could not be loaded: ${error.message}. Keeping the previous index.]`;
+  }
+
+  const chunks = index.metadata.totalChunks;
+  if (!previous) {
+    return `[Index loaded: ${chunks} chunks. Use /rag to answer from the documents.]`;
+  }
+  return `[Index reloaded: ${chunks} chunks (was ${previous.metadata.totalChunks}). ` +
+    `Conversation kept (${conversationHistory.length} messages).]`;
+}
 
 /**
  * Prints help message
@@ -30,13 +228,22 @@ function printHelp() {
 Commands:
   /rag          - Enable RAG mode (use document context)
   /norag        - Disable RAG mode (direct answers)
-  /threshold N  - Set relevance threshold (0-100, 0=off)
+  /threshold N  - Set relevance threshold (0-100, 0=off; the re-ranker's while /rerank is on)
+  /search MODE  - Set retrieval mode (semantic, lexical, hybrid)
+  /filter EXPR  - Restrict search, e.g. path:runbooks/** -ext:pdf after:2024-01-01
+  /filter off   - Remove the filter
+  /rerank       - Toggle cross-encoder re-ranking of retrieved chunks
+  /condense     - Toggle rewriting follow-up questions into standalone search queries
+  /save [NAME]  - Save the session (mode, settings, answers and their sources)
+  /load NAME    - Resume a saved session
+  /sessions     - List saved sessions
+  /export FILE  - Write the conversation as a Markdown transcript
   /clear        - Clear conversation history
   /status       - Show current mode and settings
   /help         - Show this help
   /quit         - Exit chat
 
-Current: ${ragMode ? 'RAG' : 'Direct'}, threshold: ${thresholdDisplay}, history: ${conversationHistory.length} messages
+Current: ${ragMode ? 'RAG' : 'Direct'}, search: ${searchMode}${rerank ? ' + rerank' : ''}, threshold: ${thresholdDisplay}, history: ${conversationHistory.length} messages
 `);
 }
 
@@ -74,10 +281,13 @@ async function handleInput(input, rl) {
         return;
 
       case '/threshold': {
+        // Re-ranked results are cut by re-ranker relevance, not by similarity
+        const kind = rerank ? 'Re-ranker threshold' : 'Threshold';
         const value = parts[1];
         if (value === undefined) {
-          const display = threshold > 0 ? `${(threshold * 100).toFixed(0)}%` : 'off';
-          console.log(`\nCurrent threshold: ${display}`);
+          const current = rerank ? rerankThreshold : threshold;
+          const display = current > 0 ? `${(current * 100).toFixed(0)}%` : 'off';
+          console.log(`\nCurrent ${kind.toLowerCase()}: ${display}`);
           console.log('Usage: /threshold N (0-100, 0=off)\n');
           return;
         }
@@ -86,25 +296,181 @@ async function handleInput(input, rl) {
           console.log('\nInvalid threshold. Use a number between 0 and 100.\n');
           return;
         }
-        threshold = num / 100;
-        if (threshold === 0) {
-          console.log('\nThreshold disabled. All results will be used.\n');
+        if (rerank) {
+          rerankThreshold = num / 100;
+        } else {
+          threshold = num / 100;
+        }
+        if (num === 0) {
+          console.log(`\n${kind} disabled. All results will be used.\n`);
+        } else {
+          console.log(`\n${kind} set to ${num}%. Results below this will be filtered.\n`);
+        }
+        return;
+      }
+
+      case '/search': {
+        const value = parts[1];
+        if (value === undefined) {
+          console.log(`\nCurrent search mode: ${searchMode}`);
+          console.log(`Usage: /search MODE (${SEARCH_MODES.join(', ')})\n`);
+          return;
+        }
+        if (!SEARCH_MODES.includes(value)) {
+          console.log(`\nInvalid search mode. Use one of: ${SEARCH_MODES.join(', ')}.\n`);
+          return;
+        }
+        searchMode = value;
+        console.log(`\nSearch mode set to ${searchMode}.\n`);
+        return;
+      }
+
+      case '/filter': {
+        const expression = trimmed.slice(command.length).trim();
+        if (!expression) {
+          console.log(`\nCurrent filter: ${filter ? formatFilter(filter) : 'none'}`);
+          console.log('Usage: /filter path:GLOB ext:EXT after:DATE before:DATE (prefix "-" to exclude), /filter off\n');
+          return;
+        }
+        if (expression.toLowerCase() === 'off') {
+          filter = null;
+          console.log('\nFilter removed. Searching all documents.\n');
+          return;
+        }
+        try {
+          filter = parseFilter(expression);
+          console.log(`\nFilter set: ${formatFilter(filter)}\n`);
+        } catch (error) {
+          console.log(`\n${error.message}\n`);
+        }
+        return;
+      }
+
+      case '/rerank': {
+        const value = parts[1];
+        if (value === 'on' || value === 'off') {
+          rerank = value === 'on';
+        } else if (value === undefined) {
+          rerank = !rerank;
         } else {
-          console.log(`\nThreshold set to ${num}%. Results below this will be filtered.\n`);
+          console.log('\nUsage: /rerank [on|off]\n');
+          return;
+        }
+        if (rerank) {
+          console.log('\nRe-ranking enabled. Retrieved chunks are re-scored by a cross-encoder;');
+          console.log(`/threshold now sets the re-ranker threshold (${(rerankThreshold * 100).toFixed(0)}%).\n`);
+        } else {
+          console.log('\nRe-ranking disabled.\n');
+        }
+        return;
+      }
+
+      case '/condense': {
+        const value = parts[1];
+        if (value === 'on' || value === 'off') {
+          condense = value === 'on';
+        } else if (value === undefined) {
+          condense = !condense;
+        } else {
+          console.log('\nUsage: /condense [on|off]\n');
+          return;
+        }
+        if (condense) {
+          console.log('\nQuery condensing enabled. Follow-up questions are rewritten with the');
+          console.log('conversation history before searching (one extra model call per question).\n');
+        } else {
+          console.log('\nQuery condensing disabled. Questions are searched as typed.\n');
+        }
+        return;
+      }
+
+      case '/save': {
+        const name = trimmed.slice(command.length).trim() || sessionName || defaultSessionName();
+        try {
+          const filePath = await saveSession(config.sessionsDir, { ...getSession(), name });
+          sessionName = name;
+          console.log(`\nSession saved as "${name}" (${filePath}).\n`);
+        } catch (error) {
+          console.log(`\n${error.message}\n`);
+        }
+        return;
+      }
+
+      case '/load': {
+        const name = trimmed.slice(command.length).trim();
+        if (!name) {
+          console.log('\nUsage: /load NAME (see /sessions)\n');
+          return;
+        }
+        try {
+          resumeSession(await loadSession(config.sessionsDir, name));
+        } catch (error) {
+          console.log(`\n${error.message}\n`);
+        }
+        return;
+      }
+
+      case '/sessions': {
+        let sessions;
+        try {
+          sessions = await listSessions(config.sessionsDir);
+        } catch (error) {
+          console.log(`\n${error.message}\n`);
+          return;
+        }
+        if (sessions.length === 0) {
+          console.log(`\nNo saved sessions in ${config.sessionsDir}. Use /save [NAME].\n`);
+          return;
+        }
+        console.log(`\nSaved sessions (${config.sessionsDir}):`);
+        sessions.forEach(({ name, updated, messages, ragMode: rag }) => {
+          console.log(`  ${name} - ${messages} messages, ${rag ? 'RAG' : 'Direct'}, saved ${updated}`);
+        });
+        console.log();
+        return;
+      }
+
+      case '/export': {
+        const file = trimmed.slice(command.length).trim();
+        if (!file) {
+          console.log('\nUsage: /export FILE.md\n');
+          return;
+        }
+        try {
+          const filePath = await exportTranscript(getSession(), file);
+          console.log(`\nTranscript written to ${filePath}.\n`);
+        } catch (error) {
+          console.log(`\nCannot write transcript: ${error.message}\n`);
         }
         return;
       }
 
       case '/clear':
         conversationHistory = [];
+        memory.clear();
         console.log('\nConversation history cleared.\n');
         return;
 
       case '/status': {
         const thresholdDisplay = threshold > 0 ? `${(threshold * 100).toFixed(0)}%` : 'off';
         console.log(`\nMode: ${ragMode ? 'RAG (with context)' : 'No RAG (direct)'}`);
+        console.log(`Search: ${searchMode}`);
+        console.log(`Filter: ${filter ? formatFilter(filter) : 'none'}`);
+        console.log(`Re-ranking: ${rerank ? 'on' : 'off'} (threshold ${(rerankThreshold * 100).toFixed(0)}%)`);
+        console.log(`Query condensing: ${condense ? 'on' : 'off'}`);
         console.log(`Threshold: ${thresholdDisplay}`);
         console.log(`History: ${conversationHistory.length} messages`);
+        const usage = memory.getUsage();
+        console.log(`Memory: ${usage.historyTokens} of ${usage.maxTokens} tokens - ${usage.verbatimTurns} recent turn(s) verbatim, ` +
+          `${usage.summarizedTurns} summarized (${usage.summaryTokens} tokens)`);
+        console.log(`Session: ${sessionName || 'unsaved'}`);
+        console.log(`Config: ${config.configFile || 'defaults (no config file)'}`);
+        try {
+          const llm = describeLLM();
+          console.log(`LLM: ${llm.model} via ${llm.backend}${llm.baseURL ? ` at ${llm.baseURL}` : ''}`);
+        } catch (error) {
+          console.log(`LLM: ${error.message}`);
+        }
         if (index) {
           console.log(`Index: ${index.metadata.totalChunks} chunks from ${index.metadata.model}`);
         } else {
@@ -138,59 +504,139 @@ async function handleInput(input, rl) {
 
   try {
     if (ragMode && index) {
-      const { answer, context, stats } = await answerWithRAG(trimmed, index, {
+      const { answer, context, stats, searchQuery, citations } = await answerWithRAG(trimmed, index, {
+        topK,
         threshold,
-        history: conversationHistory,
+        mode: searchMode,
+        fusion: config.search.fusion,
+        semanticWeight: config.search.semanticWeight,
+        filter,
+        rerank,
+        rerankThreshold,
+        condense,
+        condensePrompt: config.prompts.condense,
+        ...config.context,
+        systemPrompt: config.prompts.rag,
+        history: memory.getMessages(),
         onChunk: (chunk) => process.stdout.write(chunk)
       });
 
+      // Re-ranked results carry 0-1 relevance even in lexical mode
+      const scoreType = searchMode === 'lexical' && !stats.rerank ? 'bm25' : 'relevance';
+      const { cited, uncited } = splitCitedResults(context, citations);
+      const sources = [...cited, ...uncited].map(({ source, score, citations: numbers }) => ({
+        source,
+        score,
+        scoreType,
+        ...(numbers ? { citations: numbers } : {})
+      }));
+
       // Save to conversation history
       conversationHistory.push({ role: 'user', content: trimmed });
-      conversationHistory.push({ role: 'assistant', content: answer });
+      conversationHistory.push({
+        role: 'assistant',
+        content: answer,
+        rag: true,
+        threshold,
+        searchMode,
+        searchQuery,
+        sources,
+        invalidCitations: citations.invalid
+      });
 
       console.log('\n');
 
+      // Show what was searched when the question was rewritten
+      if (searchQuery !== trimmed) {
+        console.log(`[Searched for: ${searchQuery}]`);
+      }
+
       // Show filtering stats
       if (stats.filtered > 0) {
         console.log(`[Filtered: ${stats.filtered} chunk(s) below ${(stats.threshold * 100).toFixed(0)}% threshold]`);
       }
+      if (stats.filter) {
+        console.log(`[Filter: ${stats.filter} - ${stats.eligible} of ${stats.total} chunk(s) eligible]`);
+      }
+      if (stats.rerank) {
+        console.log(`[Re-ranked ${stats.rerank.candidates} candidate(s) in ${stats.rerank.durationMs}ms]`);
+      }
+      if (stats.retrievers) {
+        const { semantic, lexical, both } = stats.retrievers;
+        console.log(`[Hybrid: ${semantic.only} semantic only, ${lexical.only} lexical only, ${both} both]`);
+      }
 
       // Show sources
-      if (context.length > 0) {
-        console.log('Sources:');
-        context.forEach((c, i) => {
-          console.log(`  ${i + 1}. ${c.source.filename} (chunk ${c.source.chunkIndex}) - ${(c.score * 100).toFixed(1)}% relevance`);
-        });
+      if (sources.length > 0) {
+        const citedSources = sources.filter(entry => entry.citations);
+        const uncitedSources = sources.filter(entry => !entry.citations);
+        if (citedSources.length > 0) {
+          console.log('Cited sources:');
+          citedSources.forEach(entry => {
+            console.log(`  ${entry.citations.map(n => `[${n}]`).join('')} ${describeSource(entry)}`);
+          });
+        }
+        if (uncitedSources.length > 0) {
+          console.log(citedSources.length > 0 ? 'Retrieved but not cited:' : 'Retrieved (none cited):');
+          uncitedSources.forEach(entry => {
+            console.log(`  - ${describeSource(entry)}`);
+          });
+        }
+        if (citations.invalid.length > 0) {
+          console.log(`[Warning: ${citations.invalid.map(n => `[${n}]`).join(' ')} cited, but there is no such context block]`);
+        }
         console.log();
       } else {
         console.log('[No relevant context found - answering based on general knowledge]\n');
       }
+
+      await rememberTurn(trimmed, answer);
     } else {
       const answer = await answerWithoutRAG(trimmed, {
-        history: conversationHistory,
+        systemPrompt: config.prompts.direct,
+        history: memory.getMessages(),
         onChunk: (chunk) => process.stdout.write(chunk)
       });
 
       // Save to conversation history
       conversationHistory.push({ role: 'user', content: trimmed });
-      conversationHistory.push({ role: 'assistant', content: answer });
+      conversationHistory.push({ role: 'assistant', content: answer, rag: false });
 
       console.log('\n');
+      await rememberTurn(trimmed, answer);
     }
   } catch (error) {
     console.log(`\n\nError: ${error.message}\n`);
 
     if (error.message.includes('OPENAI_API_KEY')) {
       console.log('Set the OPENAI_API_KEY environment variable:');
-      console.log('  export OPENAI_API_KEY=sk-...\n');
+      console.log('  export OPENAI_API_KEY=sk-...');
+      console.log('or point the chat at a local OpenAI-compatible server:');
+      console.log('  export LLM_BASE_URL=http://localhost:11434/v1 LLM_MODEL=llama3.1\n');
     }
   }
 }
 
 /**
- * Main chat function
+ * Starts the interactive chat
+ * @param {Object} options - Chat options
+ * @param {Object} options.config - Project configuration (default: loadConfig())
+ * @param {string} options.indexPath - Index to load (default: config.outputPath)
+ * @param {number} options.topK - Chunks to retrieve per question (default: config.search.topK)
+ * @param {number} options.threshold - Initial relevance threshold (0-1, default: config.search.threshold)
  */
-async function main() {
+export async function startChat(options = {}) {
+  config = options.config || loadConfig();
+  indexPath = options.indexPath || config.outputPath;
+  topK = options.topK ?? config.search.topK;
+  threshold = options.threshold ?? config.search.threshold;
+  searchMode = config.search.mode;
+  rerank = config.search.rerank;
+  rerankThreshold = config.search.rerankThreshold;
+  condense = config.search.condense;
+  configureLLM(config.llm);
+  memory = createConversationMemory(config.memory);
+
   console.log('='.repeat(60));
   console.log('RAG Chat Agent');
   console.log('='.repeat(60));
@@ -198,12 +644,13 @@ async function main() {
 
   // Try to load index
   try {
-    index = await loadIndex(INDEX_PATH);
+    index = await loadIndex(indexPath);
+    useIndex(index);
     console.log();
   } catch (error) {
-    console.log(`Note: Index not found at ${INDEX_PATH}`);
+    console.log(`Note: Index not found at ${indexPath}`);
     console.log('RAG mode will not be available.');
-    console.log('Run "npm start" to create the index first.\n');
+    console.log('Run "npm start" to create the index first; it is loaded as soon as it exists.\n');
   }
 
   console.log('Type /help for commands, /quit to exit.');
@@ -219,17 +666,41 @@ async function main() {
   const prompt = () => {
     const modeIndicator = ragMode ? '[RAG]' : '[Direct]';
     rl.question(`${modeIndicator} You: `, async (input) => {
+      busy = true;
       await handleInput(input, rl);
+      busy = false;
+      if (reloadPending) {
+        reloadPending = false;
+        console.log(`${await reloadIndex()}\n`);
+      }
       prompt();
     });
   };
 
   prompt();
 
+  // Pick up indexes written by the pipeline while the chat runs
+  watchIndexFile(indexPath, async () => {
+    if (busy) {
+      reloadPending = true;
+      return;
+    }
+    console.log();
+    console.log(`${await reloadIndex()}\n`);
+    // Redraw the question prompt with what was typed so far
+    rl.prompt(true);
+  }, { pollIntervalMs: config.watch.pollIntervalMs });
+
   // Handle close
   rl.on('close', () => {
     process.exit(0);
   });
 }
 
-main().catch(console.error);
+// Run the chat when started directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  startChat().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
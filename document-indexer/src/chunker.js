@@ -1,31 +1,94 @@
 /**
  * chunker.js - Module for splitting text into chunks
- * Uses word-boundary splitting to avoid cutting words
+ * Strategies:
+ * - character: word-boundary splitting of whitespace-normalized text
+ * - structure: splits Markdown-like text on headings and paragraphs,
+ *   never cutting code blocks or tables, and records the heading path
  */
 
+// Available chunking strategies ('auto' picks one per file type)
+const CHUNK_STRATEGIES = ['character', 'structure', 'auto'];
+
+// Extensions whose loaders produce Markdown-like structure
+const STRUCTURED_EXTENSIONS = ['.md', '.markdown', '.html', '.htm', '.xhtml', '.docx', '.epub'];
+
+// Separator between heading titles in a heading path
+const HEADING_PATH_SEPARATOR = ' > ';
+
 /**
  * Splits text into chunks of fixed size with overlap
  * @param {string} text - Input text to split
- * @param {number} chunkSize - Maximum chunk size in characters (default: 500)
- * @param {number} overlap - Overlap between chunks in characters (default: 50)
+ * @param {number} chunkSize - Maximum chunk size in characters or tokens (default: 500)
+ * @param {number} overlap - Overlap between chunks in characters or tokens (default: 50)
+ * @param {Object} options - Chunking options
+ * @param {Function} options.countTokens - Token counter; when set, sizes are measured in tokens
  * @returns {string[]} - Array of text chunks
  */
-export function chunkText(text, chunkSize = 500, overlap = 50) {
+export function chunkText(text, chunkSize = 500, overlap = 50, options = {}) {
+  return chunkTextSpans(text, chunkSize, overlap, options).map(span => span.content);
+}
+
+/**
+ * Collapses whitespace runs into single spaces and trims the text,
+ * remembering where every character of the result came from
+ * @param {string} text - Input text
+ * @returns {{normalizedText: string, offsets: Int32Array}} - Normalized text and original offset of each character
+ */
+function normalizeWhitespace(text) {
+  const offsets = new Int32Array(text.length);
+  const parts = [];
+  let length = 0;
+
+  for (const match of text.matchAll(/\S+/g)) {
+    if (parts.length > 0) {
+      offsets[length++] = match.index - 1;
+      parts.push(' ');
+    }
+    for (let i = 0; i < match[0].length; i++) {
+      offsets[length++] = match.index + i;
+    }
+    parts.push(match[0]);
+  }
+
+  return { normalizedText: parts.join(''), offsets: offsets.subarray(0, length) };
+}
+
+/**
+ * Same as chunkText, but also reports where each chunk lies in the original text
+ * @param {string} text - Input text to split
+ * @param {number} chunkSize - Maximum chunk size in characters or tokens
+ * @param {number} overlap - Overlap between chunks in characters or tokens
+ * @param {Object} options - Chunking options (see chunkText)
+ * @returns {Array<{content: string, start: number, end: number}>} - Chunks with [start, end) offsets into text
+ */
+function chunkTextSpans(text, chunkSize = 500, overlap = 50, options = {}) {
   // Validate input
   if (!text || typeof text !== 'string') {
     return [];
   }
 
   // Normalize whitespace
-  const normalizedText = text.replace(/\s+/g, ' ').trim();
+  const { normalizedText, offsets } = normalizeWhitespace(text);
 
   if (normalizedText.length === 0) {
     return [];
   }
 
+  // Maps a [start, end) range of the normalized text back to the original text
+  const toSpan = (start, end) => ({
+    content: normalizedText.slice(start, end),
+    start: offsets[start],
+    end: offsets[end - 1] + 1
+  });
+
+  if (options.countTokens) {
+    return chunkWordsByTokens(normalizedText, chunkSize, overlap, options.countTokens)
+      .map(([start, end]) => toSpan(start, end));
+  }
+
   // If text is smaller than chunk size, return as single chunk
   if (normalizedText.length <= chunkSize) {
-    return [normalizedText];
+    return [toSpan(0, normalizedText.length)];
   }
 
   // Validate parameters
@@ -48,11 +111,14 @@ export function chunkText(text, chunkSize = 500, overlap = 50) {
       endIndex = normalizedText.length;
     }
 
-    // Extract chunk
-    const chunk = normalizedText.slice(startIndex, endIndex).trim();
+    // Extract chunk (trimmed)
+    let chunkStart = startIndex;
+    let chunkEnd = endIndex;
+    while (chunkStart < chunkEnd && normalizedText[chunkStart] === ' ') chunkStart++;
+    while (chunkEnd > chunkStart && normalizedText[chunkEnd - 1] === ' ') chunkEnd--;
 
-    if (chunk.length > 0) {
-      chunks.push(chunk);
+    if (chunkEnd > chunkStart) {
+      chunks.push(toSpan(chunkStart, chunkEnd));
     }
 
     // Move start position considering overlap
@@ -69,6 +135,118 @@ export function chunkText(text, chunkSize = 500, overlap = 50) {
   return chunks;
 }
 
+// Upper bound of characters per token when searching slice ends (only limits the search)
+const MAX_CHARS_PER_TOKEN = 16;
+
+/**
+ * Splits a word that alone exceeds chunkSize into slices, e.g. long runs of
+ * unspaced CJK text. Each slice is the longest one within sliceTokens, found
+ * by binary search; surrogate pairs are never cut.
+ * @param {string} word - Word
+ * @param {number} sliceTokens - Maximum slice size in tokens
+ * @param {Function} countTokens - Returns the number of tokens of a text
+ * @returns {Array<{offset: number, length: number, cost: number}>} - Slices, offset relative to the word
+ */
+function splitOversizedWord(word, sliceTokens, countTokens) {
+  const slices = [];
+  let offset = 0;
+
+  while (offset < word.length) {
+    // Longest end with countTokens(word.slice(offset, end)) <= sliceTokens, at least one character
+    let low = offset + 1;
+    let high = Math.min(word.length, offset + sliceTokens * MAX_CHARS_PER_TOKEN);
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (countTokens(word.slice(offset, mid)) <= sliceTokens) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    let end = low;
+    const code = word.charCodeAt(end - 1);
+    if (end < word.length && code >= 0xd800 && code <= 0xdbff) {
+      end = end - 1 > offset ? end - 1 : end + 1;
+    }
+
+    slices.push({ offset, length: end - offset, cost: countTokens(word.slice(offset, end)) });
+    offset = end;
+  }
+
+  return slices;
+}
+
+/**
+ * Packs words into chunks whose token count stays within chunkSize.
+ * Words are counted one by one, which matches WordPiece-style tokenizers
+ * that split on whitespace before tokenizing. Words longer than chunkSize on
+ * their own (unspaced text) are split into slices first.
+ * @param {string} normalizedText - Whitespace-normalized text
+ * @param {number} chunkSize - Maximum chunk size in tokens
+ * @param {number} overlap - Overlap between chunks in tokens
+ * @param {Function} countTokens - Returns the number of tokens of a text
+ * @returns {Array<[number, number]>} - [start, end) ranges of the chunks in normalizedText
+ */
+function chunkWordsByTokens(normalizedText, chunkSize, overlap, countTokens) {
+  if (overlap >= chunkSize) {
+    throw new Error('Overlap must be smaller than chunk size');
+  }
+
+  // Pieces are words, or slices of words that do not fit a chunk on their own
+  const pieces = [];
+  const wordCosts = new Map();
+  let position = 0;
+
+  for (const word of normalizedText.split(' ')) {
+    if (!wordCosts.has(word)) {
+      wordCosts.set(word, countTokens(word));
+    }
+    const cost = wordCosts.get(word);
+
+    if (cost <= chunkSize) {
+      pieces.push({ start: position, end: position + word.length, cost });
+    } else {
+      // Slices as small as the overlap, so consecutive chunks still overlap
+      for (const slice of splitOversizedWord(word, overlap > 0 ? overlap : chunkSize, countTokens)) {
+        const start = position + slice.offset;
+        pieces.push({ start, end: start + slice.length, cost: slice.cost });
+      }
+    }
+    position += word.length + 1;
+  }
+
+  const ranges = [];
+  let start = 0;
+
+  while (start < pieces.length) {
+    // Take pieces until the next one would not fit (at least one piece per chunk)
+    let end = start;
+    let total = 0;
+    while (end < pieces.length && (end === start || total + pieces[end].cost <= chunkSize)) {
+      total += pieces[end].cost;
+      end++;
+    }
+
+    ranges.push([pieces[start].start, pieces[end - 1].end]);
+
+    if (end >= pieces.length) {
+      break;
+    }
+
+    // Step back over trailing pieces that fit into the overlap
+    let next = end;
+    let overlapCost = 0;
+    while (next > start + 1 && overlapCost + pieces[next - 1].cost <= overlap) {
+      overlapCost += pieces[next - 1].cost;
+      next--;
+    }
+    start = next;
+  }
+
+  return ranges;
+}
+
 /**
  * Finds the nearest word boundary (space)
  * @param {string} text - Text to search in
@@ -99,24 +277,359 @@ function findWordBoundary(text, position, direction = 'backward') {
   }
 }
 
+/**
+ * Splits Markdown-like text into blocks: headings, fenced code, tables,
+ * lists and paragraphs
+ * @param {string} text - Input text
+ * @returns {Array<{type: string, text: string, start: number, end: number, level?: number, title?: string}>} - Blocks in document order with offsets into text
+ */
+function parseBlocks(text) {
+  const lines = text.split('\n');
+  const lineStarts = [];
+  let position = 0;
+  for (const line of lines) {
+    lineStarts.push(position);
+    position += line.length + 1;
+  }
+
+  const blocks = [];
+  let i = 0;
+
+  const isBlank = line => line.trim().length === 0;
+  const isTableLine = line => line.trim().startsWith('|');
+  const isListLine = line => /^\s*(?:[-*+]|\d+[.)])\s+/.test(line);
+  const isHeading = line => /^#{1,6}\s+\S/.test(line);
+  const isFence = line => /^\s*(```|~~~)/.test(line);
+
+  // Creates a block spanning lines [first, last] without surrounding whitespace
+  const addBlock = (type, first, last, extra = {}) => {
+    const start = lineStarts[first] + (lines[first].length - lines[first].trimStart().length);
+    const end = lineStarts[last] + lines[last].trimEnd().length;
+    blocks.push({ type, text: text.slice(start, end), start, end, ...extra });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const first = i;
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    // ATX heading: "## Title"
+    if (isHeading(line)) {
+      const match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      addBlock('heading', i, i, { level: match[1].length, title: match[2] });
+      i++;
+      continue;
+    }
+
+    // Fenced code block, kept intact up to the closing fence
+    if (isFence(line)) {
+      const fence = line.trim().slice(0, 3);
+      i++;
+      while (i < lines.length) {
+        if (lines[i].trim().startsWith(fence)) {
+          i++;
+          break;
+        }
+        i++;
+      }
+      addBlock('code', first, i - 1);
+      continue;
+    }
+
+    if (isTableLine(line)) {
+      while (i < lines.length && isTableLine(lines[i])) {
+        i++;
+      }
+      addBlock('table', first, i - 1);
+      continue;
+    }
+
+    // Lists keep their items (and indented continuation lines) together
+    if (isListLine(line)) {
+      while (
+        i < lines.length &&
+        !isBlank(lines[i]) &&
+        (isListLine(lines[i]) || /^\s+\S/.test(lines[i])) &&
+        !isHeading(lines[i]) &&
+        !isFence(lines[i])
+      ) {
+        i++;
+      }
+      addBlock('list', first, i - 1);
+      continue;
+    }
+
+    while (
+      i < lines.length &&
+      !isBlank(lines[i]) &&
+      !isHeading(lines[i]) &&
+      !isFence(lines[i]) &&
+      !isTableLine(lines[i]) &&
+      !(i > first && isListLine(lines[i]))
+    ) {
+      i++;
+    }
+    addBlock('paragraph', first, i - 1);
+  }
+
+  return blocks;
+}
+
+/**
+ * Splits a block that does not fit into a chunk.
+ * Code blocks and tables are never cut; lists are split between items,
+ * paragraphs fall back to the character strategy.
+ * @param {{type: string, text: string, start: number}} block - Oversized block
+ * @param {number} chunkSize - Maximum chunk size
+ * @param {number} overlap - Overlap used when a paragraph must be cut
+ * @param {Object} options - Chunking options (see chunkText)
+ * @returns {Array<{content: string, start: number, end: number}>} - Block pieces with offsets into the document
+ */
+function splitBlock(block, chunkSize, overlap, options) {
+  const measure = getMeasure(options);
+  const shift = span => ({ ...span, start: block.start + span.start, end: block.start + span.end });
+
+  if (block.type === 'code' || block.type === 'table') {
+    return [{ content: block.text, start: block.start, end: block.end }];
+  }
+
+  if (block.type !== 'list') {
+    return chunkTextSpans(block.text, chunkSize, overlap, options).map(shift);
+  }
+
+  const pieces = [];
+  let current = null;
+  let position = 0;
+
+  for (const line of block.text.split('\n')) {
+    const lineSpan = { content: line, start: position, end: position + line.length };
+    position += line.length + 1;
+
+    if (measure(line) > chunkSize) {
+      if (current) pieces.push(current);
+      pieces.push(...chunkTextSpans(line, chunkSize, overlap, options).map(span => ({
+        ...span,
+        start: lineSpan.start + span.start,
+        end: lineSpan.start + span.end
+      })));
+      current = null;
+    } else if (current && measure(`${current.content}\n${line}`) > chunkSize) {
+      pieces.push(current);
+      current = lineSpan;
+    } else if (current) {
+      current = { content: `${current.content}\n${line}`, start: current.start, end: lineSpan.end };
+    } else {
+      current = lineSpan;
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces.map(shift);
+}
+
+/**
+ * Returns the function used to measure text size
+ * @param {Object} options - Chunking options
+ * @returns {Function} - (text) => size in characters or tokens
+ */
+function getMeasure(options = {}) {
+  return options.countTokens || (text => text.length);
+}
+
+/**
+ * Splits Markdown-like text into chunks along its structure.
+ * A new chunk starts at every heading; blocks of a section are packed
+ * together up to chunkSize. Overlap is only used when a single paragraph
+ * is larger than chunkSize and has to be cut.
+ * @param {string} text - Input text
+ * @param {number} chunkSize - Maximum chunk size in characters or tokens (default: 500)
+ * @param {number} overlap - Overlap for cut paragraphs in characters or tokens (default: 50)
+ * @param {Object} options - Chunking options (see chunkText)
+ * @returns {Array<{content: string, headingPath: string[], start: number, end: number}>} - Chunks with the headings they belong to
+ */
+export function chunkStructured(text, chunkSize = 500, overlap = 50, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  if (overlap >= chunkSize) {
+    throw new Error('Overlap must be smaller than chunk size');
+  }
+
+  const measure = getMeasure(options);
+  // Blocks are joined with a blank line, which costs characters but no tokens
+  const separatorCost = options.countTokens ? 0 : 2;
+
+  const chunks = [];
+  const headingStack = [];
+  let current = [];
+  let currentLength = 0;
+  let headingOnly = false;
+
+  const emit = () => {
+    if (current.length > 0) {
+      chunks.push({
+        content: current.map(piece => piece.content).join('\n\n'),
+        headingPath: headingStack.filter(Boolean),
+        start: current[0].start,
+        end: current[current.length - 1].end
+      });
+    }
+    current = [];
+    currentLength = 0;
+    headingOnly = false;
+  };
+
+  for (const block of parseBlocks(text)) {
+    const blockSpan = { content: block.text, start: block.start, end: block.end };
+
+    if (block.type === 'heading') {
+      emit();
+      headingStack.length = block.level - 1;
+      headingStack[block.level - 1] = block.title;
+      current = [blockSpan];
+      currentLength = measure(block.text);
+      headingOnly = true;
+      continue;
+    }
+
+    const blockSize = measure(block.text);
+    const separatorLength = current.length > 0 ? separatorCost : 0;
+
+    if (currentLength + separatorLength + blockSize <= chunkSize) {
+      current.push(blockSpan);
+      currentLength += separatorLength + blockSize;
+      headingOnly = false;
+      continue;
+    }
+
+    // The block does not fit: keep a lone heading together with the first piece of its section
+    const keepHeading = headingOnly;
+    const reserved = keepHeading ? currentLength + separatorCost : 0;
+    const pieceSize = chunkSize - reserved > overlap ? chunkSize - reserved : chunkSize;
+
+    if (!keepHeading) {
+      emit();
+    }
+
+    const pieces = blockSize <= pieceSize
+      ? [blockSpan]
+      : splitBlock(block, pieceSize, overlap, options);
+
+    pieces.forEach((piece, i) => {
+      if (i > 0 || !keepHeading) {
+        emit();
+      }
+      current.push(piece);
+      currentLength += (current.length > 1 ? separatorCost : 0) + measure(piece.content);
+      headingOnly = false;
+    });
+  }
+
+  emit();
+
+  return chunks;
+}
+
+/**
+ * Picks a chunking strategy for a file
+ * @param {string} strategy - 'character', 'structure' or 'auto'
+ * @param {string} filename - Source filename
+ * @returns {string} - 'character' or 'structure'
+ */
+export function resolveChunkStrategy(strategy, filename) {
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown chunking strategy: ${strategy} (expected ${CHUNK_STRATEGIES.join(', ')})`);
+  }
+
+  if (strategy !== 'auto') {
+    return strategy;
+  }
+
+  const dotIndex = filename.lastIndexOf('.');
+  const ext = dotIndex === -1 ? '' : filename.slice(dotIndex).toLowerCase();
+  return STRUCTURED_EXTENSIONS.includes(ext) ? 'structure' : 'character';
+}
+
+/**
+ * Finds the page that contains a character offset
+ * @param {Array<{number: number, start: number, end: number}>} pages - Page ranges, in order
+ * @param {number} offset - Character offset into the document
+ * @returns {number} - Page number
+ */
+function findPage(pages, offset) {
+  let low = 0;
+  let high = pages.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pages[mid].start <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return pages[low].number;
+}
+
 /**
  * Creates chunks from a document with metadata
  * @param {string} text - Document text
  * @param {string} filename - Source filename
  * @param {number} chunkSize - Chunk size
  * @param {number} overlap - Overlap size
- * @returns {Array<{content: string, source: {filename: string, chunkIndex: number}}>}
+ * @param {Object} options - Chunking options
+ * @param {string} options.strategy - 'character' (default), 'structure' or 'auto'
+ * @param {Function} options.countTokens - Token counter; when set, chunkSize and overlap are in tokens
+ * @param {Array<{number: number, start: number, end: number}>} options.pages - Page ranges of the text (PDF)
+ * @returns {Array<{content: string, source: {filename: string, chunkIndex: number, headingPath?: string, pageStart?: number, pageEnd?: number}}>}
  */
-export function chunkDocument(text, filename, chunkSize = 500, overlap = 50) {
-  const chunks = chunkText(text, chunkSize, overlap);
+export function chunkDocument(text, filename, chunkSize = 500, overlap = 50, options = {}) {
+  const { strategy = 'character', pages } = options;
+
+  const chunks = resolveChunkStrategy(strategy, filename) === 'structure'
+    ? chunkStructured(text, chunkSize, overlap, options)
+    : chunkTextSpans(text, chunkSize, overlap, options).map(span => ({ ...span, headingPath: [] }));
 
-  return chunks.map((content, index) => ({
-    content,
-    source: {
+  return chunks.map(({ content, headingPath, start, end }, index) => {
+    const source = {
       filename,
       chunkIndex: index
+    };
+
+    if (headingPath.length > 0) {
+      source.headingPath = headingPath.join(HEADING_PATH_SEPARATOR);
+    }
+
+    if (pages && pages.length > 0) {
+      source.pageStart = findPage(pages, start);
+      source.pageEnd = findPage(pages, end - 1);
     }
-  }));
+
+    return { content, source };
+  });
+}
+
+/**
+ * Formats a chunk source for display, e.g. "report.pdf p. 12–13"
+ * @param {{filename: string, pageStart?: number, pageEnd?: number}} source - Chunk source
+ * @returns {string} - Human-readable source label
+ */
+export function formatSource(source) {
+  if (source.pageStart === undefined) {
+    return source.filename;
+  }
+
+  if (source.pageEnd === undefined || source.pageEnd === source.pageStart) {
+    return `${source.filename} p. ${source.pageStart}`;
+  }
+
+  return `${source.filename} p. ${source.pageStart}–${source.pageEnd}`;
 }
 
-export { findWordBoundary };
+export { findWordBoundary, CHUNK_STRATEGIES };
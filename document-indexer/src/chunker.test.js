@@ -0,0 +1,155 @@
+/**
+ * chunker.test.js - Character, structure-aware and token-sized chunking, page provenance
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, chunkStructured, chunkDocument, resolveChunkStrategy, formatSource } from './chunker.js';
+
+const guide = [
+  '# Install',
+  '',
+  'Download the package.',
+  '',
+  '## Linux',
+  '',
+  'Run the installer as root.',
+  '',
+  '```sh',
+  'sudo ./install.sh',
+  '',
+  'sudo systemctl start app',
+  '```',
+  '',
+  '## Windows',
+  '',
+  '| Step | Action |',
+  '|------|--------|',
+  '| 1    | Run setup.exe |',
+  '',
+  '# Usage',
+  '',
+  'Start the app from the menu.'
+].join('\n');
+
+test('character chunks stay within the size and overlap at word boundaries', () => {
+  const text = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+  const chunks = chunkText(text, 80, 20);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 80, chunk);
+    assert.match(chunk, /^word\d+( word\d+)*$/);
+  }
+  // Consecutive chunks share words
+  const lastWord = chunks[0].split(' ').pop();
+  assert.ok(chunks[1].split(' ').includes(lastWord));
+});
+
+test('overlap must be smaller than the chunk size', () => {
+  assert.throws(() => chunkText('some text that is longer than ten characters', 10, 10), /Overlap must be smaller/);
+  assert.throws(() => chunkStructured('some text', 10, 10), /Overlap must be smaller/);
+});
+
+test('structure chunks start at headings and record the heading path', () => {
+  const chunks = chunkDocument(guide, 'guide.md', 500, 50, { strategy: 'structure' });
+
+  assert.deepEqual(chunks.map(c => c.source.headingPath), [
+    'Install',
+    'Install > Linux',
+    'Install > Windows',
+    'Usage'
+  ]);
+  assert.ok(chunks[1].content.startsWith('## Linux'));
+  assert.deepEqual(chunks.map(c => c.source.chunkIndex), [0, 1, 2, 3]);
+});
+
+test('code blocks and tables are never cut', () => {
+  const chunks = chunkStructured(guide, 40, 5);
+
+  const code = chunks.find(c => c.content.includes('```sh'));
+  assert.ok(code.content.includes('sudo systemctl start app\n```'));
+  const table = chunks.find(c => c.content.includes('| Step'));
+  assert.ok(table.content.includes('| 1    | Run setup.exe |'));
+});
+
+test('a lone heading stays with the first piece of its section', () => {
+  const paragraph = Array.from({ length: 40 }, (_, i) => `sentence${i}.`).join(' ');
+  const chunks = chunkStructured(`## Notes\n\n${paragraph}`, 120, 20);
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks[0].content.startsWith('## Notes\n\nsentence0.'));
+  assert.ok(chunks.every(c => c.content.length <= 120));
+  assert.ok(chunks.every(c => c.headingPath.join() === 'Notes'));
+});
+
+test('auto picks structure chunking for Markdown-like files only', () => {
+  assert.equal(resolveChunkStrategy('auto', 'guide.md'), 'structure');
+  assert.equal(resolveChunkStrategy('auto', 'book.EPUB'), 'structure');
+  assert.equal(resolveChunkStrategy('auto', 'notes.txt'), 'character');
+  assert.equal(resolveChunkStrategy('character', 'guide.md'), 'character');
+  assert.throws(() => resolveChunkStrategy('semantic', 'guide.md'), /Unknown chunking strategy/);
+});
+
+// Stand-ins for a model tokenizer: one token per word, or per four characters
+const countWords = text => text.split(/\s+/).filter(Boolean).length;
+const countQuarters = text => Math.ceil(text.replace(/\s+/g, '').length / 4);
+
+test('token sizing packs whole words up to chunkSize tokens with token overlap', () => {
+  const text = Array.from({ length: 50 }, (_, i) => `w${i}`).join(' ');
+  const chunks = chunkText(text, 10, 2, { countTokens: countWords });
+
+  assert.ok(chunks.length >= 6);
+  for (const chunk of chunks) {
+    assert.ok(countWords(chunk) <= 10, chunk);
+  }
+  assert.deepEqual(chunks[1].split(' ').slice(0, 2), chunks[0].split(' ').slice(-2));
+  assert.ok(chunks.at(-1).endsWith('w49'));
+});
+
+test('a word longer than chunkSize tokens is cut into pieces that fit', () => {
+  const word = 'x'.repeat(400);
+  const chunks = chunkText(`start ${word} end`, 20, 0, { countTokens: countQuarters });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countQuarters(chunk) <= 20, `${countQuarters(chunk)} tokens`);
+  }
+  assert.equal(chunks.join('').replace(/\s+/g, ''), `start${word}end`);
+});
+
+test('structure chunking measures blocks in tokens', () => {
+  const chunks = chunkDocument(guide, 'guide.md', 8, 2, { strategy: 'structure', countTokens: countWords });
+
+  for (const chunk of chunks) {
+    const isCodeOrTable = /```|\|/.test(chunk.content);
+    assert.ok(isCodeOrTable || countWords(chunk.content) <= 8, chunk.content);
+  }
+  assert.ok(chunks.some(c => c.source.headingPath === 'Install > Windows'));
+});
+
+test('PDF chunks record the pages they span', () => {
+  const pageTexts = ['First page text here.', 'Second page text here.', 'Third page text here.'];
+  let offset = 0;
+  const pages = pageTexts.map((pageText, i) => {
+    const page = { number: i + 1, start: offset, end: offset + pageText.length };
+    offset += pageText.length + 2;
+    return page;
+  });
+
+  const chunks = chunkDocument(pageTexts.join('\n\n'), 'report.pdf', 30, 5, { pages });
+
+  assert.equal(chunks[0].source.pageStart, 1);
+  assert.equal(chunks.at(-1).source.pageEnd, 3);
+  assert.ok(chunks.some(c => c.source.pageStart !== c.source.pageEnd));
+  for (const { source } of chunks) {
+    assert.ok(source.pageStart <= source.pageEnd);
+  }
+});
+
+test('formatSource shows a page or page range', () => {
+  assert.equal(formatSource({ filename: 'notes.md' }), 'notes.md');
+  assert.equal(formatSource({ filename: 'report.pdf', pageStart: 12, pageEnd: 12 }), 'report.pdf p. 12');
+  assert.equal(formatSource({ filename: 'report.pdf', pageStart: 12, pageEnd: 13 }), 'report.pdf p. 12–13');
+});
@@ -0,0 +1,109 @@
+/**
+ * citations.js - Numbered citations in RAG answers
+ *
+ * The context blocks in the prompt are numbered [1], [2], ... in passage order
+ * (see formatContext in agent.js). Answers cite them inline, e.g. "[2]" or
+ * "[1, 3]". After generation, the citations are parsed and checked against the
+ * passages, and the retrieved chunks are split into cited and uncited ones.
+ */
+
+// Citation markers: [1], [1, 3], [1-3], [1][2] (each bracket is one match).
+// Context blocks never reach four digits, so "[2023]" is a year, not a citation.
+const CITATION_PATTERN = /\[(\d{1,3}(?:\s*[-–,]\s*\d{1,3})*)\]/g;
+
+// Runs of markers not directly after an identifier or closing bracket, so that
+// arr[0], matrix[1][2] and f(x)[1] are not read as citations
+const CITATION_RUN_PATTERN = /(?<![\w\])])(?:\[\d{1,3}(?:\s*[-–,]\s*\d{1,3})*\])+/g;
+
+// Fenced code blocks (``` or ~~~, also unterminated) and inline code spans
+const CODE_PATTERN = /^(```|~~~)[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))|`[^`\n]+`/gm;
+
+// Longest range expanded from a marker like [1-3]
+const MAX_RANGE = 20;
+
+/**
+ * Extracts the citation numbers of an answer, in order of first appearance.
+ * Brackets inside code spans and after identifiers (indexing) are skipped.
+ * @param {string} answer - Model answer
+ * @returns {number[]} - Cited numbers (1-based)
+ */
+export function parseCitations(answer) {
+  const numbers = [];
+  const seen = new Set();
+  const add = (n) => {
+    if (!seen.has(n)) {
+      seen.add(n);
+      numbers.push(n);
+    }
+  };
+
+  const prose = answer.replace(CODE_PATTERN, ' ');
+  const markers = [...prose.matchAll(CITATION_RUN_PATTERN)]
+    .flatMap(run => [...run[0].matchAll(CITATION_PATTERN)]);
+
+  for (const match of markers) {
+    for (const part of match[1].split(',')) {
+      const [start, end] = part.split(/[-–]/).map(value => parseInt(value.trim(), 10));
+      if (end === undefined) {
+        add(start);
+      } else if (end >= start && end - start < MAX_RANGE) {
+        for (let n = start; n <= end; n++) add(n);
+      }
+    }
+  }
+
+  return numbers;
+}
+
+/**
+ * Checks the citations of an answer against the context passages
+ * @param {string} answer - Model answer
+ * @param {Array<{source: Object, ids: number[]}>} passages - Passages in prompt order
+ * @returns {{cited: Array<{number: number, source: Object, ids: number[]}>, invalid: number[], uncited: number[]}}
+ *   cited: valid citations in order of appearance; invalid: numbers without a context block;
+ *   uncited: context blocks the answer did not cite
+ */
+export function verifyCitations(answer, passages) {
+  const numbers = parseCitations(answer);
+  const valid = numbers.filter(n => n >= 1 && n <= passages.length);
+
+  return {
+    cited: valid.map(number => ({
+      number,
+      source: passages[number - 1].source,
+      ids: passages[number - 1].ids
+    })),
+    invalid: numbers.filter(n => n < 1 || n > passages.length),
+    uncited: passages.map((_, i) => i + 1).filter(n => !valid.includes(n))
+  };
+}
+
+/**
+ * Splits retrieved chunks into those inside a cited context block and the rest
+ * @param {Array<{id: number}>} results - Search results
+ * @param {{cited: Array<{number: number, ids: number[]}>}} citations - Result of verifyCitations
+ * @returns {{cited: Array, uncited: Array}} - Results; cited ones carry the numbers that cite them
+ *   and are ordered by their lowest citation number
+ */
+export function splitCitedResults(results, citations) {
+  const numbersById = new Map();
+  for (const { number, ids } of citations.cited) {
+    for (const id of ids) {
+      numbersById.set(id, [...(numbersById.get(id) || []), number]);
+    }
+  }
+
+  const cited = [];
+  const uncited = [];
+  for (const result of results) {
+    if (numbersById.has(result.id)) {
+      cited.push({ ...result, citations: numbersById.get(result.id) });
+    } else {
+      uncited.push(result);
+    }
+  }
+
+  cited.sort((a, b) => Math.min(...a.citations) - Math.min(...b.citations));
+
+  return { cited, uncited };
+}
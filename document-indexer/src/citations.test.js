@@ -0,0 +1,61 @@
+/**
+ * citations.test.js - Citation parsing, verification and the cited/uncited split
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCitations, verifyCitations, splitCitedResults } from './citations.js';
+
+test('single numbers, lists, ranges and adjacent markers, in order of first appearance', () => {
+  assert.deepEqual(parseCitations('Close the valve [2] and check the seals [1, 3].'), [2, 1, 3]);
+  assert.deepEqual(parseCitations('See [2-4] and [3–5].'), [2, 3, 4, 5]);
+  assert.deepEqual(parseCitations('Both agree [1][2], as before [1].'), [1, 2]);
+  assert.deepEqual(parseCitations('(see [4])'), [4]);
+});
+
+test('oversized ranges are ignored', () => {
+  assert.deepEqual(parseCitations('Everything [1-500].'), []);
+  assert.deepEqual(parseCitations('Backwards [5-2].'), []);
+});
+
+test('indexing, years and code are not citations', () => {
+  assert.deepEqual(parseCitations('Use arr[0] or matrix[1, 2], x[3][4] and f(x)[5].'), []);
+  assert.deepEqual(parseCitations('Released in [2023] as noted [1].'), [1]);
+  assert.deepEqual(parseCitations('Call `items[2]` first [3].'), [3]);
+  assert.deepEqual(parseCitations('Example:\n```js\nconst a = [7];\n```\nThen restart [1].'), [1]);
+  assert.deepEqual(parseCitations('Unterminated:\n~~~\nlist[1] = [8]\n'), []);
+});
+
+test('verifyCitations separates valid, invalid and uncited blocks', () => {
+  const passages = [
+    { source: { filename: 'a.md' }, ids: [10, 11] },
+    { source: { filename: 'b.md' }, ids: [12] },
+    { source: { filename: 'c.md' }, ids: [13] }
+  ];
+
+  const citations = verifyCitations('First [3], then [1] and [9].', passages);
+
+  assert.deepEqual(citations.cited.map(c => [c.number, c.source.filename, c.ids]), [
+    [3, 'c.md', [13]],
+    [1, 'a.md', [10, 11]]
+  ]);
+  assert.deepEqual(citations.invalid, [9]);
+  assert.deepEqual(citations.uncited, [2]);
+});
+
+test('splitCitedResults orders cited chunks by their lowest citation number', () => {
+  const results = [{ id: 10 }, { id: 11 }, { id: 12 }, { id: 13 }];
+  const citations = {
+    cited: [
+      { number: 3, ids: [13] },
+      { number: 1, ids: [11] },
+      { number: 2, ids: [13] }
+    ]
+  };
+
+  const { cited, uncited } = splitCitedResults(results, citations);
+
+  assert.deepEqual(cited.map(r => [r.id, r.citations]), [[11, [1]], [13, [3, 2]]]);
+  assert.deepEqual(uncited.map(r => r.id), [10, 12]);
+});
@@ -0,0 +1,618 @@
+#!/usr/bin/env node
+/**
+ * cli.js - The document-indexer command
+ *
+ * Usage: document-indexer <command> [options]
+ *
+ * Commands:
+ *   index             Index the documents folder
+ *   search "<query>"  Print the best matching chunks (no LLM call)
+ *   stats             Print index statistics
+ *   chat              Start the interactive chat
+ *   eval [file]       Score retrieval against a golden question set
+ *
+ * Flags override the project config file and environment (see config.js).
+ *
+ * Exit codes: 0 success, 1 error, 2 invalid usage or configuration
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadConfig, CONFIG_DEFAULTS, CONFIG_FILE_NAME } from './config.js';
+import { runPipeline } from './pipeline.js';
+import { loadIndex, getIndexStats } from './indexer.js';
+import { generateEmbedding, useIndexEmbedding, configureEmbeddingCache } from './embedder.js';
+import { searchByText, SEARCH_MODES } from './searcher.js';
+import { formatSource } from './chunker.js';
+import { parseFilter } from './filter.js';
+import { startChat } from './chat.js';
+import { watchDocuments } from './watch.js';
+import {
+  loadQuestions,
+  evaluate,
+  sweepSettings,
+  compareReports,
+  getReportDifferences,
+  loadReport,
+  writeReport,
+  defaultReportName,
+  METRICS
+} from './eval.js';
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+// Subcommands
+const COMMANDS = ['index', 'search', 'stats', 'chat', 'eval'];
+
+// Flags shared by all subcommands (parseArgs format)
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  docs: { type: 'string', short: 'd' },
+  output: { type: 'string', short: 'o' },
+  'chunk-size': { type: 'string' },
+  overlap: { type: 'string' },
+  'top-k': { type: 'string', short: 'k' },
+  threshold: { type: 'string', short: 't' },
+  mode: { type: 'string', short: 'm' },
+  filter: { type: 'string', short: 'f' },
+  rerank: { type: 'boolean' },
+  full: { type: 'boolean' },
+  'clear-cache': { type: 'boolean' },
+  watch: { type: 'boolean', short: 'w' },
+  sweep: { type: 'boolean' },
+  report: { type: 'string' },
+  baseline: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Characters of chunk text shown per search result
+const PREVIEW_LENGTH = 200;
+
+// Display names of the evaluation metrics
+const METRIC_LABELS = {
+  recall: 'Recall@k',
+  precision: 'Precision@k',
+  mrr: 'MRR',
+  ndcg: 'nDCG@k'
+};
+
+const USAGE = `Usage: document-indexer <command> [options]
+
+Commands:
+  index               Index the documents folder (incremental)
+  search "<query>"    Print the best matching chunks (no LLM call)
+  stats               Print index statistics
+  chat                Start the interactive chat
+  eval [FILE]         Score retrieval against a golden question set (JSONL)
+
+Options:
+  -c, --config FILE     Config file (default: ${CONFIG_FILE_NAME}, searched upward from here)
+  -d, --docs DIR        Documents folder (default: ./documents of the package)
+  -o, --output FILE     Index file (default: ./output/index.json of the package)
+      --chunk-size N    Chunk size (index, default: ${CONFIG_DEFAULTS.chunkSize})
+      --overlap N       Chunk overlap (index, default: ${CONFIG_DEFAULTS.overlap})
+  -k, --top-k N         Results to retrieve (search, chat, eval; default: ${CONFIG_DEFAULTS.search.topK})
+  -t, --threshold X     Minimum relevance 0-1 (search, chat, eval; default: ${CONFIG_DEFAULTS.search.threshold})
+  -m, --mode MODE       Retrieval mode: ${SEARCH_MODES.join(', ')} (search, eval)
+  -f, --filter EXPR     Metadata filter, e.g. "path:runbooks/** -ext:pdf" (search, eval)
+      --rerank          Re-rank results with the cross-encoder (search, eval)
+      --full            Rebuild the index from scratch (index)
+      --clear-cache     Delete cached embeddings first (index)
+  -w, --watch           Keep re-indexing when documents change (index)
+      --sweep           Also try every eval.topKValues / eval.thresholds setting (eval)
+      --report FILE     Report file (eval, default: eval/eval-<date>.json next to the index)
+      --baseline FILE   Compare with an earlier report (eval)
+      --json            Print machine-readable JSON (index, search, stats, eval)
+  -h, --help            Show this help
+
+Defaults come from the config file, then DOCUMENT_INDEXER_*, EMBEDDING_* and LLM_*
+environment variables; flags override both.
+
+Exit codes: 0 success, 1 error, 2 invalid usage or configuration`;
+
+/**
+ * Creates an error for invalid command-line usage (exit code 2)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+/**
+ * Parses an integer flag
+ * @param {string|undefined} value - Flag value
+ * @param {string} name - Flag name, for messages
+ * @param {number} min - Smallest allowed value
+ * @returns {number|undefined}
+ */
+function parseInteger(value, name, min) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw usageError(`--${name} must be an integer of at least ${min}, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parses the threshold flag
+ * @param {string|undefined} value - Flag value
+ * @returns {number|undefined}
+ */
+function parseThreshold(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 1) {
+    throw usageError(`--threshold must be between 0 and 1, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parses the command line and loads the configuration it applies to
+ * @param {string[]} args - Arguments after the program name
+ * @returns {{command: string, positionals: string[], options: Object}}
+ *   options.config holds the effective configuration
+ */
+function parseCommandLine(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  if (values.help || !command) {
+    return { command: 'help', positionals: [], options: values };
+  }
+  if (!COMMANDS.includes(command)) {
+    throw usageError(`Unknown command: ${command} (expected ${COMMANDS.join(', ')})`);
+  }
+
+  const options = {
+    json: Boolean(values.json),
+    filter: values.filter,
+    full: Boolean(values.full),
+    clearCache: Boolean(values['clear-cache']),
+    watch: Boolean(values.watch),
+    sweep: Boolean(values.sweep),
+    report: values.report,
+    baseline: values.baseline
+  };
+
+  // Flags in config terms; unset flags leave the configured values alone
+  const overrides = {
+    documentsDir: values.docs,
+    outputPath: values.output,
+    chunkSize: parseInteger(values['chunk-size'], 'chunk-size', 1),
+    overlap: parseInteger(values.overlap, 'overlap', 0),
+    search: {
+      topK: parseInteger(values['top-k'], 'top-k', 1),
+      threshold: parseThreshold(values.threshold),
+      mode: values.mode,
+      rerank: values.rerank || undefined
+    }
+  };
+
+  if (values.mode !== undefined && !SEARCH_MODES.includes(values.mode)) {
+    throw usageError(`--mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  if (options.filter !== undefined) {
+    try {
+      options.filter = parseFilter(options.filter);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+  }
+  if (command === 'search' && rest.length === 0) {
+    throw usageError('search needs a query, e.g. document-indexer search "flood barriers"');
+  }
+  if (command === 'eval' && rest.length > 1) {
+    throw usageError(`eval takes one question set, got: ${rest.join(' ')}`);
+  }
+  if (command !== 'search' && command !== 'eval' && rest.length > 0) {
+    throw usageError(`Unexpected argument(s) for ${command}: ${rest.join(' ')}`);
+  }
+  if (command === 'chat' && options.json) {
+    throw usageError('--json is not supported by chat');
+  }
+  if (options.watch && (command !== 'index' || options.json)) {
+    throw usageError('--watch only works with index, without --json');
+  }
+
+  try {
+    options.config = loadConfig({ file: values.config, overrides });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  return { command, positionals: rest, options };
+}
+
+/**
+ * Loads an index for querying, with query embeddings from its model
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} - The document index
+ */
+async function openIndex({ config }) {
+  const index = await loadIndex(config.outputPath);
+  useIndexEmbedding(index.metadata);
+  if (config.embeddingCache.enabled) {
+    const { dir, maxEntries, maxSizeMB } = config.embeddingCache;
+    configureEmbeddingCache({ dir, maxEntries, maxSizeMB });
+  }
+  return index;
+}
+
+/**
+ * document-indexer index
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} - Result for --json
+ */
+async function runIndex(options) {
+  const { config } = options;
+  const result = await runPipeline({
+    ...config,
+    incremental: !options.full,
+    clearCache: options.clearCache
+  });
+
+  if (result.status === 'empty') {
+    throw new Error(`No documents found in ${config.documentsDir}`);
+  }
+
+  const stats = getIndexStats(result.index);
+  return {
+    status: result.status,
+    outputPath: config.outputPath,
+    documents: stats.totalDocuments,
+    chunks: stats.totalChunks,
+    embedded: result.embedded,
+    changes: {
+      added: result.plan.added,
+      updated: result.plan.updated,
+      removed: result.plan.removed
+    },
+    durationMs: result.durationMs
+  };
+}
+
+/**
+ * document-indexer index --watch: indexes, then re-indexes on every change
+ * until interrupted. An empty documents folder is watched as well.
+ * @param {Object} options - Parsed options
+ * @returns {Promise<void>}
+ */
+async function runIndexWatch(options) {
+  const { config } = options;
+  await runPipeline({ ...config, incremental: !options.full, clearCache: options.clearCache });
+  watchDocuments(config, () => runPipeline({ ...config, incremental: true }));
+}
+
+/**
+ * document-indexer search "<query>"
+ * @param {string} query - Search query
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} - Result for --json
+ */
+async function runSearch(query, options) {
+  const index = await openIndex(options);
+
+  const { results, stats } = await searchByText(index, query, generateEmbedding, {
+    ...options.config.search,
+    filter: options.filter
+  });
+
+  return {
+    query,
+    results: results.map((r, i) => ({
+      rank: i + 1,
+      score: r.score,
+      source: r.source,
+      content: r.content
+    })),
+    stats
+  };
+}
+
+/**
+ * Prints search results as text
+ * @param {Object} result - Result of runSearch
+ */
+function printSearch({ query, results, stats }) {
+  console.log(`\nResults for "${query}" (${stats.mode}${stats.rerank ? ', re-ranked' : ''}):\n`);
+
+  if (results.length === 0) {
+    console.log('No chunks above the relevance threshold.');
+    return;
+  }
+
+  const lexical = stats.mode === 'lexical' && !stats.rerank;
+  for (const r of results) {
+    const relevance = lexical ? `BM25 ${r.score.toFixed(2)}` : `${(r.score * 100).toFixed(1)}%`;
+    const text = r.content.replace(/\s+/g, ' ').trim();
+    const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text;
+
+    console.log(`${r.rank}. ${formatSource(r.source)} (chunk ${r.source.chunkIndex}) - ${relevance}`);
+    console.log(`   ${preview}`);
+    console.log();
+  }
+}
+
+/**
+ * document-indexer stats
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} - Result for --json
+ */
+async function runStats(options) {
+  const index = await openIndex(options);
+  const stats = getIndexStats(index);
+  const { metadata } = index;
+
+  return {
+    ...stats,
+    outputPath: options.config.outputPath,
+    embedding: metadata.embedding || null,
+    chunkSize: metadata.chunkSize,
+    overlap: metadata.overlap,
+    chunkStrategy: metadata.chunkStrategy,
+    chunkUnit: metadata.chunkUnit,
+    storage: metadata.storage ? metadata.storage.format : 'json',
+    ann: Boolean(index.ann)
+  };
+}
+
+/**
+ * Prints index statistics as text
+ * @param {Object} stats - Result of runStats
+ */
+function printStats(stats) {
+  console.log();
+  console.log(`Index: ${stats.outputPath}`);
+  console.log(`  Created: ${stats.created}`);
+  console.log(`  Model: ${stats.model}${stats.embedding ? ` (${stats.embedding.provider})` : ''}`);
+  console.log(`  Embedding dimension: ${stats.embeddingDimension}`);
+  console.log(`  Documents: ${stats.totalDocuments}`);
+  console.log(`  Chunks: ${stats.totalChunks}`);
+  console.log(`  Average chunk length: ${stats.avgChunkLength} characters`);
+  console.log(`  Chunking: ${stats.chunkSize}/${stats.overlap} ${stats.chunkUnit || 'characters'}, ${stats.chunkStrategy || 'character'}`);
+  console.log(`  Storage: ${stats.storage}${stats.ann ? ', HNSW graph' : ''}`);
+}
+
+/**
+ * document-indexer eval [file]
+ * @param {string|undefined} questionsFile - Question set (default: eval.questions of the config)
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} - The report, with reportPath
+ */
+async function runEval(questionsFile, options) {
+  const { config } = options;
+  const file = questionsFile ? path.resolve(questionsFile) : config.eval.questions;
+  if (!file) {
+    throw usageError('eval needs a question set, e.g. document-indexer eval questions.jsonl (or eval.questions in the config file)');
+  }
+
+  const questions = await loadQuestions(file);
+  const baseline = options.baseline ? await loadReport(path.resolve(options.baseline)) : null;
+  const index = await openIndex(options);
+  const searchOptions = { ...config.search, filter: options.filter };
+
+  console.log(`Evaluating ${questions.length} question(s)...`);
+  const { summary, questions: evaluated } = await evaluate(index, questions, generateEmbedding, searchOptions);
+
+  let sweep = null;
+  if (options.sweep) {
+    const { thresholds, topKValues, metric } = config.eval;
+    console.log(`Sweeping ${topKValues.length} topK x ${thresholds.length} threshold value(s)...`);
+    sweep = await sweepSettings(index, questions, generateEmbedding, { ...searchOptions, thresholds, topKValues, metric });
+  }
+
+  const { metadata } = index;
+  const report = {
+    created: new Date().toISOString(),
+    questionsFile: file,
+    index: {
+      path: config.outputPath,
+      created: metadata.created,
+      model: metadata.model,
+      chunks: index.documents.length,
+      chunkSize: metadata.chunkSize,
+      overlap: metadata.overlap,
+      chunkStrategy: metadata.chunkStrategy,
+      chunkUnit: metadata.chunkUnit
+    },
+    search: {
+      mode: config.search.mode,
+      topK: config.search.topK,
+      threshold: config.search.threshold,
+      fusion: config.search.fusion,
+      semanticWeight: config.search.semanticWeight,
+      rerank: config.search.rerank,
+      rerankThreshold: config.search.rerankThreshold,
+      filter: options.filter || null
+    },
+    summary,
+    questions: evaluated,
+    sweep
+  };
+  if (baseline) {
+    report.baseline = {
+      file: path.resolve(options.baseline),
+      created: baseline.created,
+      comparison: compareReports(baseline, report),
+      differences: getReportDifferences(baseline, report)
+    };
+  }
+
+  const reportPath = await writeReport(options.report || path.join(config.eval.reportDir, defaultReportName()), report);
+  return { ...report, reportPath };
+}
+
+/**
+ * Returns the display name of a metric at a cutoff
+ * @param {string} metric - Metric name
+ * @param {number} k - Cutoff
+ * @returns {string}
+ */
+function metricLabel(metric, k) {
+  return METRIC_LABELS[metric].replace('@k', `@${k}`);
+}
+
+/**
+ * Prints an evaluation report as text
+ * @param {Object} report - Result of runEval
+ */
+function printEval({ questionsFile, index, search, summary, questions, sweep, baseline, reportPath }) {
+  console.log(`\nEvaluated ${summary.questions} question(s) from ${questionsFile}`);
+  console.log(`  Index: ${index.path} (${index.chunks} chunks, ${index.chunkSize}/${index.overlap} ${index.chunkUnit || 'characters'}, ${index.model})`);
+  console.log(`  Search: ${search.mode}${search.rerank ? ' + rerank' : ''}, topK ${search.topK}, threshold ${search.threshold}`);
+  console.log();
+
+  for (const metric of METRICS) {
+    const value = summary[metric].toFixed(3);
+    const change = baseline ? baseline.comparison[metric].change : null;
+    const delta = change === null ? '' : `  (${change >= 0 ? '+' : ''}${change.toFixed(3)} vs. baseline)`;
+    console.log(`  ${metricLabel(metric, summary.k).padEnd(14)} ${value}${delta}`);
+  }
+
+  const incomplete = questions.filter(q => q.missing.length > 0);
+  if (incomplete.length > 0) {
+    console.log(`\nExpected sources not retrieved (${incomplete.length} question(s)):`);
+    for (const q of incomplete) {
+      console.log(`  - "${q.question}": ${q.missing.join(', ')}`);
+    }
+  }
+
+  if (sweep) {
+    const { metric, thresholds, topKValues, rows, recommendation } = sweep;
+    console.log(`\nSweep (${metricLabel(metric, 'k')} by topK and threshold):\n`);
+    console.log(`  ${'topK'.padStart(4)}  ${thresholds.map(t => t.toFixed(2).padStart(6)).join(' ')}`);
+    for (const topK of topKValues) {
+      const values = thresholds.map(threshold => {
+        const row = rows.find(r => r.topK === topK && r.threshold === threshold);
+        return row[metric].toFixed(3).padStart(6);
+      });
+      console.log(`  ${String(topK).padStart(4)}  ${values.join(' ')}`);
+    }
+
+    const scores = METRICS.map(m => `${METRIC_LABELS[m].replace('@k', '')} ${recommendation[m].toFixed(3)}`).join(', ');
+    console.log(`\nRecommended: topK ${recommendation.topK}, threshold ${recommendation.threshold} (${scores})`);
+    console.log(`  To use it, set "search": { "topK": ${recommendation.topK}, "threshold": ${recommendation.threshold} } in ${CONFIG_FILE_NAME}`);
+  }
+
+  if (baseline) {
+    console.log(`\nBaseline: ${baseline.file} (${baseline.created})`);
+    if (baseline.differences.length > 0) {
+      console.log('  Warning: the baseline was run with other settings; the changes above are partly due to them:');
+      baseline.differences.forEach(difference => console.log(`    ${difference}`));
+    }
+  }
+  console.log(`\nReport written to ${reportPath}`);
+}
+
+/**
+ * Runs a command with its output in JSON: progress messages go to stderr, so
+ * stdout only carries the result
+ * @param {Function} fn - Command function
+ * @returns {Promise<*>} - Command result
+ */
+async function withJsonOutput(fn) {
+  const log = console.log;
+  const write = process.stdout.write;
+  console.log = (...args) => console.error(...args);
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    process.stdout.write = write;
+  }
+}
+
+/**
+ * Main CLI function
+ * @param {string[]} args - Arguments after the program name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(args = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run "document-indexer --help" for usage.');
+    return EXIT_USAGE;
+  }
+
+  const { command, positionals, options } = parsed;
+
+  if (command === 'help') {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const commands = {
+    index: () => runIndex(options),
+    search: () => runSearch(positionals.join(' '), options),
+    stats: () => runStats(options),
+    eval: () => runEval(positionals[0], options)
+  };
+
+  try {
+    if (command === 'chat') {
+      await startChat({ config: options.config });
+      // The chat exits the process itself on /quit
+      return null;
+    }
+    if (options.watch) {
+      await runIndexWatch(options);
+      // Watching keeps the process running until it is interrupted
+      return null;
+    }
+
+    if (options.json) {
+      const result = await withJsonOutput(commands[command]);
+      console.log(JSON.stringify(result, null, 2));
+      return EXIT_OK;
+    }
+
+    const result = await commands[command]();
+    if (command === 'search') {
+      printSearch(result);
+    } else if (command === 'stats') {
+      printStats(result);
+    } else if (command === 'eval') {
+      printEval(result);
+    }
+    return EXIT_OK;
+  } catch (error) {
+    const exitCode = error.exitCode || EXIT_ERROR;
+    if (options.json) {
+      console.log(JSON.stringify({ error: { message: error.message, exitCode } }, null, 2));
+    } else {
+      console.error(`\nError: ${error.message}`);
+    }
+    return exitCode;
+  }
+}
+
+main().then((exitCode) => {
+  if (exitCode !== null) {
+    process.exitCode = exitCode;
+  }
+});
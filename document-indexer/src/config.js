@@ -0,0 +1,568 @@
+/**
+ * config.js - Project configuration
+ *
+ * Settings are layered, later layers win:
+ * 1. Built-in defaults (CONFIG_DEFAULTS)
+ * 2. The project config file, document-indexer.config.json, found by searching
+ *    upward from the working directory (or named by DOCUMENT_INDEXER_CONFIG)
+ * 3. Environment variables (DOCUMENT_INDEXER_*, EMBEDDING_*, LLM_*)
+ * 4. Command-line flags
+ *
+ * Every layer is validated against SCHEMA; errors name the layer and the setting.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CHUNK_STRATEGIES } from './chunker.js';
+import { INDEX_FORMATS, QUANTIZATION_TYPES } from './indexer.js';
+import { EMBEDDING_PROVIDERS } from './embedding-providers.js';
+import { getEmbeddingEnvironment, EMBEDDING_BATCH_DEFAULTS } from './embedder.js';
+import { CACHE_DEFAULTS } from './embedding-cache.js';
+import { HNSW_DEFAULTS } from './hnsw.js';
+import { DEFAULT_THRESHOLD, SEARCH_MODES, FUSION_METHODS } from './searcher.js';
+import { DEFAULT_RERANK_THRESHOLD } from './reranker.js';
+import { CONTEXT_DEFAULTS } from './context.js';
+import { MEMORY_DEFAULTS } from './memory.js';
+import { getLLMEnvironment, getScriptErrors, LLM_BACKENDS, LLM_DEFAULTS } from './openai-client.js';
+import { RAG_SYSTEM_PROMPT, DEFAULT_SYSTEM_PROMPT, CONDENSE_SYSTEM_PROMPT } from './agent.js';
+import { EVAL_DEFAULTS, METRICS } from './eval.js';
+import { WATCH_DEFAULTS } from './watch.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Name of the project config file
+const CONFIG_FILE_NAME = 'document-indexer.config.json';
+
+// Default settings
+const CONFIG_DEFAULTS = {
+  documentsDir: path.join(__dirname, '..', 'documents'),
+  outputPath: path.join(__dirname, '..', 'output', 'index.json'),
+  include: [],          // Glob patterns files must match, e.g. ['**/*.md']
+  exclude: [],          // Glob patterns to skip, e.g. ['archive/**']
+  followSymlinks: true,
+  chunkSize: 500,
+  overlap: 50,
+  chunkStrategy: 'auto',
+  chunkUnit: 'characters',
+  indexFormat: 'json',
+  quantization: 'none',
+  embedding: null,      // null = EMBEDDING_* environment variables or the local default model
+  embeddingBatch: { ...EMBEDDING_BATCH_DEFAULTS },
+  embeddingCache: {
+    enabled: true,
+    dir: null,          // null = .embedding-cache next to the index
+    ...CACHE_DEFAULTS
+  },
+  ann: {
+    enabled: true,
+    minChunks: 5000,    // Smaller indexes are searched exactly
+    m: HNSW_DEFAULTS.m,
+    efConstruction: HNSW_DEFAULTS.efConstruction,
+    efSearch: HNSW_DEFAULTS.efSearch
+  },
+  search: {
+    topK: 5,
+    threshold: DEFAULT_THRESHOLD,
+    mode: 'semantic',
+    fusion: 'rrf',
+    semanticWeight: 0.5,
+    rerank: false,
+    rerankThreshold: DEFAULT_RERANK_THRESHOLD,  // Minimum re-ranker relevance; threshold applies to similarity
+    condense: false     // Rewrite follow-up questions into standalone queries (chat, /ask)
+  },
+  sessionsDir: null,    // Saved chat sessions; null = sessions/ next to the index
+  watch: { ...WATCH_DEFAULTS },
+  context: { ...CONTEXT_DEFAULTS },
+  memory: { ...MEMORY_DEFAULTS },
+  llm: {
+    backend: LLM_DEFAULTS.backend,
+    baseURL: LLM_DEFAULTS.baseURL,
+    model: LLM_DEFAULTS.model,
+    temperature: LLM_DEFAULTS.temperature,
+    maxTokens: LLM_DEFAULTS.maxTokens
+  },
+  prompts: {
+    rag: RAG_SYSTEM_PROMPT,
+    direct: DEFAULT_SYSTEM_PROMPT,
+    condense: CONDENSE_SYSTEM_PROMPT
+  },
+  eval: {
+    questions: null,    // Golden question set (JSONL) used when eval is given none
+    reportDir: null,    // null = eval/ next to the index
+    thresholds: [...EVAL_DEFAULTS.thresholds],
+    topKValues: [...EVAL_DEFAULTS.topKValues],
+    metric: EVAL_DEFAULTS.metric
+  }
+};
+
+// Settings recorded in the index that the pipeline compares to decide whether it is up to date
+const INDEXING_KEYS = [
+  'documentsDir', 'include', 'exclude', 'followSymlinks',
+  'chunkSize', 'overlap', 'chunkStrategy', 'chunkUnit',
+  'indexFormat', 'quantization', 'embedding', 'ann'
+];
+
+// Setting types: string, path, boolean, integer, number, string[], number[],
+// integer[], array; object sections list their properties. nullable allows
+// null; min and max of number arrays apply to every item; check returns the
+// problems of a value the type cannot express.
+const SCHEMA = {
+  documentsDir: { type: 'path' },
+  outputPath: { type: 'path' },
+  include: { type: 'string[]' },
+  exclude: { type: 'string[]' },
+  followSymlinks: { type: 'boolean' },
+  chunkSize: { type: 'integer', min: 1 },
+  overlap: { type: 'integer', min: 0 },
+  chunkStrategy: { type: 'string', values: CHUNK_STRATEGIES },
+  chunkUnit: { type: 'string', values: ['characters', 'tokens'] },
+  indexFormat: { type: 'string', values: INDEX_FORMATS },
+  quantization: { type: 'string', values: QUANTIZATION_TYPES },
+  embedding: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      provider: { type: 'string', values: EMBEDDING_PROVIDERS },
+      model: { type: 'string' },
+      baseURL: { type: 'string' },
+      apiKey: { type: 'string' },
+      pooling: { type: 'string', values: ['mean', 'cls'] },
+      normalize: { type: 'boolean' },
+      dimensions: { type: 'integer', min: 1 },
+      maxInputTokens: { type: 'integer', min: 1 }
+    }
+  },
+  embeddingBatch: {
+    type: 'object',
+    properties: {
+      batchSize: { type: 'integer', min: 1 },
+      workers: { type: 'integer', min: 0 }
+    }
+  },
+  embeddingCache: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      dir: { type: 'path', nullable: true },
+      maxEntries: { type: 'integer', min: 1 },
+      maxSizeMB: { type: 'number', min: 0 }
+    }
+  },
+  ann: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      minChunks: { type: 'integer', min: 1 },
+      m: { type: 'integer', min: 2 },
+      efConstruction: { type: 'integer', min: 1 },
+      efSearch: { type: 'integer', min: 1 }
+    }
+  },
+  search: {
+    type: 'object',
+    properties: {
+      topK: { type: 'integer', min: 1, max: 100 },
+      threshold: { type: 'number', min: 0, max: 1 },
+      mode: { type: 'string', values: SEARCH_MODES },
+      fusion: { type: 'string', values: FUSION_METHODS },
+      semanticWeight: { type: 'number', min: 0, max: 1 },
+      rerank: { type: 'boolean' },
+      rerankThreshold: { type: 'number', min: 0, max: 1 },
+      condense: { type: 'boolean' }
+    }
+  },
+  sessionsDir: { type: 'path', nullable: true },
+  watch: {
+    type: 'object',
+    properties: {
+      debounceMs: { type: 'integer', min: 0 },
+      pollIntervalMs: { type: 'integer', min: 100 }
+    }
+  },
+  context: {
+    type: 'object',
+    properties: {
+      neighbors: { type: 'integer', min: 0 },
+      diversity: { type: 'number', min: 0, max: 1, nullable: true },
+      budget: { type: 'integer', min: 1 },
+      budgetUnit: { type: 'string', values: ['characters', 'tokens'] }
+    }
+  },
+  memory: {
+    type: 'object',
+    properties: {
+      recentTurns: { type: 'integer', min: 0 },
+      maxTokens: { type: 'integer', min: 100 },
+      summaryMaxTokens: { type: 'integer', min: 10 }
+    }
+  },
+  llm: {
+    type: 'object',
+    properties: {
+      backend: { type: 'string', values: LLM_BACKENDS },
+      baseURL: { type: 'string', nullable: true },
+      apiKey: { type: 'string', nullable: true },
+      model: { type: 'string' },
+      temperature: { type: 'number', min: 0, max: 2 },
+      maxTokens: { type: 'integer', min: 1 },
+      script: { type: 'array', check: getScriptErrors }
+    }
+  },
+  prompts: {
+    type: 'object',
+    properties: {
+      rag: { type: 'string' },
+      direct: { type: 'string' },
+      condense: { type: 'string' }
+    }
+  },
+  eval: {
+    type: 'object',
+    properties: {
+      questions: { type: 'path', nullable: true },
+      reportDir: { type: 'path', nullable: true },
+      thresholds: { type: 'number[]', min: 0, max: 1 },
+      topKValues: { type: 'integer[]', min: 1, max: 100 },
+      metric: { type: 'string', values: METRICS }
+    }
+  }
+};
+
+// Environment variables for settings without a module of their own
+const ENVIRONMENT_VARIABLES = {
+  DOCUMENT_INDEXER_DOCS: 'documentsDir',
+  DOCUMENT_INDEXER_OUTPUT: 'outputPath',
+  DOCUMENT_INDEXER_CHUNK_SIZE: 'chunkSize',
+  DOCUMENT_INDEXER_OVERLAP: 'overlap',
+  DOCUMENT_INDEXER_CHUNK_STRATEGY: 'chunkStrategy',
+  DOCUMENT_INDEXER_CHUNK_UNIT: 'chunkUnit',
+  DOCUMENT_INDEXER_INDEX_FORMAT: 'indexFormat',
+  DOCUMENT_INDEXER_QUANTIZATION: 'quantization',
+  DOCUMENT_INDEXER_TOP_K: 'search.topK',
+  DOCUMENT_INDEXER_THRESHOLD: 'search.threshold',
+  DOCUMENT_INDEXER_SEARCH_MODE: 'search.mode'
+};
+
+// Settings that are never written into the index metadata
+const SECRET_KEYS = ['apiKey'];
+
+/**
+ * Finds the project config file by searching upward from a directory
+ * @param {string} startDir - Directory to start from (default: working directory)
+ * @returns {string|null} - Path of the config file, or null if there is none
+ */
+export function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const candidate = path.join(dir, CONFIG_FILE_NAME);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Describes the expected value of a setting, for error messages
+ * @param {Object} rule - Schema rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  if (rule.values) {
+    return `one of ${rule.values.map(v => `"${v}"`).join(', ')}`;
+  }
+  const range = rule.min !== undefined && rule.max !== undefined
+    ? ` between ${rule.min} and ${rule.max}`
+    : rule.min !== undefined ? ` of at least ${rule.min}` : '';
+
+  switch (rule.type) {
+    case 'integer': return `an integer${range}`;
+    case 'number': return `a number${range}`;
+    case 'string[]': return 'an array of strings';
+    case 'number[]': return `a non-empty array of numbers${range}`;
+    case 'integer[]': return `a non-empty array of integers${range}`;
+    case 'path': return 'a path (string)';
+    default: return `${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}`;
+  }
+}
+
+/**
+ * Checks one value against its schema rule
+ * @param {*} value - Setting value
+ * @param {Object} rule - Schema rule
+ * @returns {boolean}
+ */
+function matchesRule(value, rule) {
+  if (value === null) {
+    return Boolean(rule.nullable);
+  }
+
+  if (rule.type === 'number[]' || rule.type === 'integer[]') {
+    const item = { ...rule, type: rule.type.slice(0, -2), nullable: false };
+    return Array.isArray(value) && value.length > 0 && value.every(v => matchesRule(v, item));
+  }
+
+  let typeMatches;
+  switch (rule.type) {
+    case 'integer': typeMatches = Number.isInteger(value); break;
+    case 'number': typeMatches = typeof value === 'number' && Number.isFinite(value); break;
+    case 'path': typeMatches = typeof value === 'string' && value.length > 0; break;
+    case 'string[]': typeMatches = Array.isArray(value) && value.every(v => typeof v === 'string'); break;
+    case 'array': typeMatches = Array.isArray(value); break;
+    case 'object': typeMatches = typeof value === 'object' && !Array.isArray(value); break;
+    default: typeMatches = typeof value === rule.type;
+  }
+
+  return typeMatches &&
+    (rule.min === undefined || value >= rule.min) &&
+    (rule.max === undefined || value <= rule.max) &&
+    (!rule.values || rule.values.includes(value));
+}
+
+/**
+ * Validates settings against the schema
+ * @param {Object} settings - Settings of one layer (may be partial)
+ * @param {Object} schema - Schema for these settings
+ * @param {string} prefix - Key path of the section, for messages
+ * @returns {string[]} - Problems found
+ */
+function collectErrors(settings, schema, prefix = '') {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(settings)) {
+    const name = `${prefix}${key}`;
+    const rule = schema[key];
+
+    if (!rule) {
+      errors.push(`unknown setting "${name}"`);
+      continue;
+    }
+    if (value === undefined) {
+      continue;
+    }
+    if (!matchesRule(value, rule)) {
+      errors.push(`"${name}" must be ${describeRule(rule)}${rule.nullable ? ' or null' : ''}, got ${JSON.stringify(value)}`);
+      continue;
+    }
+    if (rule.type === 'object' && value !== null) {
+      errors.push(...collectErrors(value, rule.properties, `${name}.`));
+    }
+    // Checks of the items of a value the type alone cannot express
+    if (rule.check) {
+      errors.push(...rule.check(value).map(problem => `"${name}" ${problem}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throws if settings do not match the schema
+ * @param {Object} settings - Settings of one layer (may be partial)
+ * @param {string} source - Where the settings come from, for messages
+ */
+export function validateConfig(settings, source) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Invalid configuration in ${source}: expected a JSON object`);
+  }
+
+  const errors = collectErrors(settings, SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in ${source}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+}
+
+/**
+ * Resolves relative paths of a layer against a base directory
+ * @param {Object} settings - Settings of one layer
+ * @param {string} baseDir - Directory relative paths are relative to
+ * @param {Object} schema - Schema for these settings
+ * @returns {Object} - Settings with absolute paths
+ */
+function resolvePaths(settings, baseDir, schema = SCHEMA) {
+  const resolved = { ...settings };
+
+  for (const [key, rule] of Object.entries(schema)) {
+    if (rule.type === 'path' && typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(baseDir, resolved[key]);
+    }
+    if (rule.type === 'object' && resolved[key]) {
+      resolved[key] = resolvePaths(resolved[key], baseDir, rule.properties);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Converts an environment variable to the type of its setting
+ * @param {string} value - Variable value
+ * @param {Object} rule - Schema rule of the setting
+ * @returns {*}
+ */
+function coerceEnvironmentValue(value, rule) {
+  if (rule.type === 'integer' || rule.type === 'number') {
+    // Unparsable numbers stay strings, so the error message shows them as given
+    const number = Number(value);
+    return value.trim() === '' || Number.isNaN(number) ? value : number;
+  }
+  if (rule.type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return value;
+}
+
+/**
+ * Reads settings from environment variables
+ * @returns {Object} - Settings layer
+ */
+function readEnvironment() {
+  const settings = {};
+
+  for (const [variable, key] of Object.entries(ENVIRONMENT_VARIABLES)) {
+    const value = process.env[variable];
+    if (value === undefined || value === '') continue;
+
+    const [section, property] = key.split('.');
+    const setting = property
+      ? { [section]: { [property]: coerceEnvironmentValue(value, SCHEMA[section].properties[property]) } }
+      : { [key]: coerceEnvironmentValue(value, SCHEMA[key]) };
+    validateConfig(setting, `environment variable ${variable}`);
+    Object.assign(settings, mergeLayer(settings, setting));
+  }
+
+  // The embedder and the chat client read their own variables
+  const embedding = getEmbeddingEnvironment();
+  if (Object.keys(embedding).length > 0) {
+    settings.embedding = embedding;
+  }
+  const llm = getLLMEnvironment();
+  if (Object.keys(llm).length > 0) {
+    settings.llm = llm;
+  }
+
+  return settings;
+}
+
+/**
+ * Merges a settings layer over another; object sections are merged key by key
+ * @param {Object} base - Lower layer
+ * @param {Object} layer - Higher layer
+ * @returns {Object}
+ */
+function mergeLayer(base, layer) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(layer)) {
+    if (value === undefined) continue;
+    const rule = SCHEMA[key];
+    if (rule && rule.type === 'object' && value !== null && merged[key]) {
+      const defined = Object.entries(value).filter(([, v]) => v !== undefined);
+      merged[key] = { ...merged[key], ...Object.fromEntries(defined) };
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Loads the effective configuration
+ * @param {Object} options - Load options
+ * @param {string} options.cwd - Directory to search the config file from (default: working directory)
+ * @param {string} options.file - Config file to use instead of searching (default: DOCUMENT_INDEXER_CONFIG)
+ * @param {Object} options.overrides - Settings from command-line flags (relative paths: working directory)
+ * @returns {Object} - Effective configuration; configFile holds the file used (or null)
+ */
+export function loadConfig(options = {}) {
+  const { cwd = process.cwd(), overrides = {} } = options;
+  const explicitFile = options.file || process.env.DOCUMENT_INDEXER_CONFIG;
+  const configFile = explicitFile ? path.resolve(cwd, explicitFile) : findConfigFile(cwd);
+
+  let config = structuredClone(CONFIG_DEFAULTS);
+
+  if (configFile) {
+    let fileSettings;
+    try {
+      fileSettings = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read config file ${configFile}: ${error.message}`);
+    }
+    validateConfig(fileSettings, configFile);
+    config = mergeLayer(config, resolvePaths(fileSettings, path.dirname(configFile)));
+  }
+
+  const environment = readEnvironment();
+  validateConfig(environment, 'environment variables (EMBEDDING_*, LLM_*)');
+  config = mergeLayer(config, resolvePaths(environment, cwd));
+
+  validateConfig(overrides, 'command-line flags');
+  config = mergeLayer(config, resolvePaths(overrides, cwd));
+
+  if (config.overlap >= config.chunkSize) {
+    throw new Error(`Invalid configuration: overlap (${config.overlap}) must be smaller than chunkSize (${config.chunkSize})`);
+  }
+  if (config.memory.summaryMaxTokens >= config.memory.maxTokens) {
+    throw new Error(`Invalid configuration: memory.summaryMaxTokens (${config.memory.summaryMaxTokens}) must be smaller than memory.maxTokens (${config.memory.maxTokens})`);
+  }
+
+  // The embedding cache belongs to the index it was filled for
+  if (!config.embeddingCache.dir) {
+    config.embeddingCache.dir = path.join(path.dirname(config.outputPath), '.embedding-cache');
+  }
+  if (!config.sessionsDir) {
+    config.sessionsDir = path.join(path.dirname(config.outputPath), 'sessions');
+  }
+  if (!config.eval.reportDir) {
+    config.eval.reportDir = path.join(path.dirname(config.outputPath), 'eval');
+  }
+
+  config.configFile = configFile;
+  return config;
+}
+
+/**
+ * Returns the configuration as recorded in index metadata: without credentials
+ * and without per-run flags
+ * @param {Object} config - Effective configuration
+ * @returns {Object}
+ */
+export function describeConfig(config) {
+  const described = {};
+
+  for (const key of [...Object.keys(SCHEMA), 'configFile']) {
+    const value = config[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      described[key] = Object.fromEntries(
+        Object.entries(value).filter(([name]) => !SECRET_KEYS.includes(name))
+      );
+    } else if (value !== undefined) {
+      described[key] = value;
+    }
+  }
+
+  return described;
+}
+
+/**
+ * Picks the settings that shape the index (documents, chunking, embedding,
+ * storage and HNSW graph) from a described configuration. Search, chat, prompt,
+ * memory and eval settings are left out: changing them does not touch the index.
+ * @param {Object} described - Configuration as returned by describeConfig
+ * @returns {Object} - Indexing settings
+ */
+export function getIndexingSettings(described) {
+  return Object.fromEntries(
+    INDEXING_KEYS.filter(key => described[key] !== undefined).map(key => [key, described[key]])
+  );
+}
+
+export { CONFIG_FILE_NAME, CONFIG_DEFAULTS };
@@ -0,0 +1,130 @@
+/**
+ * config.test.js - Configuration layering, validation and index settings
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  loadConfig,
+  validateConfig,
+  describeConfig,
+  getIndexingSettings,
+  findConfigFile,
+  CONFIG_FILE_NAME,
+  CONFIG_DEFAULTS
+} from './config.js';
+
+/**
+ * Runs a test body with a fresh temporary directory and the given environment
+ * variables, restoring the environment afterwards
+ * @param {Object} environment - Variables to set for the test
+ * @param {Function} body - Receives the directory path
+ */
+async function withProject(environment, body) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-test-'));
+  const saved = { ...process.env };
+  delete process.env.DOCUMENT_INDEXER_CONFIG;
+  Object.assign(process.env, environment);
+  try {
+    await body(dir);
+  } finally {
+    for (const key of Object.keys(process.env)) {
+      if (!(key in saved)) delete process.env[key];
+    }
+    Object.assign(process.env, saved);
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Writes a project config file
+ * @param {string} dir - Project directory
+ * @param {Object} settings - File contents
+ */
+async function writeConfig(dir, settings) {
+  await fs.writeFile(path.join(dir, CONFIG_FILE_NAME), JSON.stringify(settings));
+}
+
+test('defaults, config file, environment and flags are layered in that order', async () => {
+  await withProject({ DOCUMENT_INDEXER_OVERLAP: '40', DOCUMENT_INDEXER_TOP_K: '8' }, async (dir) => {
+    await writeConfig(dir, { chunkSize: 800, overlap: 100, documentsDir: 'docs', search: { topK: 3, mode: 'hybrid' } });
+    const nested = path.join(dir, 'a', 'b');
+    await fs.mkdir(nested, { recursive: true });
+
+    const config = loadConfig({ cwd: nested, overrides: { search: { topK: 12 } } });
+
+    assert.equal(config.configFile, path.join(dir, CONFIG_FILE_NAME));
+    assert.equal(config.chunkSize, 800);
+    assert.equal(config.overlap, 40);
+    assert.equal(config.search.topK, 12);
+    assert.equal(config.search.mode, 'hybrid');
+    assert.equal(config.search.fusion, CONFIG_DEFAULTS.search.fusion);
+    // Paths in the file are relative to the file, not the working directory
+    assert.equal(config.documentsDir, path.join(dir, 'docs'));
+  });
+});
+
+test('directories derived from the index follow the output path', async () => {
+  await withProject({}, async (dir) => {
+    await writeConfig(dir, { outputPath: 'build/index.json' });
+    const config = loadConfig({ cwd: dir });
+
+    assert.equal(config.embeddingCache.dir, path.join(dir, 'build', '.embedding-cache'));
+    assert.equal(config.sessionsDir, path.join(dir, 'build', 'sessions'));
+    assert.equal(config.eval.reportDir, path.join(dir, 'build', 'eval'));
+  });
+});
+
+test('invalid settings name their layer and setting', async () => {
+  assert.throws(() => validateConfig({ chunkSize: 0 }, 'test'), /"chunkSize" must be an integer of at least 1, got 0/);
+  assert.throws(() => validateConfig({ search: { mode: 'fuzzy' } }, 'test'), /"search\.mode" must be one of/);
+  assert.throws(() => validateConfig({ chunkSzie: 10 }, 'test'), /unknown setting "chunkSzie"/);
+  assert.throws(() => validateConfig([], 'test'), /expected a JSON object/);
+
+  await withProject({ DOCUMENT_INDEXER_CHUNK_SIZE: 'big' }, async (dir) => {
+    assert.throws(() => loadConfig({ cwd: dir }), /environment variable DOCUMENT_INDEXER_CHUNK_SIZE/);
+  });
+  await withProject({}, async (dir) => {
+    await fs.writeFile(path.join(dir, CONFIG_FILE_NAME), '{ not json');
+    assert.throws(() => loadConfig({ cwd: dir }), /Cannot read config file/);
+    assert.throws(() => loadConfig({ cwd: dir, file: 'missing.json' }), /Cannot read config file .*missing\.json/);
+  });
+  await withProject({}, async (dir) => {
+    assert.throws(() => loadConfig({ cwd: dir, overrides: { chunkSize: 50 } }), /overlap \(50\) must be smaller than chunkSize \(50\)/);
+  });
+});
+
+test('findConfigFile returns null outside a project', async () => {
+  await withProject({}, async (dir) => {
+    assert.equal(findConfigFile(dir), null);
+  });
+});
+
+test('described settings leave out credentials; indexing settings leave out search and chat', async () => {
+  await withProject({}, async (dir) => {
+    await writeConfig(dir, {
+      embedding: { provider: 'openai', model: 'text-embedding-3-small', apiKey: 'sk-secret' },
+      llm: { apiKey: 'sk-llm' }
+    });
+    const described = describeConfig(loadConfig({ cwd: dir }));
+
+    assert.equal(described.embedding.apiKey, undefined);
+    assert.equal(described.embedding.model, 'text-embedding-3-small');
+    assert.equal(described.llm.apiKey, undefined);
+    assert.ok(!JSON.stringify(described).includes('sk-'));
+
+    const indexing = getIndexingSettings(described);
+    assert.deepEqual(Object.keys(indexing).sort(), [
+      'ann', 'chunkSize', 'chunkStrategy', 'chunkUnit', 'documentsDir', 'embedding',
+      'exclude', 'followSymlinks', 'include', 'indexFormat', 'overlap', 'quantization'
+    ]);
+    assert.deepEqual(
+      getIndexingSettings({ ...described, search: { topK: 9 }, llm: { model: 'other' } }),
+      indexing
+    );
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * context.js - Assembles retrieved chunks into prompt context
+ * - MMR diversity selection, so near-duplicate chunks do not crowd out other files
+ * - Neighbour expansion (±N chunks around a hit)
+ * - Merging of consecutive chunks of a file with their overlap removed
+ * - A character or token budget for the whole context
+ */
+
+import { getDocumentEmbedding } from './indexer.js';
+import { cosineSimilarity } from './searcher.js';
+
+// Default context assembly options
+const CONTEXT_DEFAULTS = {
+  neighbors: 0,       // Chunks to add on each side of a hit (by chunkIndex)
+  diversity: null,    // MMR lambda (0-1, 1 = relevance only); null disables diversity selection
+  budget: 8000,       // Maximum context size
+  budgetUnit: 'characters' // 'characters' or 'tokens'
+};
+
+// Overlaps shorter than this are treated as coincidence, not chunk overlap
+const MIN_OVERLAP = 8;
+
+// Longest overlap searched for between consecutive chunks
+const MAX_OVERLAP = 2000;
+
+// Per-index lookup of chunk positions by filename and chunkIndex
+const chunkLookups = new WeakMap();
+
+/**
+ * Returns a map from filename to (chunkIndex -> index position)
+ * @param {Object} index - The document index
+ * @returns {Map<string, Map<number, number>>}
+ */
+function getChunkLookup(index) {
+  if (!chunkLookups.has(index)) {
+    const lookup = new Map();
+    index.documents.forEach((doc, position) => {
+      const { filename, chunkIndex } = doc.source;
+      if (!lookup.has(filename)) {
+        lookup.set(filename, new Map());
+      }
+      lookup.get(filename).set(chunkIndex, position);
+    });
+    chunkLookups.set(index, lookup);
+  }
+  return chunkLookups.get(index);
+}
+
+/**
+ * Orders results by maximal marginal relevance: each pick maximizes
+ * lambda * relevance - (1 - lambda) * similarity to the chunks already picked
+ * @param {Object} index - The document index
+ * @param {Array<{id: number, score: number}>} results - Search results, best first
+ * @param {number} lambda - Trade-off between relevance (1) and diversity (0)
+ * @returns {Array} - Results in MMR order
+ */
+export function selectDiverse(index, results, lambda) {
+  if (results.length <= 1) {
+    return [...results];
+  }
+
+  // Scores are scaled to 0-1 so that unbounded scores (BM25) compare with similarities
+  const maxScore = Math.max(...results.map(r => r.score));
+  const relevance = results.map(r => (maxScore > 0 ? r.score / maxScore : 0));
+  const embeddings = results.map(r => getDocumentEmbedding(index, r.id));
+
+  const remaining = results.map((r, i) => i);
+  const selected = [];
+  const maxSimilarity = new Array(results.length).fill(-Infinity);
+
+  while (remaining.length > 0) {
+    let bestPosition = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((i, position) => {
+      const redundancy = selected.length > 0 ? maxSimilarity[i] : 0;
+      const value = lambda * relevance[i] - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestPosition = position;
+      }
+    });
+
+    const [picked] = remaining.splice(bestPosition, 1);
+    selected.push(picked);
+
+    for (const i of remaining) {
+      maxSimilarity[i] = Math.max(maxSimilarity[i], cosineSimilarity(embeddings[i], embeddings[picked]));
+    }
+  }
+
+  return selected.map(i => results[i]);
+}
+
+/**
+ * Finds how many leading characters of the next chunk repeat the end of the previous one
+ * @param {string} previous - Previous chunk text
+ * @param {string} next - Next chunk text
+ * @returns {number} - Length of the overlap (0 if none)
+ */
+export function findOverlap(previous, next) {
+  const longest = Math.min(previous.length, next.length, MAX_OVERLAP);
+
+  for (let length = longest; length >= MIN_OVERLAP; length--) {
+    if (previous.endsWith(next.slice(0, length))) {
+      return length;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Joins consecutive chunks of one file into a single passage without repeating overlaps
+ * @param {string[]} contents - Chunk texts in chunkIndex order
+ * @returns {string} - Merged text
+ */
+function mergeContents(contents) {
+  return contents.reduce((merged, content) => {
+    if (!merged) {
+      return content;
+    }
+    const overlap = findOverlap(merged, content);
+    return overlap > 0 ? merged + content.slice(overlap) : `${merged}\n${content}`;
+  }, '');
+}
+
+/**
+ * Builds a passage source covering a run of chunks of one file
+ * @param {Object[]} sources - Chunk sources in chunkIndex order
+ * @returns {Object} - Source with chunkIndex/chunkEnd and the page range of the run
+ */
+function mergeSources(sources) {
+  const first = sources[0];
+  const last = sources[sources.length - 1];
+  const source = { filename: first.filename, chunkIndex: first.chunkIndex, chunkEnd: last.chunkIndex };
+
+  if (first.headingPath) {
+    source.headingPath = first.headingPath;
+  }
+
+  const pageStarts = sources.map(s => s.pageStart).filter(p => p !== undefined);
+  const pageEnds = sources.map(s => s.pageEnd).filter(p => p !== undefined);
+  if (pageStarts.length > 0) {
+    source.pageStart = Math.min(...pageStarts);
+    source.pageEnd = Math.max(...pageEnds);
+  }
+
+  return source;
+}
+
+/**
+ * Assembles search results into context passages for a prompt.
+ * Hits are taken in relevance (or MMR) order together with their neighbours
+ * until the budget is used up; chunks of the same file that end up adjacent
+ * are merged into one passage with the repeated overlap removed.
+ * @param {Object} index - The document index
+ * @param {Array<{id: number, content: string, source: Object, score: number}>} results - Search results
+ * @param {Object} options - Assembly options
+ * @param {number} options.neighbors - Chunks to add on each side of a hit (default: 0)
+ * @param {number|null} options.diversity - MMR lambda (0-1); null disables (default: null)
+ * @param {number} options.budget - Maximum context size (default: 8000)
+ * @param {string} options.budgetUnit - 'characters' (default) or 'tokens'
+ * @param {Function} options.countTokens - Token counter, required for the 'tokens' unit
+ * @returns {{passages: Array<{content: string, source: Object, score: number, hits: number, ids: number[]}>, stats: Object}}
+ *   ids are the index positions of the chunks merged into a passage
+ */
+export function buildContext(index, results, options = {}) {
+  const { neighbors, diversity, budget, budgetUnit, countTokens } = { ...CONTEXT_DEFAULTS, ...options };
+
+  if (budgetUnit === 'tokens' && !countTokens) {
+    throw new Error('A countTokens function is required for a token budget');
+  }
+
+  const measure = budgetUnit === 'tokens' ? text => countTokens(text) : text => text.length;
+  const ordered = diversity === null || diversity === undefined
+    ? results
+    : selectDiverse(index, results, diversity);
+  const lookup = getChunkLookup(index);
+
+  // Positions taken into the context, with the best hit score that pulled them in
+  const taken = new Map();
+  const hitPositions = new Set();
+  let used = 0;
+  let skippedHits = 0;
+
+  const take = (position, score) => {
+    if (taken.has(position)) {
+      return true;
+    }
+    const cost = measure(index.documents[position].content);
+    if (used + cost > budget) {
+      return false;
+    }
+    used += cost;
+    taken.set(position, score);
+    return true;
+  };
+
+  for (const result of ordered) {
+    if (!take(result.id, result.score)) {
+      skippedHits++;
+      continue;
+    }
+    hitPositions.add(result.id);
+
+    // Neighbours closest to the hit first, alternating before and after
+    const { filename, chunkIndex } = result.source;
+    const fileChunks = lookup.get(filename) || new Map();
+    for (let distance = 1; distance <= neighbors; distance++) {
+      for (const neighborIndex of [chunkIndex - distance, chunkIndex + distance]) {
+        const position = fileChunks.get(neighborIndex);
+        if (position !== undefined) {
+          take(position, result.score);
+        }
+      }
+    }
+  }
+
+  // Group taken chunks into runs of consecutive chunkIndex per file
+  const byFile = new Map();
+  for (const position of taken.keys()) {
+    const { filename } = index.documents[position].source;
+    if (!byFile.has(filename)) {
+      byFile.set(filename, []);
+    }
+    byFile.get(filename).push(position);
+  }
+
+  const passages = [];
+  for (const positions of byFile.values()) {
+    positions.sort((a, b) => index.documents[a].source.chunkIndex - index.documents[b].source.chunkIndex);
+
+    let run = [];
+    const flush = () => {
+      if (run.length === 0) return;
+      const docs = run.map(p => index.documents[p]);
+      passages.push({
+        content: mergeContents(docs.map(d => d.content)),
+        source: mergeSources(docs.map(d => d.source)),
+        score: Math.max(...run.map(p => taken.get(p))),
+        hits: run.filter(p => hitPositions.has(p)).length,
+        ids: [...run]
+      });
+      run = [];
+    };
+
+    for (const position of positions) {
+      const previous = run[run.length - 1];
+      if (previous !== undefined &&
+        index.documents[position].source.chunkIndex !== index.documents[previous].source.chunkIndex + 1) {
+        flush();
+      }
+      run.push(position);
+    }
+    flush();
+  }
+
+  passages.sort((a, b) => b.score - a.score);
+
+  const size = passages.reduce((sum, p) => sum + measure(p.content), 0);
+
+  const stats = {
+    hits: hitPositions.size,
+    skippedHits,
+    neighbors: taken.size - hitPositions.size,
+    passages: passages.length,
+    budget,
+    budgetUnit,
+    used: size,
+    saved: used - size
+  };
+
+  return { passages, stats };
+}
+
+export { CONTEXT_DEFAULTS };
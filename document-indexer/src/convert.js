@@ -0,0 +1,57 @@
+/**
+ * convert.js - Converts an index between the JSON and binary formats
+ *
+ * Usage:
+ *   node src/convert.js <input> <output> [--format json|binary] [--quantize none|float16|int8]
+ */
+
+import { convertIndex } from './indexer.js';
+
+/**
+ * Reads the value of a command line option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. '--format')
+ * @param {string} defaultValue - Value used when the option is missing
+ * @returns {string} - Option value
+ */
+function getOption(args, name, defaultValue) {
+  const position = args.indexOf(name);
+  if (position === -1) {
+    return defaultValue;
+  }
+  if (position + 1 >= args.length) {
+    throw new Error(`Missing value for ${name}`);
+  }
+  return args[position + 1];
+}
+
+/**
+ * Main conversion function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+
+  if (positional.length !== 2) {
+    console.log('Usage: node src/convert.js <input> <output> [--format json|binary] [--quantize none|float16|int8]');
+    process.exit(1);
+  }
+
+  const [inputPath, outputPath] = positional;
+  const quantization = getOption(args, '--quantize', 'none');
+  const format = getOption(args, '--format', quantization !== 'none' ? 'binary' : 'json');
+
+  console.log('='.repeat(60));
+  console.log('Index Converter');
+  console.log('='.repeat(60));
+
+  try {
+    await convertIndex(inputPath, outputPath, { format, quantization });
+    console.log('\nConversion complete.');
+  } catch (error) {
+    console.error('\nError during conversion:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
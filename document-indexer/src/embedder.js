@@ -1,76 +1,349 @@
 /**
- * embedder.js - Module for generating embeddings using Transformers.js
- * Uses local model 'Xenova/all-MiniLM-L6-v2'
+ * embedder.js - Module for generating embeddings
+ * Delegates to a pluggable provider (see embedding-providers.js):
+ * a local Transformers.js model (default 'Xenova/all-MiniLM-L6-v2')
+ * or an OpenAI-compatible /embeddings endpoint
  */
 
-import { pipeline } from '@xenova/transformers';
+import { Worker } from 'worker_threads';
+import { createEmbeddingProvider } from './embedding-providers.js';
+import { openEmbeddingCache } from './embedding-cache.js';
 
-// Model configuration
-const MODEL_NAME = 'Xenova/all-MiniLM-L6-v2';
+// Default batching for generateEmbeddings
+const EMBEDDING_BATCH_DEFAULTS = {
+  batchSize: 32,  // Chunks per model call
+  workers: 0      // Worker threads (0 = embed on the main thread)
+};
 
-// Singleton for the embedding pipeline
-let embeddingPipeline = null;
+// Legacy indexes do not record their embedding settings; they were built with these
+const LEGACY_EMBEDDING = {
+  provider: 'transformers',
+  pooling: 'mean',
+  normalize: true
+};
 
 /**
- * Initializes the embedding pipeline (singleton)
- * @returns {Promise<Pipeline>} - Initialized pipeline
+ * Reads embedding settings from the environment
+ * (EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_BASE_URL, EMBEDDING_POOLING,
+ * EMBEDDING_NORMALIZE, EMBEDDING_DIMENSIONS)
+ * @returns {Object} - Provider settings
  */
-async function getEmbeddingPipeline() {
-  if (!embeddingPipeline) {
-    console.log(`Loading embedding model: ${MODEL_NAME}`);
-    console.log('This may take a moment on first run (downloading model)...');
+function getEnvironmentConfig() {
+  const env = process.env;
+  const config = {};
+
+  if (env.EMBEDDING_PROVIDER) config.provider = env.EMBEDDING_PROVIDER;
+  if (env.EMBEDDING_MODEL) config.model = env.EMBEDDING_MODEL;
+  if (env.EMBEDDING_BASE_URL) config.baseURL = env.EMBEDDING_BASE_URL;
+  if (env.EMBEDDING_POOLING) config.pooling = env.EMBEDDING_POOLING;
+  if (env.EMBEDDING_NORMALIZE) config.normalize = env.EMBEDDING_NORMALIZE !== 'false';
+  if (env.EMBEDDING_DIMENSIONS) config.dimensions = Number(env.EMBEDDING_DIMENSIONS);
+
+  return config;
+}
+
+// Active provider settings and the provider built from them (singleton)
+let embeddingConfig = getEnvironmentConfig();
+let embeddingProvider = null;
+
+// Vector size seen in real model output (null until the first embedding)
+let detectedDimension = null;
+
+// Embedding cache settings (null = no cache) and the cache opened for the active settings
+let cacheOptions = null;
+let cachePromise = null;
+
+/**
+ * Replaces the embedding provider settings
+ * @param {Object|null} config - Provider settings (provider, model, and provider options);
+ *   null restores the settings from the environment
+ */
+export function configureEmbedder(config = null) {
+  embeddingConfig = config ? { ...config } : getEnvironmentConfig();
+  embeddingProvider = null;
+  detectedDimension = null;
+  // Cached vectors are stored per embedding settings
+  cachePromise = null;
+}
+
+/**
+ * Enables the on-disk embedding cache (see embedding-cache.js), or disables it with null
+ * @param {Object|null} options - Cache settings
+ * @param {string} options.dir - Cache directory
+ * @param {number} options.maxEntries - Maximum number of cached vectors
+ * @param {number} options.maxSizeMB - Maximum cache file size in MB
+ */
+export function configureEmbeddingCache(options) {
+  cacheOptions = options ? { ...options } : null;
+  cachePromise = null;
+}
+
+/**
+ * Opens the embedding cache for the active settings (once)
+ * @returns {Promise<Object|null>} - Cache, or null when caching is off
+ */
+function getCache() {
+  if (!cacheOptions) {
+    return Promise.resolve(null);
+  }
+  if (!cachePromise) {
+    const { dir, ...limits } = cacheOptions;
+    cachePromise = openEmbeddingCache(dir, describeEmbedding(), limits);
+  }
+  return cachePromise;
+}
+
+/**
+ * Returns hit statistics of the embedding cache
+ * @returns {Promise<Object|null>} - Cache statistics, or null when caching is off
+ */
+export async function getEmbeddingCacheStats() {
+  const cache = await getCache();
+  return cache ? cache.getStats() : null;
+}
+
+/**
+ * Configures the embedder with the settings an index was built with, so that
+ * queries are embedded by the same model
+ * @param {Object} metadata - Index metadata
+ */
+export function useIndexEmbedding(metadata) {
+  const { provider, model, pooling, normalize, baseURL, dimensions } = metadata.embedding || {
+    ...LEGACY_EMBEDDING,
+    model: metadata.model
+  };
+
+  configureEmbedder({
+    // Endpoint and credentials may differ per machine, so the environment wins for those
+    ...getEnvironmentConfig(),
+    provider,
+    model,
+    ...(pooling !== undefined ? { pooling } : {}),
+    ...(normalize !== undefined ? { normalize } : {}),
+    ...(baseURL && !process.env.EMBEDDING_BASE_URL ? { baseURL } : {}),
+    ...(dimensions ? { dimensions } : {})
+  });
+}
 
-    const startTime = Date.now();
-    embeddingPipeline = await pipeline('feature-extraction', MODEL_NAME);
-    const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+/**
+ * Returns the active embedding provider (singleton)
+ * @returns {Object} - Embedding provider
+ */
+function getProvider() {
+  if (!embeddingProvider) {
+    embeddingProvider = createEmbeddingProvider(embeddingConfig);
+  }
+  return embeddingProvider;
+}
 
-    console.log(`Model loaded in ${loadTime}s`);
+/**
+ * Checks vector sizes against earlier model output
+ * @param {number[][]} vectors - Embedding vectors
+ * @returns {number[][]} - The same vectors
+ */
+function checkDimensions(vectors) {
+  for (const vector of vectors) {
+    if (detectedDimension === null) {
+      detectedDimension = vector.length;
+    } else if (vector.length !== detectedDimension) {
+      throw new Error(`Embedding has ${vector.length} dimensions, expected ${detectedDimension}`);
+    }
   }
-  return embeddingPipeline;
+
+  return vectors;
+}
+
+/**
+ * Embeds texts and checks the vector size against earlier output
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<number[][]>} - Embedding vectors
+ */
+async function embedTexts(texts) {
+  return checkDimensions(await getProvider().embed(texts));
+}
+
+/**
+ * Starts worker threads that each embed batches with their own copy of the provider
+ * @param {number} count - Number of workers
+ * @returns {Array<{embed: Function, terminate: Function}>} - Worker handles
+ */
+function startWorkers(count) {
+  return Array.from({ length: count }, () => {
+    const worker = new Worker(new URL('./embedding-worker.js', import.meta.url), {
+      // Workers load the model while the progress line is shown, so they stay quiet
+      workerData: { config: { ...embeddingConfig, quiet: true } }
+    });
+    const pending = new Map();
+    let nextId = 0;
+    let failure = null;
+
+    const failAll = (error) => {
+      failure = failure || error;
+      for (const job of pending.values()) {
+        job.reject(failure);
+      }
+      pending.clear();
+    };
+
+    worker.on('message', ({ id, vectors, error }) => {
+      const job = pending.get(id);
+      pending.delete(id);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(vectors);
+      }
+    });
+    worker.on('error', failAll);
+    worker.on('exit', code => failAll(new Error(`Embedding worker exited with code ${code}`)));
+
+    return {
+      embed: texts => new Promise((resolve, reject) => {
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, texts });
+      }),
+      isAlive: () => !failure,
+      terminate: () => worker.terminate()
+    };
+  });
+}
+
+/**
+ * Embeds one batch; if the batch fails, its chunks are retried one by one so that
+ * a bad chunk only loses itself
+ * @param {Function} embed - Embeds an array of texts
+ * @param {string[]} texts - Batch texts
+ * @param {number[]} positions - Positions of the texts among all chunks (for messages)
+ * @param {Function} isAlive - Returns false once the embedding backend is gone for good
+ * @returns {Promise<Array<number[]|null>>} - One vector (or null on failure) per text
+ */
+async function embedBatch(embed, texts, positions, isAlive) {
+  try {
+    return checkDimensions(await embed(texts));
+  } catch (error) {
+    if (!isAlive()) {
+      throw error;
+    }
+    if (texts.length === 1) {
+      console.error(`\nError processing chunk ${positions[0] + 1}: ${error.message}`);
+      return [null];
+    }
+  }
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i++) {
+    vectors.push(...await embedBatch(embed, [texts[i]], [positions[i]], isAlive));
+  }
+  return vectors;
 }
 
 /**
  * Generates embeddings for an array of text chunks
  * @param {string[]} chunks - Array of text chunks
- * @returns {Promise<number[][]>} - Array of embedding vectors
+ * @param {Object} options - Generation options
+ * @param {number} options.batchSize - Chunks per model call (default: 32)
+ * @param {number} options.workers - Worker threads to spread batches over; 0 embeds on the main thread (default: 0)
+ * @returns {Promise<Array<number[]|null>>} - Array of embedding vectors (null for chunks that failed)
  */
-export async function generateEmbeddings(chunks) {
+export async function generateEmbeddings(chunks, options = {}) {
   if (!chunks || chunks.length === 0) {
     return [];
   }
 
-  const pipe = await getEmbeddingPipeline();
-  const embeddings = [];
+  const { batchSize, workers } = { ...EMBEDDING_BATCH_DEFAULTS, ...options };
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid batch size: ${batchSize} (expected a positive integer)`);
+  }
+  if (!Number.isInteger(workers) || workers < 0) {
+    throw new Error(`Invalid worker count: ${workers} (expected 0 or more)`);
+  }
+
+  const embeddings = new Array(chunks.length).fill(null);
 
   console.log(`\nGenerating embeddings for ${chunks.length} chunk(s)...`);
-  const startTime = Date.now();
 
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
+  // Chunks whose text was embedded before with the same settings come from the cache
+  const cache = await getCache();
+  const pending = [];
+  chunks.forEach((chunk, position) => {
+    const cached = cache ? cache.get(chunk) : null;
+    if (cached) {
+      embeddings[position] = checkDimensions([cached])[0];
+    } else {
+      pending.push(position);
+    }
+  });
+
+  if (cache) {
+    console.log(`Cache: ${chunks.length - pending.length} hit(s), ${pending.length} to embed`);
+  }
+
+  const batches = [];
+  for (let start = 0; start < pending.length; start += batchSize) {
+    batches.push(pending.slice(start, start + batchSize));
+  }
+
+  const workerCount = Math.min(workers, batches.length);
+  const runners = workerCount > 0
+    ? startWorkers(workerCount)
+    : [{ embed: embedTexts, isAlive: () => true, terminate: async () => {} }];
+
+  let nextBatch = 0;
+  let done = 0;
+
+  if (batches.length > 0) {
+    console.log(`Batch size: ${batchSize}, ${workerCount > 0 ? `${workerCount} worker thread(s)` : 'main thread'}`);
+  }
+  const startTime = Date.now();
 
-    // Show progress
-    process.stdout.write(`\rProcessing chunk ${i + 1} of ${chunks.length}...`);
+  // Each runner takes the next batch as soon as it is free
+  const run = async (runner) => {
+    while (nextBatch < batches.length) {
+      const positions = batches[nextBatch++];
+      const texts = positions.map(position => chunks[position]);
+      const vectors = await embedBatch(runner.embed, texts, positions, runner.isAlive);
 
-    try {
-      // Generate embedding
-      const output = await pipe(chunk, {
-        pooling: 'mean',
-        normalize: true
+      vectors.forEach((vector, i) => {
+        embeddings[positions[i]] = vector;
+        if (vector && cache) {
+          cache.set(texts[i], vector);
+        }
       });
 
-      // Convert to regular array
-      const embedding = Array.from(output.data);
-      embeddings.push(embedding);
-    } catch (error) {
-      console.error(`\nError processing chunk ${i + 1}: ${error.message}`);
-      // Push null for failed embeddings
-      embeddings.push(null);
+      // Show progress
+      done += texts.length;
+      process.stdout.write(`\rEmbedded ${done} of ${pending.length} chunk(s)...`);
+    }
+  };
+
+  try {
+    await Promise.all(runners.map(run));
+  } finally {
+    await Promise.all(runners.map(runner => runner.terminate()));
+    if (cache) {
+      await cache.flush({ compact: true });
     }
   }
 
-  const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-  console.log(`\nEmbeddings generated in ${totalTime}s`);
-  console.log(`Average: ${(totalTime / chunks.length).toFixed(3)}s per chunk`);
+  const seconds = (Date.now() - startTime) / 1000;
+  const failed = pending.filter(position => embeddings[position] === null).length;
+
+  if (pending.length > 0) {
+    console.log(`\nEmbeddings generated in ${seconds.toFixed(2)}s`);
+    console.log(`Average: ${(seconds / pending.length).toFixed(3)}s per chunk`);
+    console.log(`Throughput: ${(pending.length / Math.max(seconds, 0.001)).toFixed(1)} chunks/s in ${batches.length} batch(es)`);
+  } else {
+    console.log('All embeddings taken from the cache');
+  }
+  if (failed > 0) {
+    console.log(`Failed: ${failed} chunk(s) (skipped)`);
+  }
 
   return embeddings;
 }
@@ -85,14 +358,29 @@ export async function generateEmbedding(text) {
     throw new Error('Invalid input text');
   }
 
-  const pipe = await getEmbeddingPipeline();
+  const cache = await getCache();
+  const cached = cache ? cache.get(text) : null;
+  if (cached) {
+    return checkDimensions([cached])[0];
+  }
 
-  const output = await pipe(text, {
-    pooling: 'mean',
-    normalize: true
-  });
+  const [embedding] = await embedTexts([text]);
+  if (cache) {
+    cache.set(text, embedding);
+    await cache.flush();
+  }
+  return embedding;
+}
 
-  return Array.from(output.data);
+/**
+ * Creates a synchronous token counter for the active embedding model
+ * @returns {Promise<{countTokens: Function, maxTokens: number, maxSequenceLength: number, approximate: boolean}>}
+ *   countTokens(text) counts content tokens (without special tokens);
+ *   maxTokens is how many content tokens fit into one model input;
+ *   approximate is true when the provider has no local tokenizer
+ */
+export async function getTokenCounter() {
+  return getProvider().getTokenCounter();
 }
 
 /**
@@ -100,15 +388,66 @@ export async function generateEmbedding(text) {
  * @returns {string} - Model name
  */
 export function getModelName() {
-  return MODEL_NAME;
+  return getProvider().model;
+}
+
+/**
+ * Returns the settings that determine the embedding vectors (no credentials)
+ * @returns {{provider: string, model: string}} - Provider, model and provider options
+ */
+export function describeEmbedding() {
+  return getProvider().describe();
 }
 
 /**
- * Returns the embedding dimension for the current model
- * @returns {number} - Embedding dimension (384 for MiniLM-L6-v2)
+ * Returns the embedding dimension detected from real model output
+ * @returns {number|null} - Embedding dimension, or null before the first embedding
  */
 export function getEmbeddingDimension() {
-  return 384;
+  return detectedDimension;
+}
+
+/**
+ * Lists the embedding settings that differ between an index and the active provider
+ * @param {Object} metadata - Index metadata
+ * @returns {string[]} - Differences, e.g. ['model: a -> b']
+ */
+export function getEmbeddingMismatches(metadata) {
+  const indexed = metadata.embedding || { ...LEGACY_EMBEDDING, model: metadata.model };
+  const active = describeEmbedding();
+  const keys = ['provider', 'model', 'pooling', 'normalize', 'dimensions'];
+
+  return keys
+    .filter(key => indexed[key] !== active[key])
+    .map(key => `${key}: ${indexed[key] ?? 'default'} -> ${active[key] ?? 'default'}`);
+}
+
+/**
+ * Throws if queries embedded by the active provider cannot be compared with an index
+ * @param {Object} metadata - Index metadata
+ */
+export function assertIndexCompatible(metadata) {
+  const mismatches = getEmbeddingMismatches(metadata);
+
+  if (mismatches.length > 0) {
+    throw new Error(
+      `Index was built with different embedding settings (${mismatches.join(', ')}). ` +
+      'Re-index or configure the matching embedding model.'
+    );
+  }
+}
+
+/**
+ * Returns the Transformers.js pipeline of the active provider
+ * @returns {Promise<Pipeline>} - Initialized pipeline
+ */
+async function getEmbeddingPipeline() {
+  const provider = getProvider();
+
+  if (!provider.getPipeline) {
+    throw new Error(`The ${provider.name} embedding provider has no local pipeline`);
+  }
+  return provider.getPipeline();
 }
 
-export { getEmbeddingPipeline };
+export { getEmbeddingPipeline, getEnvironmentConfig as getEmbeddingEnvironment, EMBEDDING_BATCH_DEFAULTS };
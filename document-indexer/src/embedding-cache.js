@@ -0,0 +1,238 @@
+/**
+ * embedding-cache.js - Persistent on-disk cache of embedding vectors
+ * One JSONL file per set of embedding settings (provider, model, pooling, ...),
+ * one line per chunk text: { "key": sha256 of the text, "vector": base64 float32 }.
+ * Entries are kept in least-recently-used order; the oldest are evicted when
+ * the cache grows past its limits.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Default cache limits (per settings file)
+const CACHE_DEFAULTS = {
+  maxEntries: 100000,
+  maxSizeMB: 256
+};
+
+// Names produced by getCacheFileName, and the temp files of an interrupted compaction
+const CACHE_FILE_PATTERN = /^[\w.-]+-[0-9a-f]{8}\.jsonl$/;
+const TEMP_FILE_PATTERN = /^[\w.-]+-[0-9a-f]{8}\.jsonl\.\d+\.tmp$/;
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string} value - Input string
+ * @returns {string} - Hex digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value, 'utf-8').digest('hex');
+}
+
+/**
+ * Returns the cache file name for a set of embedding settings,
+ * e.g. 'Xenova_all-MiniLM-L6-v2-1f3a9c0e.jsonl'
+ * @param {Object} settings - Embedding settings (describeEmbedding())
+ * @returns {string} - File name
+ */
+export function getCacheFileName(settings) {
+  const sorted = Object.keys(settings).sort().map(key => [key, settings[key]]);
+  const slug = String(settings.model).replace(/[^\w.-]+/g, '_');
+  return `${slug}-${sha256(JSON.stringify(sorted)).slice(0, 8)}.jsonl`;
+}
+
+/**
+ * Encodes a vector as base64 float32
+ * @param {number[]} vector - Embedding vector
+ * @returns {string}
+ */
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+/**
+ * Decodes a base64 float32 vector
+ * @param {string} encoded - Encoded vector
+ * @returns {number[]}
+ */
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4));
+}
+
+/**
+ * Opens (or creates) the cache file for a set of embedding settings
+ * @param {string} dir - Cache directory
+ * @param {Object} settings - Embedding settings the vectors were made with
+ * @param {Object} options - Cache limits
+ * @param {number} options.maxEntries - Maximum number of cached vectors (default: 100000)
+ * @param {number} options.maxSizeMB - Maximum cache file size in MB (default: 256)
+ * @returns {Promise<Object>} - Cache with get, set, flush and getStats
+ */
+export async function openEmbeddingCache(dir, settings, options = {}) {
+  const { maxEntries, maxSizeMB } = { ...CACHE_DEFAULTS, ...options };
+  const maxBytes = maxSizeMB * 1024 * 1024;
+  const filePath = path.join(dir, getCacheFileName(settings));
+
+  // key -> encoded line; Map order is least recently used first
+  const entries = new Map();
+  let bytes = 0;
+  let fileLines = 0;
+
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      fileLines++;
+      try {
+        const { key } = JSON.parse(line);
+        // Later lines are newer: re-insert to move them to the end
+        if (entries.has(key)) {
+          bytes -= entries.get(key).length + 1;
+          entries.delete(key);
+        }
+        entries.set(key, line);
+        bytes += line.length + 1;
+      } catch {
+        // Skip lines cut short by an interrupted write
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const stats = { hits: 0, misses: 0, added: 0, evicted: 0 };
+  let appended = [];
+  let reordered = false;
+
+  const evict = () => {
+    for (const [key, line] of entries) {
+      if (entries.size <= maxEntries && bytes <= maxBytes) break;
+      entries.delete(key);
+      bytes -= line.length + 1;
+      stats.evicted++;
+    }
+  };
+
+  evict();
+
+  return {
+    filePath,
+
+    /**
+     * Looks up the vector for a text
+     * @param {string} text - Chunk or query text
+     * @returns {number[]|null} - Cached vector, or null on a miss
+     */
+    get(text) {
+      const key = sha256(text);
+      const line = entries.get(key);
+      if (line === undefined) {
+        stats.misses++;
+        return null;
+      }
+      stats.hits++;
+      entries.delete(key);
+      entries.set(key, line);
+      reordered = true;
+      return decodeVector(JSON.parse(line).vector);
+    },
+
+    /**
+     * Stores the vector for a text
+     * @param {string} text - Chunk or query text
+     * @param {number[]} vector - Embedding vector
+     */
+    set(text, vector) {
+      const key = sha256(text);
+      const line = JSON.stringify({ key, vector: encodeVector(vector) });
+      if (entries.has(key)) {
+        bytes -= entries.get(key).length + 1;
+        entries.delete(key);
+      }
+      entries.set(key, line);
+      bytes += line.length + 1;
+      appended.push(line);
+      stats.added++;
+      evict();
+    },
+
+    /**
+     * Writes new entries to disk. With compact (or once evicted entries pile up
+     * in the file), the file is rewritten in LRU order without stale lines;
+     * otherwise new entries are appended.
+     * @param {Object} options - Flush options
+     * @param {boolean} options.compact - Rewrite the whole file (default: false)
+     */
+    async flush({ compact = false } = {}) {
+      const stale = fileLines + appended.length - entries.size;
+      const rewrite = (compact && (reordered || stale > 0)) || stale > entries.size;
+
+      if (!rewrite && appended.length === 0) {
+        return;
+      }
+
+      await fs.mkdir(dir, { recursive: true });
+
+      if (rewrite) {
+        const lines = [...entries.values()];
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf-8');
+        await fs.rename(tempPath, filePath);
+        fileLines = lines.length;
+        reordered = false;
+      } else {
+        await fs.appendFile(filePath, `${appended.join('\n')}\n`, 'utf-8');
+        fileLines += appended.length;
+      }
+      appended = [];
+    },
+
+    /**
+     * Returns hit statistics and the cache size
+     * @returns {{hits: number, misses: number, added: number, evicted: number, entries: number, sizeBytes: number}}
+     */
+    getStats() {
+      return { ...stats, entries: entries.size, sizeBytes: bytes };
+    }
+  };
+}
+
+/**
+ * Deletes all cached embeddings. Only files named like getCacheFileName() output
+ * are removed; the directory itself goes only when nothing else is left in it.
+ * @param {string} dir - Cache directory
+ * @returns {Promise<number>} - Number of cache files removed
+ */
+export async function clearEmbeddingCache(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  // Other .jsonl files in the directory (e.g. eval question sets) are left alone
+  const files = names.filter(name => CACHE_FILE_PATTERN.test(name));
+  const leftovers = names.filter(name => TEMP_FILE_PATTERN.test(name));
+  for (const name of [...files, ...leftovers]) {
+    await fs.rm(path.join(dir, name), { force: true });
+  }
+
+  try {
+    await fs.rmdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST' && error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  return files.length;
+}
+
+export { CACHE_DEFAULTS };
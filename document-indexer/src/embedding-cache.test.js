@@ -0,0 +1,81 @@
+/**
+ * embedding-cache.test.js - On-disk embedding cache: persistence, eviction and clearing
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openEmbeddingCache, clearEmbeddingCache, getCacheFileName } from './embedding-cache.js';
+
+const settings = { provider: 'transformers', model: 'Xenova/all-MiniLM-L6-v2', pooling: 'mean', normalize: true };
+
+/**
+ * Runs a test body with a fresh temporary directory
+ * @param {Function} body - Receives the directory path
+ */
+async function withTempDir(body) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-test-'));
+  try {
+    await body(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('file names depend on every setting, not on their order', () => {
+  const name = getCacheFileName(settings);
+
+  assert.match(name, /^Xenova_all-MiniLM-L6-v2-[0-9a-f]{8}\.jsonl$/);
+  assert.equal(getCacheFileName({ normalize: true, pooling: 'mean', model: settings.model, provider: 'transformers' }), name);
+  assert.notEqual(getCacheFileName({ ...settings, pooling: 'cls' }), name);
+});
+
+test('vectors survive a reopen and the least recently used are evicted', async () => {
+  await withTempDir(async (dir) => {
+    const cache = await openEmbeddingCache(dir, settings, { maxEntries: 2 });
+    cache.set('a', [0.5, 0.25]);
+    cache.set('b', [1, 0]);
+    cache.get('a');
+    cache.set('c', [0, 1]);
+    // Compaction writes the entries in LRU order, so the reopened cache keeps it
+    await cache.flush({ compact: true });
+
+    const reopened = await openEmbeddingCache(dir, settings, { maxEntries: 2 });
+    assert.deepEqual(reopened.get('a'), [0.5, 0.25]);
+    assert.deepEqual(reopened.get('c'), [0, 1]);
+    assert.equal(reopened.get('b'), null);
+    assert.equal(reopened.getStats().hits, 2);
+  });
+});
+
+test('clearEmbeddingCache removes only the cache files', async () => {
+  await withTempDir(async (dir) => {
+    const cache = await openEmbeddingCache(dir, settings);
+    cache.set('a', [1, 2]);
+    await cache.flush();
+
+    const cacheFile = getCacheFileName(settings);
+    await fs.writeFile(path.join(dir, `${cacheFile}.1234.tmp`), '');
+    await fs.writeFile(path.join(dir, 'golden.jsonl'), '{}\n');
+    await fs.writeFile(path.join(dir, 'notes-v2.jsonl'), '{}\n');
+
+    assert.equal(await clearEmbeddingCache(dir), 1);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['golden.jsonl', 'notes-v2.jsonl']);
+  });
+});
+
+test('clearEmbeddingCache removes the directory once it is empty', async () => {
+  await withTempDir(async (root) => {
+    const dir = path.join(root, '.embedding-cache');
+    const cache = await openEmbeddingCache(dir, settings);
+    cache.set('a', [1, 2]);
+    await cache.flush();
+
+    assert.equal(await clearEmbeddingCache(dir), 1);
+    await assert.rejects(fs.stat(dir), { code: 'ENOENT' });
+    assert.equal(await clearEmbeddingCache(dir), 0);
+  });
+});
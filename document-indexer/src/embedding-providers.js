@@ -0,0 +1,204 @@
+/**
+ * embedding-providers.js - Embedding backends behind a common interface
+ *
+ * A provider is an object with:
+ * - name: provider kind ('transformers' or 'openai')
+ * - model: model name
+ * - embed(texts): Promise<number[][]>, one vector per input text
+ * - getTokenCounter(): Promise<{countTokens, maxTokens, maxSequenceLength, approximate}>
+ * - describe(): settings that determine the vectors (stored in the index metadata)
+ */
+
+import OpenAI from 'openai';
+
+// Supported provider kinds
+const EMBEDDING_PROVIDERS = ['transformers', 'openai'];
+
+// Pooling strategies that produce one vector per text
+const POOLING_STRATEGIES = ['mean', 'cls'];
+
+// Default settings per provider kind
+const PROVIDER_DEFAULTS = {
+  transformers: {
+    model: 'Xenova/all-MiniLM-L6-v2',
+    pooling: 'mean',
+    normalize: true
+  },
+  openai: {
+    model: 'text-embedding-3-small',
+    baseURL: null,
+    dimensions: null,
+    maxInputTokens: 8191
+  }
+};
+
+// Rough characters per token, for providers without a local tokenizer
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Creates a provider for a local Transformers.js feature-extraction model
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name (default: 'Xenova/all-MiniLM-L6-v2')
+ * @param {string} options.pooling - 'mean' (default) or 'cls'
+ * @param {boolean} options.normalize - Normalize vectors to unit length (default: true)
+ * @param {boolean} options.quiet - Do not log model loading (default: false)
+ * @returns {Object} - Embedding provider
+ */
+export function createTransformersProvider(options = {}) {
+  const { model, pooling, normalize, quiet } = { ...PROVIDER_DEFAULTS.transformers, ...options };
+
+  if (!POOLING_STRATEGIES.includes(pooling)) {
+    throw new Error(`Unknown pooling: ${pooling} (expected ${POOLING_STRATEGIES.join(', ')})`);
+  }
+
+  let extractor = null;
+
+  /**
+   * Loads the feature-extraction pipeline (once)
+   * @returns {Promise<Pipeline>}
+   */
+  const getPipeline = async () => {
+    if (!extractor) {
+      if (!quiet) {
+        console.log(`Loading embedding model: ${model}`);
+        console.log('This may take a moment on first run (downloading model)...');
+      }
+
+      const startTime = Date.now();
+      // Imported on first use: Transformers.js loads native modules (onnxruntime, sharp)
+      const { pipeline } = await import('@xenova/transformers');
+      extractor = await pipeline('feature-extraction', model);
+      const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      if (!quiet) {
+        console.log(`Model loaded in ${loadTime}s`);
+      }
+    }
+    return extractor;
+  };
+
+  return {
+    name: 'transformers',
+    model,
+
+    async embed(texts) {
+      const pipe = await getPipeline();
+      const output = await pipe(texts, { pooling, normalize });
+      const dimension = output.dims[output.dims.length - 1];
+
+      return texts.map((text, i) => Array.from(output.data.subarray(i * dimension, (i + 1) * dimension)));
+    },
+
+    async getTokenCounter() {
+      const pipe = await getPipeline();
+      const tokenizer = pipe.tokenizer;
+
+      // The model truncates at the smaller of the tokenizer limit and its position embeddings
+      const limits = [tokenizer.model_max_length, pipe.model?.config?.max_position_embeddings]
+        .filter(value => Number.isFinite(value) && value > 0);
+      const maxSequenceLength = limits.length > 0 ? Math.min(...limits) : 512;
+
+      // [CLS] and [SEP] (or the model's equivalents) take part of every input
+      const specialTokens = tokenizer.encode('').length;
+
+      const countTokens = text => tokenizer.encode(text, null, { add_special_tokens: false }).length;
+
+      return {
+        countTokens,
+        maxTokens: maxSequenceLength - specialTokens,
+        maxSequenceLength,
+        approximate: false
+      };
+    },
+
+    describe() {
+      return { provider: 'transformers', model, pooling, normalize };
+    },
+
+    getPipeline
+  };
+}
+
+/**
+ * Creates a provider for an OpenAI-compatible /embeddings endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name (default: 'text-embedding-3-small')
+ * @param {string} options.baseURL - API base URL, e.g. 'http://localhost:8080/v1' (default: OpenAI)
+ * @param {string} options.apiKey - API key (default: EMBEDDING_API_KEY or OPENAI_API_KEY; optional with a baseURL)
+ * @param {number} options.dimensions - Requested vector size, for models that support it
+ * @param {number} options.maxInputTokens - Input limit of the model (default: 8191)
+ * @returns {Object} - Embedding provider
+ */
+export function createOpenAIProvider(options = {}) {
+  const { model, baseURL, dimensions, maxInputTokens } = { ...PROVIDER_DEFAULTS.openai, ...options };
+  const apiKey = options.apiKey || process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+
+  if (!apiKey && !baseURL) {
+    throw new Error('OPENAI_API_KEY (or EMBEDDING_API_KEY) environment variable is not set');
+  }
+
+  // Local stand-in servers usually accept any key
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name: 'openai',
+    model,
+
+    async embed(texts) {
+      const response = await client.embeddings.create({
+        model,
+        input: texts,
+        // Plain floats: local stand-in servers often do not implement base64 encoding
+        encoding_format: 'float',
+        ...(dimensions ? { dimensions } : {})
+      });
+
+      if (!response.data || response.data.length !== texts.length) {
+        throw new Error(`Embedding endpoint returned ${response.data?.length ?? 0} vectors for ${texts.length} input(s)`);
+      }
+
+      return [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    },
+
+    async getTokenCounter() {
+      // No local tokenizer: estimate from the text length
+      return {
+        countTokens: text => Math.ceil(text.length / CHARS_PER_TOKEN),
+        maxTokens: maxInputTokens,
+        maxSequenceLength: maxInputTokens,
+        approximate: true
+      };
+    },
+
+    describe() {
+      return {
+        provider: 'openai',
+        model,
+        ...(baseURL ? { baseURL } : {}),
+        ...(dimensions ? { dimensions } : {})
+      };
+    }
+  };
+}
+
+/**
+ * Creates an embedding provider from settings
+ * @param {Object} config - Provider settings; config.provider selects the kind (default: 'transformers')
+ * @returns {Object} - Embedding provider
+ */
+export function createEmbeddingProvider(config = {}) {
+  const { provider = 'transformers', ...options } = config;
+
+  switch (provider) {
+    case 'transformers':
+      return createTransformersProvider(options);
+    case 'openai':
+      return createOpenAIProvider(options);
+    default:
+      throw new Error(`Unknown embedding provider: ${provider} (expected ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+}
+
+export { EMBEDDING_PROVIDERS, PROVIDER_DEFAULTS };
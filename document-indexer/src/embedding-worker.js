@@ -0,0 +1,19 @@
+/**
+ * embedding-worker.js - Worker thread that embeds batches of texts
+ * Started by generateEmbeddings (embedder.js) when workers > 0; each worker
+ * loads its own copy of the embedding provider
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { createEmbeddingProvider } from './embedding-providers.js';
+
+const provider = createEmbeddingProvider(workerData.config);
+
+parentPort.on('message', async ({ id, texts }) => {
+  try {
+    const vectors = await provider.embed(texts);
+    parentPort.postMessage({ id, vectors });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,381 @@
+/**
+ * eval.js - Retrieval evaluation against a golden question set
+ *
+ * A question set is a JSONL file, one question per line:
+ *   {"question": "How do I restore a backup?", "expected": ["guides/backup.md#4", "restore.md"]}
+ * An expected entry is a file path glob (see glob.js), optionally followed by
+ * "#<chunk index>" to name one chunk. Any retrieved chunk that matches an
+ * expected entry is relevant.
+ *
+ * Metrics, averaged over the questions:
+ *   recall@k     share of the expected entries found in the top k results
+ *   precision@k  share of the returned results (at most k) that are relevant
+ *   MRR          1 / rank of the first relevant result (0 if there is none)
+ *   nDCG@k       rank-discounted gain of the expected entries found, 1 = all at the top
+ *
+ * A sweep repeats the evaluation for every topK / threshold combination and
+ * recommends the setting with the best value of one metric. The default is
+ * recall: nDCG and precision are normalized per k, so they favour topK 1 even
+ * when it leaves expected sources out of the answer context.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { searchByText } from './searcher.js';
+import { matchesGlob } from './glob.js';
+
+// Format version of report files
+const REPORT_VERSION = 1;
+
+// Metrics reported for every run
+const METRICS = ['recall', 'precision', 'mrr', 'ndcg'];
+
+// Default sweep settings
+const EVAL_DEFAULTS = {
+  thresholds: [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+  topKValues: [1, 3, 5, 10],
+  metric: 'recall'
+};
+
+// Settings within this distance of the best metric value count as equally good
+const RECOMMEND_TOLERANCE = 0.01;
+
+/**
+ * Parses an expected entry, e.g. 'guides/backup.md#4'
+ * @param {string} entry - File path glob, optionally with '#<chunk index>'
+ * @returns {{pattern: string, chunkIndex: number|null, label: string}}
+ */
+function parseExpected(entry) {
+  const match = entry.match(/^(.+)#(\d+)$/);
+  return match
+    ? { pattern: match[1], chunkIndex: parseInt(match[2], 10), label: entry }
+    : { pattern: entry, chunkIndex: null, label: entry };
+}
+
+/**
+ * Loads a golden question set
+ * @param {string} filePath - JSONL file
+ * @returns {Promise<Array<{question: string, expected: Array<{pattern: string, chunkIndex: number|null, label: string}>}>>}
+ */
+export async function loadQuestions(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Cannot read question set ${filePath}: ${error.message}`);
+  }
+
+  const questions = [];
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((line, i) => {
+    if (line.trim() === '') return;
+    const where = `${filePath}:${i + 1}`;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${where}: invalid JSON (${error.message})`);
+    }
+
+    if (!entry || typeof entry.question !== 'string' || entry.question.trim() === '') {
+      throw new Error(`${where}: "question" must be a non-empty string`);
+    }
+    const expected = typeof entry.expected === 'string' ? [entry.expected] : entry.expected;
+    if (!Array.isArray(expected) || expected.length === 0 ||
+      !expected.every(e => typeof e === 'string' && e.length > 0)) {
+      throw new Error(`${where}: "expected" must be a file path or a non-empty array of them`);
+    }
+
+    questions.push({ question: entry.question, expected: expected.map(parseExpected) });
+  });
+
+  if (questions.length === 0) {
+    throw new Error(`No questions in ${filePath}`);
+  }
+
+  return questions;
+}
+
+/**
+ * Checks whether a chunk source matches an expected entry
+ * @param {{filename: string, chunkIndex: number}} source - Chunk source
+ * @param {{pattern: string, chunkIndex: number|null}} expected - Parsed expected entry
+ * @returns {boolean}
+ */
+function matchesExpected(source, expected) {
+  return matchesGlob(source.filename, expected.pattern) &&
+    (expected.chunkIndex === null || expected.chunkIndex === source.chunkIndex);
+}
+
+/**
+ * Scores the results of one question
+ * @param {Array<{source: Object}>} results - Retrieved chunks, best first
+ * @param {Array<{pattern: string, chunkIndex: number|null}>} expected - Parsed expected entries
+ * @param {number} k - Cutoff
+ * @returns {{recall: number, precision: number, mrr: number, ndcg: number, relevant: boolean[], found: boolean[]}}
+ *   relevant flags each result, found flags each expected entry
+ */
+export function scoreResults(results, expected, k) {
+  const top = results.slice(0, k);
+  const found = expected.map(() => false);
+  const relevant = [];
+  let firstRelevantRank = null;
+  let dcg = 0;
+
+  top.forEach((result, i) => {
+    const matches = expected.map(e => matchesExpected(result.source, e));
+    const isRelevant = matches.some(Boolean);
+    relevant.push(isRelevant);
+
+    if (isRelevant && firstRelevantRank === null) {
+      firstRelevantRank = i + 1;
+    }
+    // Only the first result that finds an expected entry gains for it
+    if (matches.some((m, j) => m && !found[j])) {
+      dcg += 1 / Math.log2(i + 2);
+    }
+    matches.forEach((m, j) => {
+      if (m) found[j] = true;
+    });
+  });
+
+  let idcg = 0;
+  for (let i = 0; i < Math.min(expected.length, k); i++) {
+    idcg += 1 / Math.log2(i + 2);
+  }
+
+  return {
+    recall: found.filter(Boolean).length / expected.length,
+    precision: top.length > 0 ? relevant.filter(Boolean).length / top.length : 0,
+    mrr: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcg: idcg > 0 ? dcg / idcg : 0,
+    relevant,
+    found
+  };
+}
+
+/**
+ * Averages metrics over questions
+ * @param {Array<Object>} scores - Results of scoreResults
+ * @returns {Object} - Mean of every metric
+ */
+function averageMetrics(scores) {
+  return Object.fromEntries(METRICS.map(metric => [
+    metric,
+    scores.reduce((sum, s) => sum + s[metric], 0) / scores.length
+  ]));
+}
+
+/**
+ * Wraps an embedding function so every query is embedded only once
+ * @param {Function} embedFn - Embedding function
+ * @returns {Function}
+ */
+function memoizeEmbedding(embedFn) {
+  const embeddings = new Map();
+  return (text) => {
+    if (!embeddings.has(text)) {
+      embeddings.set(text, embedFn(text));
+    }
+    return embeddings.get(text);
+  };
+}
+
+/**
+ * Runs a question set through searchByText and scores the results
+ * @param {Object} index - The document index
+ * @param {Array} questions - Result of loadQuestions
+ * @param {Function} embedFn - Function to generate embedding for queries
+ * @param {Object} options - Search options (see searchByText); topK is the cutoff k
+ * @returns {Promise<{summary: Object, questions: Array}>}
+ *   summary: questions, k and the mean metrics; questions: per-question results and metrics
+ */
+export async function evaluate(index, questions, embedFn, options = {}) {
+  const k = options.topK || 5;
+  const evaluated = [];
+
+  for (const { question, expected } of questions) {
+    const { results } = await searchByText(index, question, embedFn, { ...options, topK: k });
+    const { relevant, found, ...metrics } = scoreResults(results, expected, k);
+
+    evaluated.push({
+      question,
+      expected: expected.map(e => e.label),
+      missing: expected.filter((_, j) => !found[j]).map(e => e.label),
+      results: results.slice(0, k).map((r, i) => ({
+        filename: r.source.filename,
+        chunkIndex: r.source.chunkIndex,
+        score: r.score,
+        relevant: relevant[i]
+      })),
+      metrics
+    });
+  }
+
+  return {
+    summary: { questions: evaluated.length, k, ...averageMetrics(evaluated.map(q => q.metrics)) },
+    questions: evaluated
+  };
+}
+
+/**
+ * Picks the recommended setting of a sweep: the best value of the metric; among
+ * settings within RECOMMEND_TOLERANCE of it, the smallest topK (less context per
+ * answer), then the highest threshold
+ * @param {Array<{topK: number, threshold: number}>} rows - Sweep rows with metrics
+ * @param {string} metric - Metric to optimize
+ * @returns {Object} - Recommended row
+ */
+export function recommendSetting(rows, metric = EVAL_DEFAULTS.metric) {
+  if (!METRICS.includes(metric)) {
+    throw new Error(`Unknown metric: ${metric} (expected ${METRICS.join(', ')})`);
+  }
+
+  const best = Math.max(...rows.map(row => row[metric]));
+  return rows
+    .filter(row => row[metric] >= best - RECOMMEND_TOLERANCE)
+    .sort((a, b) => a.topK - b.topK || b.threshold - a.threshold)[0];
+}
+
+/**
+ * Evaluates every topK / threshold combination
+ * @param {Object} index - The document index
+ * @param {Array} questions - Result of loadQuestions
+ * @param {Function} embedFn - Function to generate embedding for queries
+ * @param {Object} options - Search options (see searchByText) plus sweep settings
+ * @param {number[]} options.thresholds - Thresholds to try (default: 0 to 0.5)
+ * @param {number[]} options.topKValues - topK values to try (default: 1, 3, 5, 10)
+ * @param {string} options.metric - Metric the recommendation optimizes (default: 'recall')
+ * @returns {Promise<{metric: string, thresholds: number[], topKValues: number[], rows: Array, recommendation: Object}>}
+ */
+export async function sweepSettings(index, questions, embedFn, options = {}) {
+  const { metric, topKValues, thresholds: thresholdValues, ...searchOptions } = { ...EVAL_DEFAULTS, ...options };
+  // Shared by all combinations, so each question is embedded once
+  const embed = memoizeEmbedding(embedFn);
+
+  // BM25 scores and re-ranked candidates are not cut by the retrieval threshold
+  const thresholdApplies = searchOptions.mode !== 'lexical' && !searchOptions.rerank;
+  const thresholds = thresholdApplies ? thresholdValues : [searchOptions.threshold];
+
+  const rows = [];
+  for (const topK of topKValues) {
+    for (const threshold of thresholds) {
+      const { summary } = await evaluate(index, questions, embed, { ...searchOptions, topK, threshold });
+      rows.push({ topK, threshold, ...Object.fromEntries(METRICS.map(m => [m, summary[m]])) });
+    }
+  }
+
+  return {
+    metric,
+    thresholds,
+    topKValues,
+    rows,
+    recommendation: recommendSetting(rows, metric)
+  };
+}
+
+/**
+ * Lists the settings in which a report differs from an earlier one: the question
+ * set file and the search settings. Such runs can be compared, but the change in
+ * the metrics is then due to them.
+ * @param {Object} baseline - Earlier report
+ * @param {Object} report - Current report
+ * @returns {string[]} - Differences, e.g. 'search.threshold: 0.3 -> 0.2'
+ */
+export function getReportDifferences(baseline, report) {
+  const differences = [];
+
+  if (baseline.questionsFile !== report.questionsFile) {
+    differences.push(`questionsFile: ${baseline.questionsFile} -> ${report.questionsFile}`);
+  }
+
+  const before = baseline.search || {};
+  const after = report.search || {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      differences.push(`search.${key}: ${JSON.stringify(before[key] ?? null)} -> ${JSON.stringify(after[key] ?? null)}`);
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Compares the summary of a report with an earlier one. Reports of different
+ * questions or cutoffs k are refused: their metrics do not measure the same thing.
+ * @param {Object} baseline - Earlier report
+ * @param {Object} report - Current report
+ * @returns {Object} - Per metric: { before, after, change }
+ */
+export function compareReports(baseline, report) {
+  if (baseline.summary.k !== report.summary.k) {
+    throw new Error(`Cannot compare with the baseline: it was scored at k=${baseline.summary.k}, this run at k=${report.summary.k}`);
+  }
+  if (baseline.summary.questions !== report.summary.questions) {
+    throw new Error(
+      `Cannot compare with the baseline: it has ${baseline.summary.questions} question(s), this run ${report.summary.questions}`
+    );
+  }
+  if (Array.isArray(baseline.questions) && Array.isArray(report.questions)) {
+    const changed = report.questions.findIndex((q, i) =>
+      !baseline.questions[i] || baseline.questions[i].question !== q.question ||
+      JSON.stringify(baseline.questions[i].expected) !== JSON.stringify(q.expected));
+    if (changed !== -1) {
+      throw new Error(`Cannot compare with the baseline: question ${changed + 1} differs ("${report.questions[changed].question}")`);
+    }
+  }
+
+  return Object.fromEntries(METRICS.map(metric => {
+    const before = baseline.summary[metric];
+    const after = report.summary[metric];
+    return [metric, { before, after, change: after - before }];
+  }));
+}
+
+/**
+ * Returns a report file name from a date, e.g. 'eval-2024-01-15-103012.json'
+ * @param {Date} date - Date (default: now)
+ * @returns {string}
+ */
+export function defaultReportName(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `eval-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.json`;
+}
+
+/**
+ * Writes a report file
+ * @param {string} filePath - Output file
+ * @param {Object} report - Report
+ * @returns {Promise<string>} - Absolute path of the written file
+ */
+export async function writeReport(filePath, report) {
+  const outputPath = path.resolve(filePath);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify({ version: REPORT_VERSION, ...report }, null, 2), 'utf-8');
+  return outputPath;
+}
+
+/**
+ * Loads a report file written by writeReport
+ * @param {string} filePath - Report file
+ * @returns {Promise<Object>} - Report
+ */
+export async function loadReport(filePath) {
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read report ${filePath}: ${error.message}`);
+  }
+
+  if (report.version !== REPORT_VERSION || !report.summary) {
+    throw new Error(`Unsupported report file: ${filePath}`);
+  }
+
+  return report;
+}
+
+export { EVAL_DEFAULTS, METRICS };
@@ -0,0 +1,175 @@
+/**
+ * eval.test.js - Retrieval metrics, sweeps and report comparison
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  loadQuestions,
+  scoreResults,
+  evaluate,
+  sweepSettings,
+  recommendSetting,
+  compareReports,
+  getReportDifferences,
+  writeReport,
+  loadReport
+} from './eval.js';
+import { createIndex } from './indexer.js';
+
+/**
+ * Runs a test body with a fresh temporary directory
+ * @param {Function} body - Receives the directory path
+ */
+async function withTempDir(body) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eval-test-'));
+  try {
+    await body(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const result = (filename, chunkIndex) => ({ source: { filename, chunkIndex } });
+const expect = (pattern, chunkIndex = null) => ({ pattern, chunkIndex, label: pattern });
+
+test('metrics score the ranks of the expected entries', () => {
+  const results = [result('other.md', 0), result('guides/backup.md', 4), result('restore.md', 1)];
+  const scores = scoreResults(results, [expect('guides/backup.md', 4), expect('restore.md')], 3);
+
+  assert.equal(scores.recall, 1);
+  assert.equal(scores.precision, 2 / 3);
+  assert.equal(scores.mrr, 1 / 2);
+  assert.ok(Math.abs(scores.ndcg - (1 / Math.log2(3) + 1 / Math.log2(4)) / (1 + 1 / Math.log2(3))) < 1e-12);
+  assert.deepEqual(scores.relevant, [false, true, true]);
+
+  const cut = scoreResults(results, [expect('restore.md')], 2);
+  assert.deepEqual([cut.recall, cut.precision, cut.mrr, cut.ndcg], [0, 0, 0, 0]);
+  // A chunk index must match exactly, a glob matches any chunk of its files
+  assert.equal(scoreResults([result('guides/backup.md', 3)], [expect('guides/backup.md', 4)], 1).recall, 0);
+  assert.equal(scoreResults([result('guides/backup.md', 3)], [expect('guides/*.md')], 1).recall, 1);
+});
+
+test('only the first result of an expected entry gains for it', () => {
+  const scores = scoreResults([result('a.md', 0), result('a.md', 1)], [expect('a.md')], 2);
+  assert.equal(scores.ndcg, 1);
+  assert.equal(scores.precision, 1);
+});
+
+test('question sets are read from JSONL and checked line by line', async () => {
+  await withTempDir(async (dir) => {
+    const file = path.join(dir, 'questions.jsonl');
+    await fs.writeFile(file, [
+      '{"question": "How do I restore a backup?", "expected": ["guides/backup.md#4", "restore.md"]}',
+      '',
+      '{"question": "Who is on call?", "expected": "oncall.md"}'
+    ].join('\n'));
+
+    const questions = await loadQuestions(file);
+    assert.equal(questions.length, 2);
+    assert.deepEqual(questions[0].expected[0], { pattern: 'guides/backup.md', chunkIndex: 4, label: 'guides/backup.md#4' });
+    assert.deepEqual(questions[1].expected, [{ pattern: 'oncall.md', chunkIndex: null, label: 'oncall.md' }]);
+
+    await fs.writeFile(file, '{"question": "x", "expected": []}\n');
+    await assert.rejects(loadQuestions(file), /questions\.jsonl:1: "expected" must be/);
+    await fs.writeFile(file, '\n{"question": ""}\n');
+    await assert.rejects(loadQuestions(file), /questions\.jsonl:2: "question" must be/);
+    await fs.writeFile(file, '{not json}\n');
+    await assert.rejects(loadQuestions(file), /invalid JSON/);
+    await fs.writeFile(file, '\n');
+    await assert.rejects(loadQuestions(file), /No questions in/);
+  });
+});
+
+// The query vectors point at one chunk each; chunk 2 is a weak match for both
+const index = createIndex([
+  { content: 'Backups are restored with restore.sh', source: { filename: 'guides/backup.md', chunkIndex: 0 } },
+  { content: 'The on-call rota is in the wiki', source: { filename: 'oncall.md', chunkIndex: 0 } },
+  { content: 'Miscellaneous notes', source: { filename: 'notes.md', chunkIndex: 0 } }
+], [[1, 0], [0, 1], [0.6, 0.8]]);
+
+const questions = [
+  { question: 'restore', expected: [expect('guides/backup.md')] },
+  { question: 'on call', expected: [expect('oncall.md')] }
+];
+
+const embedQuery = async text => (text === 'restore' ? [1, 0] : [0, 1]);
+
+test('evaluate averages the metrics over the questions', async () => {
+  const report = await evaluate(index, questions, embedQuery, { topK: 2, threshold: 0 });
+
+  assert.deepEqual(report.summary, { questions: 2, k: 2, recall: 1, precision: 0.5, mrr: 1, ndcg: 1 });
+  assert.deepEqual(report.questions[0].results.map(r => [r.filename, r.relevant]), [
+    ['guides/backup.md', true],
+    ['notes.md', false]
+  ]);
+  assert.deepEqual(report.questions[1].missing, []);
+});
+
+test('a sweep recommends the smallest topK and highest threshold among the best settings', async () => {
+  let embedded = 0;
+  const countingEmbed = async text => {
+    embedded++;
+    return embedQuery(text);
+  };
+  const sweep = await sweepSettings(index, questions, countingEmbed, { topKValues: [1, 3], thresholds: [0, 0.9] });
+
+  assert.equal(sweep.rows.length, 4);
+  assert.equal(embedded, 2);
+  assert.deepEqual(
+    [sweep.recommendation.topK, sweep.recommendation.threshold, sweep.recommendation.recall],
+    [1, 0.9, 1]
+  );
+
+  const lexical = await sweepSettings(index, questions, countingEmbed, { mode: 'lexical', topKValues: [1], thresholds: [0, 0.5] });
+  assert.equal(lexical.rows.length, 1);
+  assert.throws(() => recommendSetting(sweep.rows, 'f1'), /Unknown metric: f1/);
+});
+
+const report = (k, questionTexts, recall, search = {}) => ({
+  questionsFile: 'questions.jsonl',
+  search,
+  summary: { questions: questionTexts.length, k, recall, precision: 0.5, mrr: 1, ndcg: 0.9 },
+  questions: questionTexts.map(question => ({ question, expected: ['a.md'] }))
+});
+
+test('reports are compared only for the same questions and k', () => {
+  const baseline = report(5, ['q1', 'q2'], 0.5, { threshold: 0.3 });
+
+  const comparison = compareReports(baseline, report(5, ['q1', 'q2'], 0.75));
+  assert.deepEqual(comparison.recall, { before: 0.5, after: 0.75, change: 0.25 });
+  assert.equal(comparison.mrr.change, 0);
+
+  assert.throws(() => compareReports(baseline, report(3, ['q1', 'q2'], 0.5)), /scored at k=5, this run at k=3/);
+  assert.throws(() => compareReports(baseline, report(5, ['q1'], 0.5)), /has 2 question\(s\), this run 1/);
+  assert.throws(() => compareReports(baseline, report(5, ['q1', 'q3'], 0.5)), /question 2 differs \("q3"\)/);
+});
+
+test('differing settings of two reports are listed', () => {
+  const baseline = report(5, ['q1'], 0.5, { threshold: 0.3, mode: 'semantic' });
+  const current = { ...report(5, ['q1'], 0.5, { threshold: 0.2, mode: 'semantic', rerank: true }), questionsFile: 'other.jsonl' };
+
+  assert.deepEqual(getReportDifferences(baseline, current), [
+    'questionsFile: questions.jsonl -> other.jsonl',
+    'search.threshold: 0.3 -> 0.2',
+    'search.rerank: null -> true'
+  ]);
+  assert.deepEqual(getReportDifferences(baseline, baseline), []);
+});
+
+test('reports round-trip through their file', async () => {
+  await withTempDir(async (dir) => {
+    const file = await writeReport(path.join(dir, 'eval', 'run.json'), report(5, ['q1'], 0.5));
+    const loaded = await loadReport(file);
+
+    assert.equal(loaded.version, 1);
+    assert.deepEqual(loaded.summary, report(5, ['q1'], 0.5).summary);
+
+    await fs.writeFile(file, '{"version": 2}');
+    await assert.rejects(loadReport(file), /Unsupported report file/);
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * extractors.js - Text extraction for markup and office formats
+ * HTML and EPUB keep headings as Markdown "#" lines, DOCX maps heading styles the same way
+ */
+
+import JSZip from 'jszip';
+import path from 'path';
+
+// Elements whose content is never useful as document text
+const SKIPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+  'head', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'select'
+]);
+
+// Sectioning elements; a <header> inside one holds its title, not page boilerplate
+const SECTIONING_ELEMENTS = new Set(['article', 'main', 'section']);
+
+// Elements that start a new line of text
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'blockquote', 'ul', 'ol', 'dl', 'dt', 'dd',
+  'table', 'thead', 'tbody', 'tfoot', 'figure', 'figcaption', 'address', 'hr', 'details', 'summary'
+]);
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', laquo: '«', raquo: '»',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', shy: ''
+};
+
+/**
+ * Decodes HTML/XML character entities
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Cuts an HTML page down to its <main> or <article> element when it has one
+ * @param {string} html - Full HTML page
+ * @returns {string} - Main content markup
+ */
+function selectMainContent(html) {
+  for (const tag of ['main', 'article']) {
+    const start = html.search(new RegExp(`<${tag}[\\s>]`, 'i'));
+    const end = html.toLowerCase().lastIndexOf(`</${tag}>`);
+    if (start !== -1 && end > start) {
+      return html.slice(start, end + tag.length + 3);
+    }
+  }
+
+  const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  return bodyMatch ? bodyMatch[1] : html;
+}
+
+/**
+ * Converts HTML to plain text, dropping navigation and other boilerplate.
+ * Headings become Markdown headings, list items become "- " lines,
+ * table rows become "| a | b |" lines and <pre> blocks become fenced code.
+ * @param {string} html - HTML markup
+ * @returns {string} - Extracted text
+ */
+export function htmlToText(html) {
+  const markup = selectMainContent(html.replace(/<!--[\s\S]*?-->/g, ''));
+  const tokens = markup.match(/<[^>]*>|[^<]+/g) || [];
+
+  const lines = [];
+  let current = '';
+  let skipElement = null;
+  let skipDepth = 0;
+  let preDepth = 0;
+  let cellCount = 0;
+  let cellDepth = 0;
+  let sectionDepth = 0;
+
+  const flush = () => {
+    const line = preDepth > 0 ? current.replace(/\s+$/, '') : current.replace(/[ \t]+/g, ' ').trim();
+    if (line) {
+      lines.push(line);
+    }
+    current = '';
+  };
+
+  const breakBlock = () => {
+    flush();
+    if (lines.length > 0 && lines[lines.length - 1] !== '') {
+      lines.push('');
+    }
+  };
+
+  for (const token of tokens) {
+    if (token[0] !== '<') {
+      if (skipElement) {
+        continue;
+      }
+      const text = decodeEntities(token);
+      if (preDepth > 0) {
+        const parts = text.split('\n');
+        current += parts[0];
+        for (const part of parts.slice(1)) {
+          if (current || lines[lines.length - 1] !== '```') {
+            lines.push(current.replace(/\s+$/, ''));
+          }
+          current = part;
+        }
+      } else {
+        current += text.replace(/\s+/g, ' ');
+      }
+      continue;
+    }
+
+    const tagMatch = token.match(/^<\s*(\/?)\s*([a-z0-9:-]+)/i);
+    if (!tagMatch) {
+      continue;
+    }
+
+    const closing = tagMatch[1] === '/';
+    const tag = tagMatch[2].toLowerCase();
+    const selfClosing = token.endsWith('/>') || VOID_ELEMENTS.has(tag);
+
+    // Skip boilerplate elements together with everything inside them
+    if (skipElement) {
+      if (tag === skipElement && !selfClosing) {
+        skipDepth += closing ? -1 : 1;
+        if (skipDepth === 0) {
+          skipElement = null;
+        }
+      }
+      continue;
+    }
+    if (!closing && SKIPPED_ELEMENTS.has(tag) && !(tag === 'header' && sectionDepth > 0)) {
+      if (!selfClosing) {
+        skipElement = tag;
+        skipDepth = 1;
+      }
+      continue;
+    }
+    if (SECTIONING_ELEMENTS.has(tag) && !selfClosing) {
+      sectionDepth = Math.max(0, sectionDepth + (closing ? -1 : 1));
+    }
+
+    const heading = tag.match(/^h([1-6])$/);
+
+    // Inside table cells, block structure collapses to spaces so rows stay on one line
+    if (cellDepth > 0 && tag !== 'td' && tag !== 'th' && tag !== 'tr') {
+      if (heading || tag === 'br' || tag === 'li' || BLOCK_ELEMENTS.has(tag)) {
+        current += ' ';
+      }
+      continue;
+    }
+
+    if (heading) {
+      breakBlock();
+      if (!closing) {
+        current = `${'#'.repeat(Number(heading[1]))} `;
+      }
+    } else if (tag === 'pre') {
+      breakBlock();
+      if (closing) {
+        preDepth = Math.max(0, preDepth - 1);
+        lines.splice(lines.length - 1, 0, '```');
+      } else {
+        if (lines[lines.length - 1] !== '') lines.push('');
+        lines.push('```');
+        preDepth++;
+      }
+    } else if (tag === 'br') {
+      flush();
+    } else if (tag === 'li') {
+      flush();
+      if (!closing) {
+        current = '- ';
+      }
+    } else if (tag === 'tr') {
+      flush();
+      if (!closing) {
+        current = '|';
+        cellCount = 0;
+      } else if (lines.length > 0 && cellCount === 0) {
+        lines.pop();
+      }
+    } else if (tag === 'td' || tag === 'th') {
+      if (closing) {
+        current += ' |';
+        cellCount++;
+        cellDepth = Math.max(0, cellDepth - 1);
+      } else {
+        current += ' ';
+        cellDepth++;
+      }
+    } else if (BLOCK_ELEMENTS.has(tag)) {
+      breakBlock();
+    }
+  }
+
+  flush();
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Extracts the text of a WordprocessingML fragment (runs, tabs and breaks)
+ * @param {string} xml - Paragraph XML
+ * @returns {string} - Paragraph text
+ */
+function extractRunText(xml) {
+  let text = '';
+  const runPattern = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\/>|<w:cr\/>/g;
+
+  for (const match of xml.matchAll(runPattern)) {
+    if (match[1] !== undefined) {
+      text += decodeEntities(match[1]);
+    } else if (match[0] === '<w:tab/>') {
+      text += '\t';
+    } else {
+      text += '\n';
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Converts a DOCX paragraph to a line of text, mapping heading styles to Markdown
+ * @param {string} xml - Paragraph XML
+ * @returns {string} - Paragraph text
+ */
+function convertDocxParagraph(xml) {
+  const text = extractRunText(xml).trim();
+  if (!text) {
+    return '';
+  }
+
+  const style = (xml.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+  const heading = style.match(/^(?:Heading|heading)\s?([1-6])$/);
+
+  if (style === 'Title') {
+    return `# ${text}`;
+  }
+  if (heading) {
+    return `${'#'.repeat(Number(heading[1]))} ${text}`;
+  }
+  if (/<w:numPr[\s>/]/.test(xml)) {
+    return `- ${text}`;
+  }
+  return text;
+}
+
+/**
+ * Extracts text from a DOCX file
+ * @param {Buffer} buffer - DOCX file contents
+ * @returns {Promise<string>} - Extracted text
+ */
+export async function extractDocxText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentFile = zip.file('word/document.xml');
+
+  if (!documentFile) {
+    throw new Error('Invalid DOCX file: word/document.xml not found');
+  }
+
+  const xml = await documentFile.async('string');
+  const blocks = [];
+  const blockPattern = /<w:tbl>[\s\S]*?<\/w:tbl>|<w:p[\s>][\s\S]*?<\/w:p>/g;
+
+  for (const match of xml.matchAll(blockPattern)) {
+    const block = match[0];
+
+    if (block.startsWith('<w:tbl>')) {
+      const rows = [];
+      for (const row of block.matchAll(/<w:tr[\s>][\s\S]*?<\/w:tr>/g)) {
+        const cells = [...row[0].matchAll(/<w:tc>[\s\S]*?<\/w:tc>/g)]
+          .map(cell => extractRunText(cell[0]).replace(/\s+/g, ' ').trim());
+        rows.push(`| ${cells.join(' | ')} |`);
+      }
+      if (rows.length > 0) {
+        blocks.push(rows.join('\n'));
+      }
+    } else {
+      const paragraph = convertDocxParagraph(block);
+      if (paragraph) {
+        blocks.push(paragraph);
+      }
+    }
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Extracts text from an EPUB file, following the reading order of its spine
+ * @param {Buffer} buffer - EPUB file contents
+ * @returns {Promise<string>} - Extracted text
+ */
+export async function extractEpubText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const containerFile = zip.file('META-INF/container.xml');
+  if (!containerFile) {
+    throw new Error('Invalid EPUB file: META-INF/container.xml not found');
+  }
+
+  const container = await containerFile.async('string');
+  const rootfilePath = (container.match(/<rootfile[^>]*full-path="([^"]+)"/) || [])[1];
+  const packageFile = rootfilePath && zip.file(rootfilePath);
+  if (!packageFile) {
+    throw new Error('Invalid EPUB file: package document not found');
+  }
+
+  const opf = await packageFile.async('string');
+  const baseDir = path.posix.dirname(rootfilePath);
+
+  // Map manifest ids to content documents
+  const manifest = new Map();
+  for (const item of opf.matchAll(/<item\s[^>]*>/g)) {
+    const id = (item[0].match(/\sid="([^"]+)"/) || [])[1];
+    const href = (item[0].match(/\shref="([^"]+)"/) || [])[1];
+    const mediaType = (item[0].match(/\smedia-type="([^"]+)"/) || [])[1];
+    if (id && href) {
+      manifest.set(id, { href: decodeURIComponent(href), mediaType });
+    }
+  }
+
+  const sections = [];
+  for (const itemref of opf.matchAll(/<itemref\s[^>]*idref="([^"]+)"[^>]*>/g)) {
+    const item = manifest.get(itemref[1]);
+    if (!item || !/html/.test(item.mediaType || '')) {
+      continue;
+    }
+
+    const itemPath = baseDir === '.' ? item.href : path.posix.join(baseDir, item.href);
+    const itemFile = zip.file(itemPath);
+    if (!itemFile) {
+      continue;
+    }
+
+    const text = htmlToText(await itemFile.async('string'));
+    if (text) {
+      sections.push(text);
+    }
+  }
+
+  return sections.join('\n\n');
+}
@@ -0,0 +1,171 @@
+/**
+ * filter.js - Metadata filters for search queries
+ *
+ * String syntax (terms separated by spaces, "-" negates a term):
+ *   path:runbooks/**   file path glob (slashless patterns match file names at any depth)
+ *   ext:md             file extension
+ *   after:2024-01-01   file modified on or after a date (or a relative age: 7d, 2w, 3m, 1y)
+ *   before:2024-06-30  file modified before a date
+ *
+ * Positive terms of the same kind are alternatives (ext:md ext:txt), different
+ * kinds must all match, negated terms exclude.
+ */
+
+import path from 'path';
+import { matchesAnyGlob } from './glob.js';
+
+// Relative date units in days
+const RELATIVE_DATE_UNITS = {
+  d: 1,
+  w: 7,
+  m: 30,
+  y: 365
+};
+
+/**
+ * Normalizes an extension to ".ext" form
+ * @param {string} ext - Extension with or without the dot
+ * @returns {string} - Lowercase extension with a leading dot
+ */
+function normalizeExtension(ext) {
+  const lower = ext.toLowerCase();
+  return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+/**
+ * Parses a date filter value
+ * @param {string} value - ISO date or relative age (e.g. "7d")
+ * @returns {number} - Timestamp in milliseconds
+ */
+function parseDate(value) {
+  const relative = value.match(/^(\d+)([dwmy])$/i);
+  if (relative) {
+    const days = Number(relative[1]) * RELATIVE_DATE_UNITS[relative[2].toLowerCase()];
+    return Date.now() - days * 24 * 60 * 60 * 1000;
+  }
+
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date in filter: ${value}`);
+  }
+  return timestamp;
+}
+
+/**
+ * Parses a filter expression
+ * @param {string} expression - Filter expression (see module description)
+ * @returns {{path: string[], ext: string[], notPath: string[], notExt: string[], after: string|null, before: string|null}} - Filter object
+ */
+export function parseFilter(expression) {
+  const filter = { path: [], ext: [], notPath: [], notExt: [], after: null, before: null };
+
+  for (const term of expression.trim().split(/\s+/).filter(Boolean)) {
+    const negated = term.startsWith('-');
+    const body = negated ? term.slice(1) : term;
+    const separator = body.indexOf(':');
+
+    if (separator <= 0 || separator === body.length - 1) {
+      throw new Error(`Invalid filter term: ${term} (expected key:value)`);
+    }
+
+    const key = body.slice(0, separator).toLowerCase();
+    const value = body.slice(separator + 1);
+
+    switch (key) {
+      case 'path':
+      case 'file':
+        (negated ? filter.notPath : filter.path).push(value);
+        break;
+      case 'ext':
+        (negated ? filter.notExt : filter.ext).push(...value.split(',').map(normalizeExtension));
+        break;
+      case 'after':
+      case 'before':
+        if (negated) {
+          throw new Error(`Date filters cannot be negated: ${term}`);
+        }
+        parseDate(value);
+        filter[key] = value;
+        break;
+      default:
+        throw new Error(`Unknown filter key: ${key} (expected path, ext, after, before)`);
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Formats a filter object back into its string form
+ * @param {Object} filter - Filter object
+ * @returns {string} - Filter expression
+ */
+export function formatFilter(filter) {
+  return [
+    ...(filter.path || []).map(p => `path:${p}`),
+    ...(filter.notPath || []).map(p => `-path:${p}`),
+    ...(filter.ext || []).map(e => `ext:${normalizeExtension(e).slice(1)}`),
+    ...(filter.notExt || []).map(e => `-ext:${normalizeExtension(e).slice(1)}`),
+    ...(filter.after ? [`after:${filter.after}`] : []),
+    ...(filter.before ? [`before:${filter.before}`] : [])
+  ].join(' ');
+}
+
+/**
+ * Compiles a filter into a predicate over index positions.
+ * File dates come from the index's file manifest; chunks of files without a
+ * recorded date never match a date filter.
+ * @param {string|Object} filter - Filter expression or object
+ * @param {Object} index - The document index
+ * @returns {Function|null} - (position) => boolean, or null for an empty filter
+ */
+export function compileFilter(filter, index) {
+  if (!filter) {
+    return null;
+  }
+
+  const parsed = typeof filter === 'string' ? parseFilter(filter) : filter;
+  const paths = parsed.path || [];
+  const notPaths = parsed.notPath || [];
+  const exts = (parsed.ext || []).map(normalizeExtension);
+  const notExts = (parsed.notExt || []).map(normalizeExtension);
+  const after = parsed.after ? parseDate(parsed.after) : null;
+  const before = parsed.before ? parseDate(parsed.before) : null;
+
+  if (paths.length + notPaths.length + exts.length + notExts.length === 0 && after === null && before === null) {
+    return null;
+  }
+
+  const files = (index.metadata && index.metadata.files) || {};
+
+  // Chunks of one file share the decision, so it is cached per filename
+  const decisions = new Map();
+
+  const matchesFile = filename => {
+    const ext = path.extname(filename).toLowerCase();
+
+    if (paths.length > 0 && !matchesAnyGlob(filename, paths)) return false;
+    if (notPaths.length > 0 && matchesAnyGlob(filename, notPaths)) return false;
+    if (exts.length > 0 && !exts.includes(ext)) return false;
+    if (notExts.includes(ext)) return false;
+
+    if (after !== null || before !== null) {
+      const file = files[filename];
+      const modified = file && file.mtime ? Date.parse(file.mtime) : NaN;
+
+      if (Number.isNaN(modified)) return false;
+      if (after !== null && modified < after) return false;
+      if (before !== null && modified >= before) return false;
+    }
+
+    return true;
+  };
+
+  return position => {
+    const filename = index.documents[position].source.filename;
+    if (!decisions.has(filename)) {
+      decisions.set(filename, matchesFile(filename));
+    }
+    return decisions.get(filename);
+  };
+}
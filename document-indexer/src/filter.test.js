@@ -0,0 +1,81 @@
+/**
+ * filter.test.js - Metadata filter parsing and matching
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilter, formatFilter, compileFilter } from './filter.js';
+import { createIndex } from './indexer.js';
+
+test('filter expressions parse into path, extension and date terms', () => {
+  assert.deepEqual(parseFilter('path:runbooks/** ext:md,TXT -ext:pdf -path:drafts/** after:2024-01-01'), {
+    path: ['runbooks/**'],
+    ext: ['.md', '.txt'],
+    notPath: ['drafts/**'],
+    notExt: ['.pdf'],
+    after: '2024-01-01',
+    before: null
+  });
+  assert.deepEqual(parseFilter('file:notes.md before:30d').path, ['notes.md']);
+  assert.deepEqual(parseFilter('  '), { path: [], ext: [], notPath: [], notExt: [], after: null, before: null });
+});
+
+test('invalid filter terms are rejected', () => {
+  assert.throws(() => parseFilter('runbooks'), /Invalid filter term: runbooks/);
+  assert.throws(() => parseFilter('ext:'), /Invalid filter term/);
+  assert.throws(() => parseFilter('size:10'), /Unknown filter key: size/);
+  assert.throws(() => parseFilter('-after:2024-01-01'), /cannot be negated/);
+  assert.throws(() => parseFilter('after:yesterday'), /Invalid date in filter: yesterday/);
+});
+
+test('formatFilter writes a filter back into an equivalent expression', () => {
+  const expression = 'path:runbooks/** -path:drafts/** ext:md -ext:pdf after:2024-01-01 before:2024-06-30';
+  assert.equal(formatFilter(parseFilter(expression)), expression);
+  assert.equal(formatFilter({ ext: ['txt'] }), 'ext:txt');
+});
+
+const index = createIndex([
+  { content: 'restart', source: { filename: 'runbooks/restart.md', chunkIndex: 0 } },
+  { content: 'restart again', source: { filename: 'runbooks/restart.md', chunkIndex: 1 } },
+  { content: 'draft', source: { filename: 'drafts/restart.md', chunkIndex: 0 } },
+  { content: 'notes', source: { filename: 'notes.txt', chunkIndex: 0 } },
+  { content: 'report', source: { filename: 'runbooks/report.pdf', chunkIndex: 0 } }
+], [[1, 0], [1, 0], [1, 0], [1, 0], [1, 0]], {
+  files: {
+    'runbooks/restart.md': { mtime: '2024-03-01T00:00:00.000Z' },
+    'drafts/restart.md': { mtime: '2024-07-01T00:00:00.000Z' },
+    'notes.txt': { mtime: '2023-12-01T00:00:00.000Z' }
+  }
+});
+
+/**
+ * Lists the positions of the index that a filter keeps
+ * @param {string|Object} filter - Filter expression or object
+ * @returns {number[]} - Matching positions
+ */
+function matching(filter) {
+  const predicate = compileFilter(filter, index);
+  return index.documents.map((_, i) => i).filter(predicate);
+}
+
+test('terms of one kind are alternatives and different kinds must all match', () => {
+  assert.deepEqual(matching('path:runbooks/**'), [0, 1, 4]);
+  assert.deepEqual(matching('path:runbooks/** ext:md'), [0, 1]);
+  assert.deepEqual(matching('ext:md ext:txt'), [0, 1, 2, 3]);
+  assert.deepEqual(matching('path:restart.md'), [0, 1, 2]);
+  assert.deepEqual(matching('-path:drafts/** -ext:pdf'), [0, 1, 3]);
+  assert.deepEqual(matching({ ext: ['txt'] }), [3]);
+});
+
+test('date filters use the file manifest and skip files without a date', () => {
+  assert.deepEqual(matching('after:2024-01-01'), [0, 1, 2]);
+  assert.deepEqual(matching('after:2024-01-01 before:2024-06-30'), [0, 1]);
+  assert.deepEqual(matching('before:2024-01-01'), [3]);
+});
+
+test('an empty filter compiles to no predicate', () => {
+  assert.equal(compileFilter('', index), null);
+  assert.equal(compileFilter(null, index), null);
+  assert.equal(compileFilter({ path: [], ext: [] }, index), null);
+});
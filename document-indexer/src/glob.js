@@ -0,0 +1,251 @@
+/**
+ * glob.js - Minimal glob matching and gitignore-style ignore rules
+ * Paths are always relative and use forward slashes
+ */
+
+/**
+ * Escapes a character so it matches itself in a regular expression
+ * (also * and ?, which reach this only when escaped in the glob: "\*")
+ * @param {string} char - Character to escape
+ * @returns {string} - Escaped character
+ */
+function escapeRegExp(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Splits a brace body ("a,b,{c,d}") on top-level commas
+ * @param {string} body - Text between the outer braces
+ * @returns {string[]} - Alternatives
+ */
+function splitBraceAlternatives(body) {
+  const alternatives = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of body) {
+    if (char === ',' && depth === 0) {
+      alternatives.push(current);
+      current = '';
+      continue;
+    }
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    current += char;
+  }
+
+  alternatives.push(current);
+  return alternatives;
+}
+
+/**
+ * Translates a glob pattern into a regular expression source (without anchors)
+ * @param {string} glob - Glob pattern
+ * @returns {string} - Regular expression source
+ */
+function translateGlob(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+
+        if (atSegmentStart && glob[i + 2] === '/') {
+          // "**/" matches zero or more directories
+          source += '(?:.*/)?';
+          i += 2;
+          continue;
+        }
+        if (atSegmentStart && i + 2 === glob.length) {
+          // Trailing "**" matches everything below
+          source += '.*';
+          i += 1;
+          continue;
+        }
+        i += 1;
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (body.startsWith('!')) {
+        body = `^${body.slice(1)}`;
+      }
+      source += `[${body}]`;
+      i = end;
+    } else if (char === '{') {
+      let depth = 0;
+      let end = -1;
+      for (let j = i; j < glob.length; j++) {
+        if (glob[j] === '{') depth++;
+        if (glob[j] === '}' && --depth === 0) {
+          end = j;
+          break;
+        }
+      }
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      const alternatives = splitBraceAlternatives(glob.slice(i + 1, end));
+      source += `(?:${alternatives.map(translateGlob).join('|')})`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Converts a glob pattern to a regular expression
+ * Supports *, **, ?, [abc], [!abc] and {a,b}
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+export function globToRegExp(glob) {
+  return new RegExp(`^${translateGlob(glob)}$`);
+}
+
+/**
+ * Checks whether a relative path matches a glob pattern.
+ * Patterns without a slash match the file name at any depth ("*.md").
+ * @param {string} relativePath - Path relative to the root, with forward slashes
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(relativePath, pattern) {
+  const normalizedPattern = pattern.startsWith('./') ? pattern.slice(2) : pattern;
+  const effective = normalizedPattern.includes('/') ? normalizedPattern : `**/${normalizedPattern}`;
+  return globToRegExp(effective).test(relativePath);
+}
+
+/**
+ * Checks whether a relative path matches any of the given patterns
+ * @param {string} relativePath - Relative path
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean}
+ */
+export function matchesAnyGlob(relativePath, patterns) {
+  return patterns.some(pattern => matchesGlob(relativePath, pattern));
+}
+
+/**
+ * Checks whether a directory matches any of the given patterns, gitignore-style:
+ * "drafts", "drafts/" and "drafts/**" all match the drafts folder, the first two
+ * at any depth; "notes/drafts" only the one below notes/
+ * @param {string} relativeDir - Directory path relative to the root, without a trailing slash
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean}
+ */
+export function matchesDirectoryGlob(relativeDir, patterns) {
+  return patterns.some(pattern => {
+    const trimmed = pattern.length > 1 && pattern.endsWith('/') ? pattern.slice(0, -1) : pattern;
+    return matchesGlob(relativeDir, trimmed) || matchesGlob(`${relativeDir}/`, pattern);
+  });
+}
+
+/**
+ * Checks whether a path is excluded by the given patterns, either itself or
+ * through one of the directories it is in
+ * @param {string} relativePath - Path relative to the root, with forward slashes
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean}
+ */
+export function isExcludedPath(relativePath, patterns) {
+  if (matchesAnyGlob(relativePath, patterns)) {
+    return true;
+  }
+
+  const segments = relativePath.split('/');
+  for (let i = 1; i <= segments.length; i++) {
+    if (matchesDirectoryGlob(segments.slice(0, i).join('/'), patterns)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Parses the contents of a gitignore-style file into rules
+ * @param {string} content - File contents
+ * @returns {Array<{regex: RegExp, negated: boolean, directoryOnly: boolean}>} - Parsed rules
+ */
+export function parseIgnoreRules(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let negated = false;
+    if (line.startsWith('!')) {
+      negated = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (line.endsWith('/')) {
+      directoryOnly = true;
+      line = line.slice(0, -1);
+    }
+
+    if (!line) {
+      continue;
+    }
+
+    // A slash at the start or in the middle anchors the pattern to the ignore file's directory
+    let pattern;
+    if (line.startsWith('/')) {
+      pattern = line.slice(1);
+    } else if (line.includes('/')) {
+      pattern = line;
+    } else {
+      pattern = `**/${line}`;
+    }
+
+    rules.push({ regex: globToRegExp(pattern), negated, directoryOnly });
+  }
+
+  return rules;
+}
+
+/**
+ * Applies ignore rules to a path (the last matching rule wins)
+ * @param {Array<{regex: RegExp, negated: boolean, directoryOnly: boolean}>} rules - Parsed rules
+ * @param {string} relativePath - Path relative to the ignore file's directory
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean|null} - true if ignored, false if re-included, null if no rule matched
+ */
+export function applyIgnoreRules(rules, relativePath, isDirectory) {
+  let result = null;
+
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.regex.test(relativePath)) {
+      result = !rule.negated;
+    }
+  }
+
+  return result;
+}
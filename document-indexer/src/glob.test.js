@@ -0,0 +1,112 @@
+/**
+ * glob.test.js - Glob patterns, directory excludes and .indexignore files
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  globToRegExp,
+  matchesGlob,
+  matchesDirectoryGlob,
+  isExcludedPath,
+  parseIgnoreRules,
+  applyIgnoreRules
+} from './glob.js';
+import { findDocumentFiles } from './loader.js';
+
+test('wildcards stay within a path segment, ** crosses them', () => {
+  assert.ok(matchesGlob('notes/a.md', 'notes/*.md'));
+  assert.ok(!matchesGlob('notes/sub/a.md', 'notes/*.md'));
+  assert.ok(matchesGlob('notes/sub/a.md', 'notes/**/*.md'));
+  assert.ok(matchesGlob('notes/a.md', 'notes/**/*.md'));
+  assert.ok(matchesGlob('a1.txt', 'a?.txt'));
+  assert.ok(!matchesGlob('a/.txt', 'a?.txt'));
+});
+
+test('patterns without a slash match the file name at any depth', () => {
+  assert.ok(matchesGlob('deep/down/readme.md', '*.md'));
+  assert.ok(matchesGlob('readme.md', './readme.md'));
+  assert.ok(!matchesGlob('deep/readme.md', 'docs/readme.md'));
+});
+
+test('classes and braces', () => {
+  assert.ok(matchesGlob('v1.md', 'v[0-9].md'));
+  assert.ok(!matchesGlob('vx.md', 'v[0-9].md'));
+  assert.ok(matchesGlob('vx.md', 'v[!0-9].md'));
+  assert.ok(matchesGlob('a.html', '*.{md,htm{,l}}'));
+  assert.ok(matchesGlob('a.htm', '*.{md,htm{,l}}'));
+  assert.ok(!matchesGlob('a.txt', '*.{md,htm{,l}}'));
+});
+
+test('escaped wildcards match the literal character', () => {
+  assert.ok(globToRegExp('\\*.md').test('*.md'));
+  assert.ok(!globToRegExp('\\*.md').test('notes.md'));
+  assert.ok(globToRegExp('why\\?.txt').test('why?.txt'));
+  assert.ok(!globToRegExp('why\\?.txt').test('whys.txt'));
+  assert.ok(globToRegExp('\\[draft\\].md').test('[draft].md'));
+  assert.ok(globToRegExp('a+b.md').test('a+b.md'));
+});
+
+test('directory excludes match the folder gitignore-style', () => {
+  for (const pattern of ['drafts', 'drafts/', 'drafts/**']) {
+    assert.ok(matchesDirectoryGlob('drafts', [pattern]), pattern);
+  }
+  assert.ok(matchesDirectoryGlob('notes/drafts', ['drafts']));
+  assert.ok(matchesDirectoryGlob('notes/drafts', ['drafts/']));
+  assert.ok(!matchesDirectoryGlob('notes/drafts', ['drafts/**']));
+  assert.ok(matchesDirectoryGlob('notes/drafts', ['notes/drafts']));
+  assert.ok(!matchesDirectoryGlob('drafts', ['notes/drafts']));
+
+  assert.ok(isExcludedPath('notes/drafts/a.md', ['drafts']));
+  assert.ok(!isExcludedPath('notes/final/a.md', ['drafts']));
+});
+
+test('ignore rules: last match wins, negation, anchoring, directory-only', () => {
+  const rules = parseIgnoreRules([
+    '# comment',
+    '*.log',
+    '!keep.log',
+    '/build',
+    'tmp/',
+    '\\#hash.md'
+  ].join('\n'));
+
+  assert.equal(applyIgnoreRules(rules, 'a/debug.log', false), true);
+  assert.equal(applyIgnoreRules(rules, 'a/keep.log', false), false);
+  assert.equal(applyIgnoreRules(rules, 'build', true), true);
+  assert.equal(applyIgnoreRules(rules, 'src/build', true), null);
+  assert.equal(applyIgnoreRules(rules, 'tmp', true), true);
+  assert.equal(applyIgnoreRules(rules, 'tmp', false), null);
+  assert.equal(applyIgnoreRules(rules, '#hash.md', false), true);
+  assert.equal(applyIgnoreRules(rules, 'readme.md', false), null);
+});
+
+test('findDocumentFiles honours include, exclude and nested .indexignore files', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'glob-test-'));
+
+  try {
+    const files = {
+      'a.md': '',
+      'b.txt': '',
+      'drafts/c.md': '',
+      'notes/d.md': '',
+      'notes/e.md': '',
+      'notes/private/f.md': '',
+      'notes/.indexignore': 'e.md\nprivate/\n',
+      '.indexignore': '*.txt\n'
+    };
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+      await fs.writeFile(path.join(root, name), content);
+    }
+
+    const found = await findDocumentFiles(root, { include: ['**/*.{md,txt}'], exclude: ['drafts'] });
+    assert.deepEqual(found.map(file => file.relativePath), ['a.md', 'notes/d.md']);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
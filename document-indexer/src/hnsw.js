@@ -0,0 +1,376 @@
+/**
+ * hnsw.js - Hierarchical Navigable Small World graph for approximate nearest-neighbour search
+ * Nodes are vector positions in a vector store (see vectors.js), similarity is cosine
+ */
+
+import { getVector, scoreVector, vectorNorm } from './vectors.js';
+
+// Default graph parameters
+const HNSW_DEFAULTS = {
+  m: 16,              // Links per node on upper layers (2 * m on layer 0)
+  efConstruction: 200, // Candidate list size while building (higher = better graph, slower build)
+  efSearch: 64,       // Candidate list size while searching (higher = better recall, slower search)
+  seed: 42            // Seed for level assignment, so builds are reproducible
+};
+
+// File signature and version of the serialized graph ("HNSW")
+const HNSW_MAGIC = 0x57534e48;
+const HNSW_VERSION = 1;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Seed value
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pushes an item onto a binary heap
+ * @param {Array<{id: number, score: number}>} heap - Heap array
+ * @param {{id: number, score: number}} item - Item to add
+ * @param {number} sign - 1 keeps the highest score on top, -1 the lowest
+ */
+function heapPush(heap, item, sign) {
+  heap.push(item);
+  let i = heap.length - 1;
+
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (sign * (heap[i].score - heap[parent].score) <= 0) {
+      break;
+    }
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+/**
+ * Removes and returns the top item of a binary heap
+ * @param {Array<{id: number, score: number}>} heap - Heap array
+ * @param {number} sign - 1 for a max-heap, -1 for a min-heap
+ * @returns {{id: number, score: number}} - Top item
+ */
+function heapPop(heap, sign) {
+  const top = heap[0];
+  const last = heap.pop();
+
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let best = i;
+
+      if (left < heap.length && sign * (heap[left].score - heap[best].score) > 0) best = left;
+      if (right < heap.length && sign * (heap[right].score - heap[best].score) > 0) best = right;
+      if (best === i) break;
+
+      [heap[i], heap[best]] = [heap[best], heap[i]];
+      i = best;
+    }
+  }
+
+  return top;
+}
+
+/**
+ * Searches one layer of the graph, starting from the given entry points
+ * @param {Object} graph - HNSW graph
+ * @param {Function} similarity - Returns the similarity of a node to the target
+ * @param {Array<{id: number, score: number}>} entryPoints - Scored entry nodes
+ * @param {number} ef - Number of candidates to keep
+ * @param {number} level - Layer to search
+ * @param {{visited: number}} counter - Accumulates the number of scored nodes
+ * @param {Function|null} accept - Optional predicate; rejected nodes are traversed but not returned
+ * @returns {Array<{id: number, score: number}>} - Up to ef nodes, best first
+ */
+function searchLayer(graph, similarity, entryPoints, ef, level, counter, accept = null) {
+  const visited = new Set(entryPoints.map(p => p.id));
+  const candidates = [];
+  const results = [];
+
+  for (const point of entryPoints) {
+    heapPush(candidates, point, 1);
+    if (!accept || accept(point.id)) {
+      heapPush(results, point, -1);
+    }
+  }
+
+  while (candidates.length > 0) {
+    const current = heapPop(candidates, 1);
+
+    // Every remaining candidate is worse than the worst result
+    if (results.length >= ef && current.score < results[0].score) {
+      break;
+    }
+
+    for (const neighbor of graph.links[current.id][level]) {
+      if (visited.has(neighbor)) {
+        continue;
+      }
+      visited.add(neighbor);
+
+      const score = similarity(neighbor);
+      counter.visited++;
+
+      if (results.length < ef || score > results[0].score) {
+        const item = { id: neighbor, score };
+        heapPush(candidates, item, 1);
+        if (!accept || accept(neighbor)) {
+          heapPush(results, item, -1);
+          if (results.length > ef) {
+            heapPop(results, -1);
+          }
+        }
+      }
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Picks diverse neighbours: a candidate is kept only if it is closer to the
+ * target than to every neighbour already kept; remaining slots are then
+ * filled with the best pruned candidates
+ * @param {Array<{id: number, score: number}>} candidates - Candidates, best first
+ * @param {number} maxLinks - Number of neighbours to keep
+ * @param {Function} pairSimilarity - Returns the similarity of two nodes
+ * @returns {number[]} - Selected node ids
+ */
+function selectNeighbors(candidates, maxLinks, pairSimilarity) {
+  if (candidates.length <= maxLinks) {
+    return candidates.map(c => c.id);
+  }
+
+  const selected = [];
+  const pruned = [];
+
+  for (const candidate of candidates) {
+    if (selected.length >= maxLinks) {
+      break;
+    }
+    const diverse = selected.every(id => pairSimilarity(candidate.id, id) < candidate.score);
+    (diverse ? selected : pruned).push(candidate.id);
+  }
+
+  for (const id of pruned) {
+    if (selected.length >= maxLinks) {
+      break;
+    }
+    selected.push(id);
+  }
+
+  return selected;
+}
+
+/**
+ * Builds an HNSW graph over all vectors of a store
+ * @param {Object} store - Vector store (see vectors.js)
+ * @param {Object} options - Graph parameters
+ * @param {number} options.m - Links per node (default: 16)
+ * @param {number} options.efConstruction - Build-time candidate list size (default: 200)
+ * @param {number} options.seed - Random seed (default: 42)
+ * @returns {Object} - HNSW graph
+ */
+export function buildHnswGraph(store, options = {}) {
+  const { m, efConstruction, seed } = { ...HNSW_DEFAULTS, ...options };
+  const { count, dimension } = store;
+  const random = createRandom(seed);
+  const levelFactor = 1 / Math.log(m);
+
+  // Normalized float32 copies make pairwise similarity a plain dot product
+  const normalized = new Float32Array(count * dimension);
+  for (let i = 0; i < count; i++) {
+    const vector = getVector(store, i);
+    const norm = vectorNorm(vector) || 1;
+    for (let j = 0; j < dimension; j++) {
+      normalized[i * dimension + j] = vector[j] / norm;
+    }
+  }
+
+  const pairSimilarity = (a, b) => {
+    let dot = 0;
+    const offsetA = a * dimension;
+    const offsetB = b * dimension;
+    for (let j = 0; j < dimension; j++) {
+      dot += normalized[offsetA + j] * normalized[offsetB + j];
+    }
+    return dot;
+  };
+
+  const graph = {
+    m,
+    efConstruction,
+    count,
+    entryPoint: -1,
+    maxLevel: -1,
+    links: []
+  };
+  const counter = { visited: 0 };
+
+  for (let node = 0; node < count; node++) {
+    const level = Math.floor(-Math.log(1 - random()) * levelFactor);
+    graph.links.push(Array.from({ length: level + 1 }, () => []));
+
+    if (graph.entryPoint === -1) {
+      graph.entryPoint = node;
+      graph.maxLevel = level;
+      continue;
+    }
+
+    const similarity = other => pairSimilarity(node, other);
+    let entryPoints = [{ id: graph.entryPoint, score: similarity(graph.entryPoint) }];
+
+    // Greedy descent through the layers above the node's own level
+    for (let l = graph.maxLevel; l > level; l--) {
+      entryPoints = searchLayer(graph, similarity, entryPoints, 1, l, counter).slice(0, 1);
+    }
+
+    for (let l = Math.min(level, graph.maxLevel); l >= 0; l--) {
+      const candidates = searchLayer(graph, similarity, entryPoints, efConstruction, l, counter);
+      const maxLinks = l === 0 ? 2 * m : m;
+      const neighbors = selectNeighbors(candidates, m, pairSimilarity);
+
+      graph.links[node][l] = neighbors;
+
+      for (const neighbor of neighbors) {
+        const neighborLinks = graph.links[neighbor][l];
+        neighborLinks.push(node);
+
+        // Shrink the neighbour's links when it has too many
+        if (neighborLinks.length > maxLinks) {
+          const scored = neighborLinks
+            .map(id => ({ id, score: pairSimilarity(neighbor, id) }))
+            .sort((a, b) => b.score - a.score);
+          graph.links[neighbor][l] = selectNeighbors(scored, maxLinks, pairSimilarity);
+        }
+      }
+
+      entryPoints = candidates;
+    }
+
+    if (level > graph.maxLevel) {
+      graph.entryPoint = node;
+      graph.maxLevel = level;
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Finds the approximate nearest neighbours of a query vector
+ * @param {Object} graph - HNSW graph
+ * @param {Object} store - Vector store the graph was built on
+ * @param {number[]} query - Query vector
+ * @param {Object} options - Search options
+ * @param {number} options.k - Number of neighbours to return
+ * @param {number} options.efSearch - Candidate list size (default: 64, at least k)
+ * @param {Function} options.filter - Optional predicate over node ids; only accepted nodes are returned
+ * @returns {{results: Array<{id: number, score: number}>, visited: number}}
+ */
+export function searchHnswGraph(graph, store, query, options = {}) {
+  const { k = 5, efSearch = HNSW_DEFAULTS.efSearch, filter = null } = options;
+
+  if (graph.entryPoint === -1) {
+    return { results: [], visited: 0 };
+  }
+
+  const queryNorm = vectorNorm(query);
+  const similarity = id => scoreVector(store, id, query, queryNorm);
+  const counter = { visited: 1 };
+
+  let entryPoints = [{ id: graph.entryPoint, score: similarity(graph.entryPoint) }];
+
+  for (let l = graph.maxLevel; l > 0; l--) {
+    entryPoints = searchLayer(graph, similarity, entryPoints, 1, l, counter).slice(0, 1);
+  }
+
+  const results = searchLayer(graph, similarity, entryPoints, Math.max(efSearch, k), 0, counter, filter);
+
+  return { results: results.slice(0, k), visited: counter.visited };
+}
+
+/**
+ * Serializes a graph to bytes
+ * Layout (int32): magic, version, count, maxLevel, entryPoint, m, efConstruction,
+ * then per node: level, and per layer: link count followed by the links
+ * @param {Object} graph - HNSW graph
+ * @returns {Buffer} - Serialized graph
+ */
+export function serializeHnswGraph(graph) {
+  const values = [
+    HNSW_MAGIC, HNSW_VERSION, graph.count, graph.maxLevel, graph.entryPoint, graph.m, graph.efConstruction
+  ];
+
+  for (const layers of graph.links) {
+    values.push(layers.length - 1);
+    for (const links of layers) {
+      values.push(links.length, ...links);
+    }
+  }
+
+  const data = Int32Array.from(values);
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Restores a graph from bytes written by serializeHnswGraph
+ * @param {Buffer} buffer - Serialized graph
+ * @returns {Object} - HNSW graph
+ */
+export function deserializeHnswGraph(buffer) {
+  if (buffer.length < 28 || buffer.length % 4 !== 0) {
+    throw new Error('Invalid HNSW file: truncated');
+  }
+
+  const data = new Int32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+
+  if (data[0] !== HNSW_MAGIC) {
+    throw new Error('Invalid HNSW file: bad signature');
+  }
+  if (data[1] !== HNSW_VERSION) {
+    throw new Error(`Unsupported HNSW file version: ${data[1]}`);
+  }
+
+  const graph = {
+    count: data[2],
+    maxLevel: data[3],
+    entryPoint: data[4],
+    m: data[5],
+    efConstruction: data[6],
+    links: []
+  };
+
+  let position = 7;
+  for (let node = 0; node < graph.count; node++) {
+    const level = data[position++];
+    const layers = [];
+    for (let l = 0; l <= level; l++) {
+      const length = data[position++];
+      layers.push(Array.from(data.subarray(position, position + length)));
+      position += length;
+    }
+    graph.links.push(layers);
+  }
+
+  if (position !== data.length) {
+    throw new Error('Invalid HNSW file: unexpected trailing data');
+  }
+
+  return graph;
+}
+
+export { HNSW_DEFAULTS };
@@ -0,0 +1,85 @@
+/**
+ * hnsw.test.js - HNSW graph search against the exhaustive scan
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHnswGraph, searchHnswGraph, serializeHnswGraph, deserializeHnswGraph } from './hnsw.js';
+import { packVectors } from './vectors.js';
+import { createIndex, buildAnnIndex } from './indexer.js';
+import { searchIndex } from './searcher.js';
+
+const COUNT = 400;
+const DIMENSION = 16;
+
+/**
+ * Generates reproducible pseudo-random vectors
+ * @param {number} count - Number of vectors
+ * @param {number} seed - Seed
+ * @returns {number[][]}
+ */
+function randomVectors(count, seed) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: DIMENSION }, next));
+}
+
+const vectors = randomVectors(COUNT, 7);
+const queries = randomVectors(20, 99);
+
+const index = createIndex(
+  vectors.map((_, i) => ({ content: `chunk ${i}`, source: { filename: i % 2 ? 'odd.md' : 'even.md', chunkIndex: i } })),
+  vectors
+);
+index.ann = buildAnnIndex(index, { m: 8, efConstruction: 100, efSearch: 64 });
+
+test('graph search finds nearly the same neighbours as the exact scan', () => {
+  let found = 0;
+
+  for (const query of queries) {
+    const approximate = searchIndex(index, query, { topK: 10, threshold: -1 });
+    const exact = searchIndex(index, query, { topK: 10, threshold: -1, exact: true });
+
+    assert.equal(approximate.stats.method, 'hnsw');
+    assert.equal(exact.stats.method, 'exact');
+    assert.ok(approximate.stats.scored < COUNT);
+
+    const expected = new Set(exact.results.map(r => r.id));
+    found += approximate.results.filter(r => expected.has(r.id)).length;
+  }
+
+  const recall = found / (queries.length * 10);
+  assert.ok(recall >= 0.9, `recall@10 ${recall}`);
+});
+
+test('graph search respects metadata filters', () => {
+  const { results, stats } = searchIndex(index, queries[0], { topK: 5, threshold: -1, filter: 'path:odd.md' });
+
+  assert.equal(stats.method, 'hnsw');
+  assert.equal(results.length, 5);
+  assert.ok(results.every(r => r.source.filename === 'odd.md'));
+});
+
+test('builds are reproducible and survive serialization', () => {
+  const store = packVectors(vectors.slice(0, 100));
+  const graph = buildHnswGraph(store, { m: 8, efConstruction: 50 });
+  const again = buildHnswGraph(store, { m: 8, efConstruction: 50 });
+
+  assert.deepEqual(serializeHnswGraph(again), serializeHnswGraph(graph));
+
+  const restored = deserializeHnswGraph(serializeHnswGraph(graph));
+  assert.deepEqual(
+    searchHnswGraph(restored, store, queries[1], { k: 5 }).results,
+    searchHnswGraph(graph, store, queries[1], { k: 5 }).results
+  );
+  assert.throws(() => deserializeHnswGraph(Buffer.alloc(8)), /truncated/);
+});
+
+test('an empty graph returns no results', () => {
+  const graph = buildHnswGraph(packVectors([]));
+  assert.deepEqual(searchHnswGraph(graph, packVectors([]), [1, 0], { k: 3 }).results, []);
+});
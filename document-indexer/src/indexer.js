@@ -4,19 +4,52 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { getModelName, getEmbeddingDimension } from './embedder.js';
+import crypto from 'crypto';
+import { getModelName, getEmbeddingDimension, describeEmbedding, getEmbeddingMismatches } from './embedder.js';
+import { packVectors, getVector, serializeVectors, deserializeVectors } from './vectors.js';
+import { buildLexicalIndex } from './lexical.js';
+import { buildHnswGraph, serializeHnswGraph, deserializeHnswGraph, HNSW_DEFAULTS } from './hnsw.js';
+
+// Storage formats for saved indexes
+const INDEX_FORMATS = ['json', 'binary'];
+
+// Vector quantization options for the binary format
+const QUANTIZATION_TYPES = ['none', 'float16', 'int8'];
+
+// In-memory structures that are never written into the index JSON
+const RUNTIME_KEYS = ['vectors', 'ann'];
+
+// Chunking parameters recorded in the index metadata; a change forces a full rebuild
+const CHUNKING_DEFAULTS = {
+  chunkSize: 500,
+  overlap: 50,
+  chunkStrategy: 'character',
+  chunkUnit: 'characters'
+};
 
 /**
- * Creates an index object from chunked documents and their embeddings
+ * Creates an index object from chunked documents and their embeddings,
+ * together with a BM25 lexical index over the chunk texts
  * @param {Array<{content: string, source: {filename: string, chunkIndex: number}}>} chunks - Chunked documents with metadata
  * @param {number[][]} embeddings - Array of embedding vectors
  * @param {Object} options - Index options
  * @param {number} options.chunkSize - Chunk size used
  * @param {number} options.overlap - Overlap used
+ * @param {string} options.chunkStrategy - Chunking strategy used
+ * @param {string} options.chunkUnit - Unit of chunkSize and overlap ('characters' or 'tokens')
+ * @param {Object} options.files - Per-file manifest ({filename: {hash, mtime, size, chunks, pages?, embedded?}});
+ *   embedded is only recorded when some chunks of the file failed to embed
+ * @param {Object} options.config - Effective configuration of the run (describeConfig()), recorded for reproducibility
  * @returns {Object} - Index object
  */
 export function createIndex(chunks, embeddings, options = {}) {
-  const { chunkSize = 500, overlap = 50 } = options;
+  const { files = {}, config = null } = options;
+  const chunking = { ...CHUNKING_DEFAULTS };
+  for (const key of Object.keys(CHUNKING_DEFAULTS)) {
+    if (options[key] !== undefined) {
+      chunking[key] = options[key];
+    }
+  }
 
   // Validate input
   if (chunks.length !== embeddings.length) {
@@ -46,29 +79,143 @@ export function createIndex(chunks, embeddings, options = {}) {
     console.warn(`Skipped ${skippedCount} chunk(s) with failed embeddings`);
   }
 
+  // Vectors of different sizes cannot be searched together
+  const dimensions = new Set(validDocuments.map(doc => doc.embedding.length));
+  if (dimensions.size > 1) {
+    throw new Error(`Embeddings have mixed dimensions (${[...dimensions].join(', ')})`);
+  }
+
   // Create index structure
   const index = {
     metadata: {
       created: new Date().toISOString(),
       model: getModelName(),
-      embeddingDimension: getEmbeddingDimension(),
+      embedding: describeEmbedding(),
+      embeddingDimension: validDocuments.length > 0 ? validDocuments[0].embedding.length : getEmbeddingDimension(),
       totalChunks: validDocuments.length,
-      chunkSize,
-      overlap
+      ...chunking,
+      ...(config ? { config } : {}),
+      files
     },
-    documents: validDocuments
+    documents: validDocuments,
+    lexical: buildLexicalIndex(validDocuments.map(doc => doc.content))
   };
 
   return index;
 }
 
 /**
- * Saves index to a JSON file
+ * Returns the path of a file stored next to an index (index.json -> index<suffix>)
+ * @param {string} indexPath - Path to the index metadata file
+ * @param {string} suffix - Suffix of the companion file
+ * @returns {string} - Path to the companion file
+ */
+function getCompanionPath(indexPath, suffix) {
+  const ext = path.extname(indexPath);
+  const base = ext ? indexPath.slice(0, -ext.length) : indexPath;
+  return `${base}${suffix}`;
+}
+
+/**
+ * Returns the path of the vector file that belongs to a binary index
+ * @param {string} indexPath - Path to the index metadata file
+ * @returns {string} - Path to the vector file
+ */
+export function getVectorFilePath(indexPath) {
+  return getCompanionPath(indexPath, '.vectors.bin');
+}
+
+/**
+ * Returns the path of the HNSW graph file that belongs to an index
+ * @param {string} indexPath - Path to the index metadata file
+ * @returns {string} - Path to the graph file
+ */
+export function getAnnFilePath(indexPath) {
+  return getCompanionPath(indexPath, '.hnsw.bin');
+}
+
+/**
+ * Returns the embedding of the document at a position, whatever the storage
+ * @param {Object} index - Index object
+ * @param {number} i - Document position
+ * @returns {number[]|Float32Array} - Embedding vector
+ */
+export function getDocumentEmbedding(index, i) {
+  return index.vectors ? getVector(index.vectors, i) : index.documents[i].embedding;
+}
+
+/**
+ * Builds an HNSW graph for approximate nearest-neighbour search over an index.
+ * Assign the result to index.ann; saveIndex persists it next to the index.
+ * Graph search scores against a vector store, so the embeddings of a JSON index
+ * are packed into index.vectors here, as loadIndex does.
+ * @param {Object} index - Index object
+ * @param {Object} options - Graph parameters
+ * @param {number} options.m - Links per node (default: 16)
+ * @param {number} options.efConstruction - Build-time candidate list size (default: 200)
+ * @param {number} options.efSearch - Default search-time candidate list size (default: 64)
+ * @returns {Object} - HNSW graph
+ */
+export function buildAnnIndex(index, options = {}) {
+  if (!index.vectors) {
+    index.vectors = packVectors(index.documents.map(doc => doc.embedding));
+  }
+  const graph = buildHnswGraph(index.vectors, options);
+  graph.efSearch = options.efSearch || HNSW_DEFAULTS.efSearch;
+  return graph;
+}
+
+/**
+ * Hashes the contents of a companion file, so a reader can tell whether it
+ * belongs to the index JSON it loaded
+ * @param {Buffer} buffer - File contents
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+function checksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Writes a file by renaming a temporary file over it, so readers never see it half-written
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Saves index to disk
+ * - json: a single pretty-printed JSON file with embeddings inline
+ * - binary: compact JSON with metadata and chunks, plus a packed vector file
+ *   next to it (index.json -> index.vectors.bin), optionally quantized
+ * Every file is replaced atomically, and the index file comes last: a reader that
+ * reloads on changes to it (see watch.js) always finds its companion files complete.
+ * The index file records a checksum of each companion file, so loadIndex detects
+ * one that a later save replaced while it was loading.
  * @param {Object} index - Index object to save
  * @param {string} outputPath - Path to output file
+ * @param {Object} options - Save options
+ * @param {string} options.format - 'json' (default) or 'binary'
+ * @param {string} options.quantization - 'none' (default), 'float16' or 'int8' (binary only)
  * @returns {Promise<void>}
  */
-export async function saveIndex(index, outputPath) {
+export async function saveIndex(index, outputPath, options = {}) {
+  const { format = 'json', quantization = 'none' } = options;
+
+  if (!INDEX_FORMATS.includes(format)) {
+    throw new Error(`Unknown index format: ${format} (expected ${INDEX_FORMATS.join(', ')})`);
+  }
+  if (!QUANTIZATION_TYPES.includes(quantization)) {
+    throw new Error(`Unknown quantization: ${quantization} (expected ${QUANTIZATION_TYPES.join(', ')})`);
+  }
+  if (format === 'json' && quantization !== 'none') {
+    throw new Error('Quantization is only supported by the binary index format');
+  }
+
   // Ensure output directory exists
   const outputDir = path.dirname(outputPath);
 
@@ -79,22 +226,101 @@ export async function saveIndex(index, outputPath) {
     console.log(`Created output directory: ${outputDir}`);
   }
 
-  // Convert to JSON with pretty print
-  const jsonContent = JSON.stringify(index, null, 2);
+  const serializable = {};
+  for (const [key, value] of Object.entries(index)) {
+    if (!RUNTIME_KEYS.includes(key)) {
+      serializable[key] = value;
+    }
+  }
+
+  const { storage, ann, ...metadata } = index.metadata;
+  const vectorPath = getVectorFilePath(outputPath);
+  const annPath = getAnnFilePath(outputPath);
+  let totalBytes = 0;
+  let indexJson;
 
-  // Write file
-  await fs.writeFile(outputPath, jsonContent, 'utf-8');
+  const annBuffer = index.ann ? serializeHnswGraph(index.ann) : null;
+
+  if (index.ann) {
+    metadata.ann = {
+      method: 'hnsw',
+      file: path.basename(annPath),
+      m: index.ann.m,
+      efConstruction: index.ann.efConstruction,
+      efSearch: index.ann.efSearch,
+      checksum: checksum(annBuffer)
+    };
+  }
+
+  if (format === 'binary') {
+    const dtype = quantization === 'none' ? 'float32' : quantization;
+
+    // Reuse the loaded vectors when they already have the requested type
+    const store = index.vectors && index.vectors.dtype === dtype
+      ? index.vectors
+      : packVectors(index.documents.map((doc, i) => getDocumentEmbedding(index, i)), dtype);
+
+    const vectorBuffer = serializeVectors(store);
+
+    serializable.metadata = {
+      ...metadata,
+      storage: {
+        format: 'binary',
+        vectorFile: path.basename(vectorPath),
+        dtype,
+        dimension: store.dimension,
+        count: store.count,
+        checksum: checksum(vectorBuffer)
+      }
+    };
+    serializable.documents = index.documents.map(({ embedding, ...doc }) => doc);
+
+    indexJson = JSON.stringify(serializable);
+    await writeFileAtomic(vectorPath, vectorBuffer);
+    totalBytes += (await fs.stat(vectorPath)).size;
+  } else {
+    serializable.metadata = metadata;
+    serializable.documents = index.documents.map((doc, i) => ({
+      ...doc,
+      embedding: Array.from(getDocumentEmbedding(index, i))
+    }));
+
+    // Convert to JSON with pretty print
+    indexJson = JSON.stringify(serializable, null, 2);
+  }
+
+  if (index.ann) {
+    await writeFileAtomic(annPath, annBuffer);
+    totalBytes += (await fs.stat(annPath)).size;
+  }
+
+  await writeFileAtomic(outputPath, indexJson);
+
+  // Companion files left over from an earlier save would be stale
+  if (format !== 'binary') {
+    await fs.rm(vectorPath, { force: true });
+  }
+  if (!index.ann) {
+    await fs.rm(annPath, { force: true });
+  }
 
   // Calculate file size
   const stats = await fs.stat(outputPath);
-  const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+  totalBytes += stats.size;
+  const fileSizeMB = (totalBytes / (1024 * 1024)).toFixed(2);
+
+  const companions = [
+    ...(format === 'binary' ? [path.basename(vectorPath)] : []),
+    ...(index.ann ? [path.basename(annPath)] : [])
+  ];
 
-  console.log(`Index saved to: ${outputPath}`);
+  console.log(`Index saved to: ${outputPath}${companions.length > 0 ? ` (+ ${companions.join(', ')})` : ''}`);
+  console.log(`Format: ${format}${quantization !== 'none' ? `, ${quantization} vectors` : ''}`);
   console.log(`File size: ${fileSizeMB} MB`);
 }
 
 /**
- * Loads index from a JSON file
+ * Loads index from disk, detecting the JSON or binary format automatically
  * @param {string} indexPath - Path to index file
  * @returns {Promise<Object>} - Loaded index object
  */
@@ -113,14 +339,210 @@ export async function loadIndex(indexPath) {
     throw new Error('Invalid index format: missing metadata or documents');
   }
 
+  const storage = index.metadata.storage;
+
+  if (storage && storage.format === 'binary') {
+    const vectorPath = path.join(path.dirname(indexPath), storage.vectorFile);
+    let buffer;
+
+    try {
+      buffer = await fs.readFile(vectorPath);
+    } catch {
+      throw new Error(`Vector file not found: ${vectorPath}`);
+    }
+
+    // A concurrent save may have replaced the file after the index file was read
+    if (storage.checksum && checksum(buffer) !== storage.checksum) {
+      throw new Error(`Vector file does not belong to this index (rewritten while loading?): ${vectorPath}`);
+    }
+
+    index.vectors = deserializeVectors(buffer, storage);
+
+    if (index.vectors.count !== index.documents.length) {
+      throw new Error(
+        `Invalid index: ${index.documents.length} chunks but ${index.vectors.count} vectors`
+      );
+    }
+  }
+
+  // The vectors must have the size recorded in the metadata
+  const dimension = index.metadata.embeddingDimension;
+  const vectorDimension = index.vectors
+    ? index.vectors.dimension
+    : index.documents.length > 0 && index.documents[0].embedding ? index.documents[0].embedding.length : null;
+
+  if (dimension && vectorDimension && dimension !== vectorDimension) {
+    throw new Error(
+      `Invalid index: metadata says ${dimension} dimensions but vectors have ${vectorDimension}`
+    );
+  }
+
+  const ann = index.metadata.ann;
+
+  if (ann) {
+    const annPath = path.join(path.dirname(indexPath), ann.file);
+    let buffer;
+
+    try {
+      buffer = await fs.readFile(annPath);
+    } catch {
+      throw new Error(`HNSW file not found: ${annPath}`);
+    }
+
+    if (ann.checksum && checksum(buffer) !== ann.checksum) {
+      throw new Error(`HNSW file does not belong to this index (rewritten while loading?): ${annPath}`);
+    }
+
+    index.ann = deserializeHnswGraph(buffer);
+    index.ann.efSearch = ann.efSearch || HNSW_DEFAULTS.efSearch;
+
+    if (index.ann.count !== index.documents.length) {
+      throw new Error(
+        `Invalid index: ${index.documents.length} chunks but ${index.ann.count} HNSW nodes`
+      );
+    }
+
+    // Graph search scores against a vector store, so JSON embeddings are packed once here
+    if (!index.vectors) {
+      index.vectors = packVectors(index.documents.map(doc => doc.embedding));
+    }
+  }
+
   console.log(`Loaded index from: ${indexPath}`);
   console.log(`  Model: ${index.metadata.model}`);
   console.log(`  Total chunks: ${index.metadata.totalChunks}`);
   console.log(`  Created: ${index.metadata.created}`);
+  if (storage && storage.format === 'binary') {
+    console.log(`  Format: binary (${storage.dtype} vectors)`);
+  }
+  if (ann) {
+    console.log(`  ANN: HNSW (m=${ann.m}, efSearch=${ann.efSearch})`);
+  }
 
   return index;
 }
 
+/**
+ * Converts an index between the JSON and binary formats
+ * @param {string} inputPath - Path to the existing index
+ * @param {string} outputPath - Path to write the converted index
+ * @param {Object} options - Save options (see saveIndex)
+ * @returns {Promise<void>}
+ */
+export async function convertIndex(inputPath, outputPath, options = {}) {
+  const index = await loadIndex(inputPath);
+  await saveIndex(index, outputPath, options);
+}
+
+/**
+ * Lists the chunking parameters that differ between an index and the current run
+ * @param {Object} metadata - Index metadata
+ * @param {Object} options - Chunking options of the current run
+ * @returns {string[]} - Names of changed parameters
+ */
+function getChangedChunkingParams(metadata, options) {
+  return Object.keys(CHUNKING_DEFAULTS).filter(key => {
+    const previous = metadata[key] ?? CHUNKING_DEFAULTS[key];
+    const current = options[key] ?? CHUNKING_DEFAULTS[key];
+    return previous !== current;
+  });
+}
+
+/**
+ * Compares documents on disk with a previously saved index and decides
+ * which files can keep their embeddings and which must be re-embedded
+ * @param {Object|null} previousIndex - Previously saved index (or null)
+ * @param {Array<{filename: string, hash: string}>} documents - Loaded documents
+ * @param {Object} options - Chunking options of the current run
+ * @param {number} options.chunkSize - Chunk size
+ * @param {number} options.overlap - Overlap
+ * @param {string} options.chunkStrategy - Chunking strategy
+ * @param {string} options.chunkUnit - Unit of chunkSize and overlap
+ * @returns {{incremental: boolean, reason: string|null, added: string[], updated: string[], unchanged: string[], removed: string[]}}
+ */
+export function planIndexUpdate(previousIndex, documents, options = {}) {
+
+  const plan = {
+    incremental: false,
+    reason: null,
+    added: [],
+    updated: [],
+    unchanged: [],
+    removed: []
+  };
+
+  // Decide whether the previous index can be reused at all
+  const changedParams = previousIndex ? getChangedChunkingParams(previousIndex.metadata, options) : [];
+
+  if (!previousIndex) {
+    plan.reason = 'no previous index';
+  } else if (!previousIndex.metadata.files) {
+    plan.reason = 'previous index has no file manifest';
+  } else if (getEmbeddingMismatches(previousIndex.metadata).length > 0) {
+    plan.reason = `embedding settings changed (${getEmbeddingMismatches(previousIndex.metadata).join(', ')})`;
+  } else if (changedParams.length > 0) {
+    plan.reason = `chunking parameters changed (${changedParams.join(', ')})`;
+  } else {
+    plan.incremental = true;
+  }
+
+  if (!plan.incremental) {
+    plan.added = documents.map(doc => doc.filename);
+    return plan;
+  }
+
+  const previousFiles = previousIndex.metadata.files;
+  const currentFiles = new Set();
+
+  for (const doc of documents) {
+    currentFiles.add(doc.filename);
+    const previous = previousFiles[doc.filename];
+
+    if (!previous) {
+      plan.added.push(doc.filename);
+    } else if (previous.hash !== doc.hash) {
+      plan.updated.push(doc.filename);
+    } else if (doc.pages && previous.pages === undefined) {
+      // Indexed before page ranges were recorded
+      plan.updated.push(doc.filename);
+    } else if (previous.embedded !== undefined && previous.embedded < previous.chunks) {
+      // Some of its chunks failed to embed
+      plan.updated.push(doc.filename);
+    } else {
+      plan.unchanged.push(doc.filename);
+    }
+  }
+
+  plan.removed = Object.keys(previousFiles).filter(filename => !currentFiles.has(filename));
+
+  return plan;
+}
+
+/**
+ * Groups the chunks and embeddings of an existing index by source file
+ * @param {Object} index - Index object
+ * @returns {Map<string, {chunks: Array<{content: string, source: Object}>, embeddings: number[][], positions: number[]}>}
+ *   positions are the chunks' places in the index (and in index.vectors)
+ */
+export function groupChunksByFile(index) {
+  const groups = new Map();
+
+  index.documents.forEach((doc, i) => {
+    const filename = doc.source.filename;
+
+    if (!groups.has(filename)) {
+      groups.set(filename, { chunks: [], embeddings: [], positions: [] });
+    }
+
+    const group = groups.get(filename);
+    group.chunks.push({ content: doc.content, source: doc.source });
+    group.embeddings.push(Array.from(getDocumentEmbedding(index, i)));
+    group.positions.push(i);
+  });
+
+  return groups;
+}
+
 /**
  * Gets index statistics
  * @param {Object} index - Index object
@@ -140,9 +562,11 @@ export function getIndexStats(index) {
     totalChunks: index.documents.length,
     uniqueFiles: Array.from(sources),
     totalContentLength,
-    avgChunkLength: Math.round(totalContentLength / index.documents.length),
+    avgChunkLength: index.documents.length > 0 ? Math.round(totalContentLength / index.documents.length) : 0,
     model: index.metadata.model,
     embeddingDimension: index.metadata.embeddingDimension,
     created: index.metadata.created
   };
 }
+
+export { INDEX_FORMATS, QUANTIZATION_TYPES };
@@ -0,0 +1,161 @@
+/**
+ * indexer.test.js - Incremental update planning and index storage formats
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createIndex,
+  saveIndex,
+  loadIndex,
+  planIndexUpdate,
+  groupChunksByFile,
+  getDocumentEmbedding,
+  getVectorFilePath
+} from './indexer.js';
+
+const chunking = { chunkSize: 500, overlap: 50, chunkStrategy: 'auto', chunkUnit: 'characters' };
+
+/**
+ * Builds a small index with two files and a manifest
+ * @param {Object} manifest - Extra manifest fields per file
+ * @returns {Object} - Index object
+ */
+function buildIndex(manifest = {}) {
+  return createIndex([
+    { content: 'a0', source: { filename: 'a.md', chunkIndex: 0 } },
+    { content: 'b0', source: { filename: 'b.md', chunkIndex: 0 } },
+    { content: 'a1', source: { filename: 'a.md', chunkIndex: 1 } }
+  ], [[1, 0], [0, 1], [1, 1]], {
+    ...chunking,
+    files: {
+      'a.md': { hash: 'ha', mtime: '2024-01-01T00:00:00.000Z', size: 4, chunks: 2, ...manifest['a.md'] },
+      'b.md': { hash: 'hb', mtime: '2024-01-01T00:00:00.000Z', size: 2, chunks: 1, ...manifest['b.md'] }
+    }
+  });
+}
+
+test('files are planned as added, updated, unchanged or removed by content hash', () => {
+  const plan = planIndexUpdate(buildIndex(), [
+    { filename: 'a.md', hash: 'ha' },
+    { filename: 'c.md', hash: 'hc' }
+  ], chunking);
+
+  assert.equal(plan.incremental, true);
+  assert.deepEqual(plan.unchanged, ['a.md']);
+  assert.deepEqual(plan.added, ['c.md']);
+  assert.deepEqual(plan.removed, ['b.md']);
+
+  const edited = planIndexUpdate(buildIndex(), [{ filename: 'a.md', hash: 'changed' }, { filename: 'b.md', hash: 'hb' }], chunking);
+  assert.deepEqual(edited.updated, ['a.md']);
+  assert.deepEqual(edited.unchanged, ['b.md']);
+});
+
+test('files with chunks that failed to embed are planned again', () => {
+  const previous = buildIndex({ 'a.md': { chunks: 3, embedded: 2 } });
+  const plan = planIndexUpdate(previous, [{ filename: 'a.md', hash: 'ha' }, { filename: 'b.md', hash: 'hb' }], chunking);
+
+  assert.deepEqual(plan.updated, ['a.md']);
+  assert.deepEqual(plan.unchanged, ['b.md']);
+});
+
+test('changed chunking parameters or a missing manifest force a full rebuild', () => {
+  const documents = [{ filename: 'a.md', hash: 'ha' }];
+
+  const resized = planIndexUpdate(buildIndex(), documents, { ...chunking, chunkSize: 800 });
+  assert.equal(resized.incremental, false);
+  assert.match(resized.reason, /chunkSize/);
+  assert.deepEqual(resized.added, ['a.md']);
+
+  const legacy = buildIndex();
+  delete legacy.metadata.files;
+  assert.equal(planIndexUpdate(legacy, documents, chunking).reason, 'previous index has no file manifest');
+  assert.equal(planIndexUpdate(null, documents, chunking).reason, 'no previous index');
+});
+
+test('groupChunksByFile keeps chunk order and index positions per file', () => {
+  const groups = groupChunksByFile(buildIndex());
+
+  assert.deepEqual(groups.get('a.md').chunks.map(c => c.content), ['a0', 'a1']);
+  assert.deepEqual(groups.get('a.md').embeddings, [[1, 0], [1, 1]]);
+  assert.deepEqual(groups.get('a.md').positions, [0, 2]);
+  assert.deepEqual(groups.get('b.md').positions, [1]);
+});
+
+test('chunks with failed embeddings are left out of a new index', () => {
+  const index = createIndex([
+    { content: 'ok', source: { filename: 'a.md', chunkIndex: 0 } },
+    { content: 'failed', source: { filename: 'a.md', chunkIndex: 1 } }
+  ], [[1, 0], null], chunking);
+
+  assert.deepEqual(index.documents.map(doc => [doc.id, doc.content]), [[0, 'ok']]);
+  assert.equal(index.metadata.totalChunks, 1);
+});
+
+/**
+ * Runs a test body with a fresh temporary directory
+ * @param {Function} body - Receives the directory path
+ */
+async function withTempDir(body) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'indexer-test-'));
+  try {
+    await body(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+for (const [format, quantization, tolerance] of [
+  ['json', 'none', 0],
+  ['binary', 'none', 1e-7],
+  ['binary', 'float16', 1e-3],
+  ['binary', 'int8', 1e-2]
+]) {
+  test(`${format} index with ${quantization} vectors round-trips through saveIndex and loadIndex`, async () => {
+    await withTempDir(async (dir) => {
+      const index = buildIndex();
+      const outputPath = path.join(dir, 'index.json');
+      await saveIndex(index, outputPath, { format, quantization });
+
+      const loaded = await loadIndex(outputPath);
+
+      assert.deepEqual(loaded.documents.map(doc => doc.content), ['a0', 'b0', 'a1']);
+      assert.deepEqual(loaded.metadata.files, index.metadata.files);
+      assert.equal(loaded.metadata.storage?.dtype, format === 'binary' ? (quantization === 'none' ? 'float32' : quantization) : undefined);
+      index.documents.forEach((doc, i) => {
+        Array.from(getDocumentEmbedding(loaded, i)).forEach((value, j) => {
+          assert.ok(Math.abs(value - doc.embedding[j]) <= tolerance, `${i}/${j}: ${value}`);
+        });
+      });
+
+      const hasVectorFile = await fs.stat(getVectorFilePath(outputPath)).then(() => true, () => false);
+      assert.equal(hasVectorFile, format === 'binary');
+    });
+  });
+}
+
+test('quantization needs the binary format', async () => {
+  await withTempDir(async (dir) => {
+    await assert.rejects(
+      saveIndex(buildIndex(), path.join(dir, 'index.json'), { format: 'json', quantization: 'int8' }),
+      /only supported by the binary index format/
+    );
+  });
+});
+
+test('loadIndex refuses a vector file written for another index', async () => {
+  await withTempDir(async (dir) => {
+    const outputPath = path.join(dir, 'index.json');
+    await saveIndex(buildIndex(), outputPath, { format: 'binary' });
+    const vectorFile = getVectorFilePath(outputPath);
+    const bytes = await fs.readFile(vectorFile);
+    bytes[0] ^= 0xff;
+    await fs.writeFile(vectorFile, bytes);
+
+    await assert.rejects(loadIndex(outputPath), /does not belong to this index/);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * lexical.js - BM25 inverted index for keyword search
+ * Complements embedding search for exact identifiers, error codes and names
+ */
+
+// BM25 parameters: term frequency saturation and length normalization
+const BM25_DEFAULTS = {
+  k1: 1.2,
+  b: 0.75
+};
+
+// Words too common to help ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'will', 'with', 'what', 'how', 'which', 'who', 'does', 'do'
+]);
+
+/**
+ * Splits text into lowercase search terms.
+ * Compound identifiers ("ERR_CONN_RESET", "v2.3.1", "user-id") are kept whole
+ * and also split into their parts, so both spellings match.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Terms
+ */
+export function tokenize(text) {
+  const terms = [];
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[._\-:/][\p{L}\p{N}]+)*/gu) || [];
+
+  for (const word of words) {
+    const parts = word.split(/[._\-:/]/);
+
+    if (parts.length > 1) {
+      terms.push(word);
+    }
+    for (const part of parts) {
+      if (!STOP_WORDS.has(part)) {
+        terms.push(part);
+      }
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Builds a BM25 inverted index over chunk texts
+ * @param {string[]} texts - Chunk contents, in index order
+ * @param {Object} options - BM25 parameters
+ * @param {number} options.k1 - Term frequency saturation (default: 1.2)
+ * @param {number} options.b - Length normalization (default: 0.75)
+ * @returns {{k1: number, b: number, documentCount: number, averageLength: number, lengths: number[], postings: Object<string, number[]>}}
+ */
+export function buildLexicalIndex(texts, options = {}) {
+  const { k1, b } = { ...BM25_DEFAULTS, ...options };
+  const postings = {};
+  const lengths = [];
+
+  texts.forEach((text, id) => {
+    const terms = tokenize(text);
+    const frequencies = new Map();
+
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    // Postings are flat [docId, frequency, docId, frequency, ...] arrays
+    for (const [term, frequency] of frequencies) {
+      if (!Object.prototype.hasOwnProperty.call(postings, term)) {
+        postings[term] = [];
+      }
+      postings[term].push(id, frequency);
+    }
+
+    lengths.push(terms.length);
+  });
+
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    k1,
+    b,
+    documentCount: texts.length,
+    averageLength: texts.length > 0 ? totalLength / texts.length : 0,
+    lengths,
+    postings
+  };
+}
+
+/**
+ * Scores chunks against a query with BM25
+ * @param {Object} lexical - Lexical index from buildLexicalIndex
+ * @param {string} query - Text query
+ * @param {Object} options - Search options
+ * @param {number} options.topK - Number of results to return (default: 5)
+ * @param {Function} options.filter - Optional predicate over chunk ids; rejected chunks are skipped
+ * @returns {{results: Array<{id: number, score: number}>, matched: number}} - Best chunks and number of chunks matching any term
+ */
+export function searchLexical(lexical, query, options = {}) {
+  const { topK = 5, filter = null } = options;
+  const { k1, b, documentCount, averageLength, lengths, postings } = lexical;
+  const scores = new Map();
+
+  for (const term of new Set(tokenize(query))) {
+    if (!Object.prototype.hasOwnProperty.call(postings, term)) {
+      continue;
+    }
+
+    const list = postings[term];
+    const documentFrequency = list.length / 2;
+    const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+    for (let i = 0; i < list.length; i += 2) {
+      const id = list[i];
+      if (filter && !filter(id)) {
+        continue;
+      }
+      const frequency = list[i + 1];
+      const lengthRatio = averageLength > 0 ? lengths[id] / averageLength : 1;
+      const termScore = idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * lengthRatio));
+      scores.set(id, (scores.get(id) || 0) + termScore);
+    }
+  }
+
+  const results = [...scores]
+    .map(([id, score]) => ({ id, score }))
+    .sort((x, y) => y.score - x.score || x.id - y.id)
+    .slice(0, topK);
+
+  return { results, matched: scores.size };
+}
+
+export { BM25_DEFAULTS };
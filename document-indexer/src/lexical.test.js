@@ -0,0 +1,84 @@
+/**
+ * lexical.test.js - BM25 keyword search and hybrid rank fusion
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, buildLexicalIndex, searchLexical } from './lexical.js';
+import { createIndex } from './indexer.js';
+import { searchByText } from './searcher.js';
+
+test('identifiers are kept whole and split into their parts; stop words are dropped', () => {
+  assert.deepEqual(tokenize('The ERR_CONN_RESET error'), ['err_conn_reset', 'err', 'conn', 'reset', 'error']);
+  assert.deepEqual(tokenize('Upgrade to v2.3.1'), ['upgrade', 'v2.3.1', 'v2', '3', '1']);
+  assert.deepEqual(tokenize('What is it?'), []);
+});
+
+test('BM25 favours rare terms, repeated terms and short chunks', () => {
+  const lexical = buildLexicalIndex([
+    'server restart procedure for the server',
+    'restart the client',
+    'server logs are rotated daily and kept for a long time in the archive folder',
+    'ERR_CONN_RESET means the peer closed the connection'
+  ]);
+
+  const { results, matched } = searchLexical(lexical, 'server restart', { topK: 10 });
+  assert.equal(matched, 3);
+  assert.equal(results[0].id, 0);
+  assert.ok(results.every((r, i) => i === 0 || r.score <= results[i - 1].score));
+
+  assert.deepEqual(searchLexical(lexical, 'conn reset').results.map(r => r.id), [3]);
+  assert.deepEqual(searchLexical(lexical, 'server', { filter: id => id !== 0 }).results.map(r => r.id), [2]);
+  assert.deepEqual(searchLexical(lexical, 'unknown words').results, []);
+});
+
+// Two-dimensional "embeddings": the semantic ranking prefers chunks 0 and 1
+const index = createIndex([
+  { content: 'Rotate the API keys every 90 days.', source: { filename: 'security.md', chunkIndex: 0 } },
+  { content: 'Credentials expire after three months.', source: { filename: 'security.md', chunkIndex: 1 } },
+  { content: 'Error E4512 means the API key was revoked.', source: { filename: 'errors.md', chunkIndex: 0 } },
+  { content: 'The cafeteria opens at noon.', source: { filename: 'office.md', chunkIndex: 0 } }
+], [[1, 0], [0.9, 0.1], [0.2, 0.8], [0, 1]]);
+
+const embedQuery = async () => [1, 0];
+
+test('hybrid search fuses the semantic and lexical rankings with RRF', async () => {
+  const { results, stats } = await searchByText(index, 'E4512 api key', embedQuery, {
+    mode: 'hybrid',
+    fusion: 'rrf',
+    topK: 3,
+    threshold: 0
+  });
+
+  assert.equal(stats.mode, 'hybrid');
+  assert.equal(stats.fusion, 'rrf');
+  // Chunk 0 ranks first semantically and second lexically, chunk 2 first lexically only
+  assert.deepEqual(results.slice(0, 2).map(r => r.id).sort(), [0, 2]);
+  assert.ok(results.every(r => r.score > 0 && r.score <= 1));
+  assert.ok(results[0].scores.semantic !== undefined && results[0].scores.lexical !== undefined);
+  assert.equal(stats.retrievers.lexical.matched, 2);
+  assert.equal(stats.filtered, 0);
+});
+
+test('the semantic weight shifts hybrid results between the rankings', async () => {
+  const semanticOnly = await searchByText(index, 'E4512', embedQuery, { mode: 'hybrid', semanticWeight: 1, topK: 1, threshold: 0 });
+  const lexicalOnly = await searchByText(index, 'E4512', embedQuery, { mode: 'hybrid', semanticWeight: 0, topK: 1, threshold: 0 });
+  const weighted = await searchByText(index, 'E4512', embedQuery, { mode: 'hybrid', fusion: 'weighted', semanticWeight: 0, topK: 1, threshold: 0 });
+
+  assert.equal(semanticOnly.results[0].id, 0);
+  assert.equal(lexicalOnly.results[0].id, 2);
+  assert.equal(weighted.results[0].id, 2);
+  assert.equal(weighted.results[0].score, 1);
+});
+
+test('lexical mode needs no query embedding', async () => {
+  const failingEmbed = async () => {
+    throw new Error('should not embed');
+  };
+  const { results, stats } = await searchByText(index, 'cafeteria', failingEmbed, { mode: 'lexical' });
+
+  assert.equal(stats.method, 'bm25');
+  assert.deepEqual(results.map(r => r.id), [3]);
+  await assert.rejects(searchByText(index, 'x', embedQuery, { mode: 'fuzzy' }), /Unknown search mode/);
+});
@@ -1,21 +1,199 @@
 /**
- * loader.js - Module for loading documents from a directory
- * Supports: .txt, .md, .pdf formats
+ * loader.js - Module for loading documents from a directory tree
+ * Built-in formats: .txt, .md, .pdf, .html, .docx, .epub
+ * Additional formats can be added with registerLoader()
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import pdf from 'pdf-parse';
+import { matchesAnyGlob, matchesDirectoryGlob, parseIgnoreRules, applyIgnoreRules } from './glob.js';
+import { htmlToText, extractDocxText, extractEpubText } from './extractors.js';
 
-// Supported file extensions
-const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.pdf'];
+// MIME types of well-known extensions
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.xhtml': 'application/xhtml+xml',
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.epub': 'application/epub+zip'
+};
+
+// Registered loaders, most recently registered first
+const loaderRegistry = [];
+
+// Name of the gitignore-style file honoured in every directory
+const IGNORE_FILENAME = '.indexignore';
+
+// Directories that are never worth indexing
+const DEFAULT_EXCLUDE = ['**/.git/**', '**/node_modules/**'];
+
+/**
+ * Converts a platform path to a relative path with forward slashes
+ * @param {string} rootDir - Root directory
+ * @param {string} filePath - Absolute path
+ * @returns {string} - Relative path
+ */
+function toRelativePath(rootDir, filePath) {
+  return path.relative(rootDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Reads the ignore file of a directory, if present
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<Array|null>} - Parsed rules or null
+ */
+async function readIgnoreFile(dirPath) {
+  try {
+    const content = await fs.readFile(path.join(dirPath, IGNORE_FILENAME), 'utf-8');
+    return parseIgnoreRules(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks a path against the ignore files collected on the way down the tree
+ * @param {Array<{base: string, rules: Array}>} ignoreStack - Ignore files from root to current directory
+ * @param {string} relativePath - Path relative to the root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} - true if the path is ignored
+ */
+function isIgnored(ignoreStack, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const { base, rules } of ignoreStack) {
+    const localPath = base ? relativePath.slice(base.length + 1) : relativePath;
+    const result = applyIgnoreRules(rules, localPath, isDirectory);
+    if (result !== null) {
+      ignored = result;
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Recursively discovers document files below a directory
+ * @param {string} rootDir - Root directory
+ * @param {Object} options - Discovery options
+ * @param {string[]} options.include - Glob patterns a file must match (default: all files)
+ * @param {string[]} options.exclude - Glob patterns of files and directories to skip
+ * @param {boolean} options.followSymlinks - Follow symbolic links inside the root (default: true)
+ * @returns {Promise<Array<{path: string, relativePath: string}>>} - Discovered files, sorted by relative path
+ */
+export async function findDocumentFiles(rootDir, options = {}) {
+  const {
+    include = [],
+    exclude = [],
+    followSymlinks = true
+  } = options;
+
+  const excludePatterns = [...DEFAULT_EXCLUDE, ...exclude];
+  const realRoot = await fs.realpath(rootDir);
+  const visitedDirs = new Set();
+  const files = [];
+
+  /**
+   * Resolves a symlink and checks that it stays inside the root
+   * @returns {Promise<import('fs').Stats|null>} - Target stats or null if unsafe
+   */
+  async function resolveSymlink(entryPath, relativePath) {
+    if (!followSymlinks) {
+      return null;
+    }
+
+    let target;
+    try {
+      target = await fs.realpath(entryPath);
+    } catch {
+      console.warn(`  Skipped: ${relativePath} (broken symlink)`);
+      return null;
+    }
+
+    if (target !== realRoot && !target.startsWith(realRoot + path.sep)) {
+      console.warn(`  Skipped: ${relativePath} (symlink points outside ${rootDir})`);
+      return null;
+    }
+
+    return fs.stat(target);
+  }
+
+  async function walk(dirPath, ignoreStack) {
+    const realDir = await fs.realpath(dirPath);
+
+    // Guard against symlink cycles
+    if (visitedDirs.has(realDir)) {
+      return;
+    }
+    visitedDirs.add(realDir);
+
+    const relativeDir = toRelativePath(rootDir, dirPath);
+    const rules = await readIgnoreFile(dirPath);
+    const stack = rules ? [...ignoreStack, { base: relativeDir, rules }] : ignoreStack;
+
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (entry.name === IGNORE_FILENAME) {
+        continue;
+      }
+
+      const entryPath = path.join(dirPath, entry.name);
+      const relativePath = toRelativePath(rootDir, entryPath);
+
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      if (entry.isSymbolicLink()) {
+        const targetStats = await resolveSymlink(entryPath, relativePath);
+        if (!targetStats) {
+          continue;
+        }
+        isDirectory = targetStats.isDirectory();
+        isFile = targetStats.isFile();
+      }
+
+      if (isDirectory) {
+        if (isIgnored(stack, relativePath, true) || matchesDirectoryGlob(relativePath, excludePatterns)) {
+          continue;
+        }
+        await walk(entryPath, stack);
+      } else if (isFile) {
+        if (isIgnored(stack, relativePath, false) || matchesAnyGlob(relativePath, excludePatterns)) {
+          continue;
+        }
+        if (include.length > 0 && !matchesAnyGlob(relativePath, include)) {
+          continue;
+        }
+        files.push({ path: entryPath, relativePath });
+      }
+    }
+  }
+
+  await walk(rootDir, []);
+
+  return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
 
 /**
- * Loads all documents from the specified directory
+ * Loads all documents from the specified directory and its subdirectories
  * @param {string} dirPath - Path to the directory with documents
- * @returns {Promise<Array<{filename: string, content: string}>>} - Array of document objects
+ * @param {Object} options - Discovery options (see findDocumentFiles)
+ * @param {Object} options.known - File manifest of a previous index ({filename: {hash, mtime, size, chunks, pages?}});
+ *   files whose modification time and size still match are not read again
+ * @returns {Promise<Array<{filename: string, content: string|null, hash: string, mtime: string, size: number}>>} - Array of document objects;
+ *   filename is the path relative to dirPath, content is null for files skipped as known
  */
-export async function loadDocuments(dirPath) {
+export async function loadDocuments(dirPath, options = {}) {
+  const { known = null } = options;
+
   // Check if directory exists
   try {
     await fs.access(dirPath);
@@ -24,17 +202,34 @@ export async function loadDocuments(dirPath) {
   }
 
   // Get list of files
-  const files = await fs.readdir(dirPath);
+  const files = await findDocumentFiles(dirPath, options);
 
-  // Filter only supported formats
-  const supportedFiles = files.filter(file => {
-    const ext = path.extname(file).toLowerCase();
-    return SUPPORTED_EXTENSIONS.includes(ext);
-  });
+  // Resolve a loader for every file; files without one are reported, not dropped silently
+  const supportedFiles = [];
+  const unsupportedFiles = [];
+
+  for (const file of files) {
+    const loader = await resolveLoader(file.path);
+    if (loader) {
+      supportedFiles.push({ ...file, loader });
+    } else {
+      unsupportedFiles.push(file);
+    }
+  }
+
+  if (unsupportedFiles.length > 0) {
+    console.warn(`Skipping ${unsupportedFiles.length} unsupported file(s):`);
+    for (const file of unsupportedFiles) {
+      const mimeType = await detectMimeType(file.path);
+      const ext = path.extname(file.relativePath) || '(no extension)';
+      console.warn(`  - ${file.relativePath} [${ext}${mimeType ? `, ${mimeType}` : ''}]`);
+    }
+    console.warn(`Supported formats: ${getSupportedExtensions().join(', ')}`);
+  }
 
   if (supportedFiles.length === 0) {
     console.warn(`No supported documents found in ${dirPath}`);
-    console.warn(`Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+    console.warn(`Supported formats: ${getSupportedExtensions().join(', ')}`);
     return [];
   }
 
@@ -42,20 +237,24 @@ export async function loadDocuments(dirPath) {
 
   const documents = [];
 
-  for (const filename of supportedFiles) {
-    const filePath = path.join(dirPath, filename);
-
+  for (const { path: filePath, relativePath: filename, loader } of supportedFiles) {
     try {
-      const content = await loadFile(filePath);
-
-      if (content && content.trim().length > 0) {
-        documents.push({
-          filename,
-          content: content.trim()
-        });
-        console.log(`  Loaded: ${filename} (${content.length} characters)`);
-      } else {
-        console.warn(`  Skipped: ${filename} (empty file)`);
+      const fileStats = await fs.stat(filePath);
+      const previous = known && known[filename];
+
+      // Same modification time and size: keep the recorded hash instead of extracting the text again.
+      // PDFs indexed before page ranges were recorded are read once more to get them.
+      if (previous && previous.chunks > 0 &&
+        previous.mtime === fileStats.mtime.toISOString() && previous.size === fileStats.size &&
+        (loader.name !== 'pdf' || previous.pages !== undefined)) {
+        documents.push({ filename, content: null, hash: previous.hash, mtime: previous.mtime, size: previous.size });
+        console.log(`  Unchanged: ${filename}`);
+        continue;
+      }
+
+      const document = await readDocument(filePath, filename, loader, fileStats);
+      if (document) {
+        documents.push(document);
       }
     } catch (error) {
       console.error(`  Error loading ${filename}: ${error.message}`);
@@ -66,26 +265,222 @@ export async function loadDocuments(dirPath) {
 }
 
 /**
- * Loads content from a single file
+ * Extracts the text of a document file
  * @param {string} filePath - Path to the file
- * @returns {Promise<string>} - File content as text
+ * @param {string} filename - Path relative to the documents directory
+ * @param {Object} loader - Loader for the file (see resolveLoader)
+ * @param {import('fs').Stats} fileStats - Stats of the file
+ * @returns {Promise<Object|null>} - Document object, or null for an empty file
  */
-async function loadFile(filePath) {
+async function readDocument(filePath, filename, loader, fileStats) {
+  const loaded = await loader.load(filePath);
+  const { content, pages } = typeof loaded === 'string' ? { content: loaded } : (loaded || {});
+
+  if (!content || content.trim().length === 0) {
+    console.warn(`  Skipped: ${filename} (empty file)`);
+    return null;
+  }
+
+  const trimmed = content.trim();
+
+  const document = {
+    filename,
+    content: trimmed,
+    hash: hashContent(trimmed),
+    mtime: fileStats.mtime.toISOString(),
+    size: fileStats.size
+  };
+
+  if (pages) {
+    document.pages = shiftPages(pages, content.length - content.trimStart().length, trimmed.length);
+  }
+
+  console.log(`  Loaded: ${filename} (${content.length} characters${pages ? `, ${pages.length} page(s)` : ''})`);
+  return document;
+}
+
+/**
+ * Reads a document that loadDocuments skipped as known (content: null),
+ * for when the previous index has no chunks to reuse for it after all
+ * @param {string} dirPath - Path to the directory with documents
+ * @param {string} filename - Path relative to dirPath
+ * @returns {Promise<Object|null>} - Document object as returned by loadDocuments, or null if the file is empty now
+ */
+export async function reloadDocument(dirPath, filename) {
+  const filePath = path.join(dirPath, ...filename.split('/'));
+  const loader = await resolveLoader(filePath);
+
+  if (!loader) {
+    const ext = path.extname(filePath).toLowerCase() || '(no extension)';
+    throw new Error(`Unsupported file format: ${ext}`);
+  }
+
+  return readDocument(filePath, filename, loader, await fs.stat(filePath));
+}
+
+/**
+ * Moves page ranges after leading whitespace was trimmed from the content
+ * @param {Array<{number: number, start: number, end: number}>} pages - Page ranges
+ * @param {number} shift - Number of characters removed from the start
+ * @param {number} length - Length of the trimmed content
+ * @returns {Array<{number: number, start: number, end: number}>} - Adjusted page ranges
+ */
+function shiftPages(pages, shift, length) {
+  return pages
+    .map(page => ({
+      number: page.number,
+      start: Math.max(0, page.start - shift),
+      end: Math.min(length, page.end - shift)
+    }))
+    .filter(page => page.end > page.start);
+}
+
+/**
+ * Computes a stable content hash used to detect changed documents
+ * @param {string} content - Document content
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf-8').digest('hex');
+}
+
+/**
+ * Registers a document loader. Loaders registered later take precedence,
+ * so third-party code can override the built-in ones.
+ * @param {Object} loader - Loader definition
+ * @param {string} loader.name - Loader name used in messages
+ * @param {string[]} [loader.extensions] - File extensions handled, e.g. ['.csv']
+ * @param {string[]} [loader.mimeTypes] - MIME types handled, e.g. ['text/csv']
+ * @param {Function} loader.load - async (filePath) => string, or {content, pages}
+ *   where pages is [{number, start, end}] with character offsets into content
+ */
+export function registerLoader(loader) {
+  if (!loader || typeof loader.load !== 'function') {
+    throw new Error('Loader must have a load(filePath) function');
+  }
+
+  const extensions = (loader.extensions || []).map(ext => {
+    const lower = ext.toLowerCase();
+    return lower.startsWith('.') ? lower : `.${lower}`;
+  });
+  const mimeTypes = (loader.mimeTypes || []).map(type => type.toLowerCase());
+
+  if (extensions.length === 0 && mimeTypes.length === 0) {
+    throw new Error(`Loader "${loader.name || 'unnamed'}" must declare extensions or mimeTypes`);
+  }
+
+  loaderRegistry.unshift({
+    name: loader.name || extensions[0] || mimeTypes[0],
+    extensions,
+    mimeTypes,
+    load: loader.load
+  });
+}
+
+/**
+ * Returns every file extension a registered loader can handle
+ * @returns {string[]} - Extensions such as '.txt'
+ */
+export function getSupportedExtensions() {
+  const extensions = new Set();
+
+  for (const loader of loaderRegistry) {
+    loader.extensions.forEach(ext => extensions.add(ext));
+    for (const [ext, type] of Object.entries(MIME_TYPES)) {
+      if (loader.mimeTypes.includes(type)) {
+        extensions.add(ext);
+      }
+    }
+  }
+
+  return Array.from(extensions).sort();
+}
+
+/**
+ * Detects the MIME type of a file from its extension, falling back to content sniffing
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} - MIME type or null if unknown
+ */
+export async function detectMimeType(filePath) {
   const ext = path.extname(filePath).toLowerCase();
+  if (MIME_TYPES[ext]) {
+    return MIME_TYPES[ext];
+  }
 
-  switch (ext) {
-    case '.txt':
-    case '.md':
-      return loadTextFile(filePath);
-    case '.pdf':
-      return loadPdfFile(filePath);
-    default:
-      throw new Error(`Unsupported file format: ${ext}`);
+  let header;
+  try {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(512);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      header = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  } catch {
+    return null;
+  }
+
+  const text = header.toString('latin1');
+
+  if (text.startsWith('%PDF-')) {
+    return 'application/pdf';
+  }
+  if (text.startsWith('PK\x03\x04')) {
+    if (text.includes('mimetypeapplication/epub+zip')) {
+      return 'application/epub+zip';
+    }
+    if (text.includes('word/')) {
+      return MIME_TYPES['.docx'];
+    }
+    return 'application/zip';
+  }
+  if (/^\s*<(!doctype html|html)[\s>]/i.test(text)) {
+    return 'text/html';
   }
+
+  return null;
 }
 
 /**
- * Loads text file (.txt, .md)
+ * Finds the loader for a file by extension, then by MIME type
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object|null>} - Loader or null if the format is unsupported
+ */
+export async function resolveLoader(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  const byExtension = loaderRegistry.find(loader => loader.extensions.includes(ext));
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const mimeType = await detectMimeType(filePath);
+  if (!mimeType) {
+    return null;
+  }
+
+  return loaderRegistry.find(loader => loader.mimeTypes.includes(mimeType)) || null;
+}
+
+/**
+ * Loads content from a single file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|{content: string, pages: Array}>} - File content as text (with page ranges for PDFs)
+ */
+export async function loadFile(filePath) {
+  const loader = await resolveLoader(filePath);
+
+  if (!loader) {
+    const ext = path.extname(filePath).toLowerCase() || '(no extension)';
+    throw new Error(`Unsupported file format: ${ext}`);
+  }
+
+  return loader.load(filePath);
+}
+
+/**
+ * Loads text file (.txt, .md, .markdown)
  * @param {string} filePath - Path to the file
  * @returns {Promise<string>} - File content
  */
@@ -94,14 +489,95 @@ async function loadTextFile(filePath) {
 }
 
 /**
- * Loads PDF file and extracts text
+ * Extracts the text of a single PDF page (same layout rules as pdf-parse)
+ * @param {Object} pageData - pdf.js page
+ * @returns {Promise<string>} - Page text
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+
+  return text;
+}
+
+/**
+ * Loads PDF file and extracts text, keeping page boundaries
  * @param {string} filePath - Path to the PDF file
- * @returns {Promise<string>} - Extracted text from PDF
+ * @returns {Promise<{content: string, pages: Array<{number: number, start: number, end: number}>}>} - Extracted text and page ranges
  */
 async function loadPdfFile(filePath) {
   const dataBuffer = await fs.readFile(filePath);
-  const pdfData = await pdf(dataBuffer);
-  return pdfData.text;
+  const pageTexts = [];
+
+  await pdf(dataBuffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      pageTexts.push({ number: pageData.pageIndex + 1, text });
+      return text;
+    }
+  });
+
+  let content = '';
+  const pages = [];
+
+  for (const { number, text } of pageTexts) {
+    if (content) {
+      content += '\n\n';
+    }
+    pages.push({ number, start: content.length, end: content.length + text.length });
+    content += text;
+  }
+
+  return { content, pages };
+}
+
+/**
+ * Loads HTML file, keeping headings and dropping navigation boilerplate
+ * @param {string} filePath - Path to the HTML file
+ * @returns {Promise<string>} - Extracted text
+ */
+async function loadHtmlFile(filePath) {
+  const html = await fs.readFile(filePath, 'utf-8');
+  return htmlToText(html);
+}
+
+/**
+ * Loads DOCX file and extracts text
+ * @param {string} filePath - Path to the DOCX file
+ * @returns {Promise<string>} - Extracted text
+ */
+async function loadDocxFile(filePath) {
+  const dataBuffer = await fs.readFile(filePath);
+  return extractDocxText(dataBuffer);
+}
+
+/**
+ * Loads EPUB file and extracts text in reading order
+ * @param {string} filePath - Path to the EPUB file
+ * @returns {Promise<string>} - Extracted text
+ */
+async function loadEpubFile(filePath) {
+  const dataBuffer = await fs.readFile(filePath);
+  return extractEpubText(dataBuffer);
 }
 
-export { SUPPORTED_EXTENSIONS };
+// Built-in loaders
+registerLoader({ name: 'text', extensions: ['.txt', '.md', '.markdown'], mimeTypes: ['text/plain', 'text/markdown'], load: loadTextFile });
+registerLoader({ name: 'pdf', extensions: ['.pdf'], mimeTypes: ['application/pdf'], load: loadPdfFile });
+registerLoader({ name: 'html', extensions: ['.html', '.htm', '.xhtml'], mimeTypes: ['text/html', 'application/xhtml+xml'], load: loadHtmlFile });
+registerLoader({ name: 'docx', extensions: ['.docx'], mimeTypes: [MIME_TYPES['.docx']], load: loadDocxFile });
+registerLoader({ name: 'epub', extensions: ['.epub'], mimeTypes: ['application/epub+zip'], load: loadEpubFile });
@@ -0,0 +1,238 @@
+/**
+ * memory.js - Token-budgeted conversation memory
+ *
+ * Keeps the last recentTurns turns (question + answer) verbatim. Older turns are
+ * folded into a running summary written by the chat model. The history sent to
+ * the model never exceeds maxTokens, so it cannot squeeze out the retrieved
+ * context, which has its own budget (see context.js).
+ *
+ * Tokens are estimated from the text length: the chat model's tokenizer is not
+ * available locally.
+ */
+
+import { createChatCompletion } from './openai-client.js';
+
+// Default memory settings
+const MEMORY_DEFAULTS = {
+  recentTurns: 4,         // Turns kept verbatim
+  maxTokens: 2000,        // Budget for summary + verbatim turns
+  summaryMaxTokens: 300   // Length limit of the running summary
+};
+
+// Rough characters per token of English text
+const CHARS_PER_TOKEN = 4;
+
+// Per-message overhead of the chat format (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Heading of the summary message in the history
+const SUMMARY_HEADER = 'Summary of the earlier conversation:\n';
+
+const SUMMARY_PROMPT = `You maintain a running summary of a conversation between a user and an assistant.
+Merge the previous summary and the new turns into one concise summary. Keep names, facts, decisions,
+open questions and the documents that were cited. Reply with the summary only.`;
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Counts the tokens of chat messages, including the per-message overhead
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Function} countTokens - Token counter (default: estimateTokens)
+ * @returns {number}
+ */
+export function countMessageTokens(messages, countTokens = estimateTokens) {
+  return messages.reduce((sum, m) => sum + countTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Drops the oldest messages until a history fits a token budget.
+ * Leading system messages (e.g. a summary) are kept.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages, oldest first
+ * @param {number} maxTokens - Token budget
+ * @param {Function} countTokens - Token counter (default: estimateTokens)
+ * @returns {Array<{role: string, content: string}>} - Messages that fit
+ */
+export function fitHistory(messages, maxTokens, countTokens = estimateTokens) {
+  const pinned = [];
+  let rest = messages;
+  while (rest.length > 0 && rest[0].role === 'system') {
+    pinned.push(rest[0]);
+    rest = rest.slice(1);
+  }
+
+  let budget = maxTokens - countMessageTokens(pinned, countTokens);
+  const kept = [];
+  for (let i = rest.length - 1; i >= 0; i--) {
+    const tokens = countMessageTokens([rest[i]], countTokens);
+    if (tokens > budget) break;
+    kept.unshift(rest[i]);
+    budget -= tokens;
+  }
+
+  // Never start with an answer whose question was dropped
+  if (kept.length > 0 && kept[0].role === 'assistant') {
+    kept.shift();
+  }
+
+  return [...pinned, ...kept];
+}
+
+/**
+ * Cuts a text down to a token budget
+ * @param {string} text - Text
+ * @param {number} maxTokens - Token budget
+ * @returns {string}
+ */
+function clipToTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  return text.length > maxChars ? `${text.slice(0, maxChars - 3).trimEnd()}...` : text;
+}
+
+/**
+ * Asks the chat model to fold turns into the running summary
+ * @param {string} summary - Previous summary ('' if none)
+ * @param {Array<{user: string, assistant: string}>} turns - Turns to fold in
+ * @param {number} maxTokens - Length limit of the new summary
+ * @returns {Promise<string>} - New summary
+ */
+export async function summarizeTurns(summary, turns, maxTokens) {
+  const transcript = turns
+    .map(turn => `User: ${turn.user}\nAssistant: ${turn.assistant}`)
+    .join('\n\n');
+
+  const reply = await createChatCompletion([
+    { role: 'system', content: SUMMARY_PROMPT },
+    {
+      role: 'user',
+      content: `Previous summary:\n${summary || '(none)'}\n\nNew turns:\n${transcript}\n\n` +
+        `Write the updated summary in at most ${Math.floor(maxTokens * 0.75)} words.`
+    }
+  ], { temperature: 0, maxTokens });
+
+  return reply.trim();
+}
+
+/**
+ * Creates a conversation memory
+ * @param {Object} options - Memory settings
+ * @param {number} options.recentTurns - Turns kept verbatim (default: 4)
+ * @param {number} options.maxTokens - Token budget of the history sent to the model (default: 2000)
+ * @param {number} options.summaryMaxTokens - Length limit of the running summary (default: 300)
+ * @param {Function} options.summarize - Summarizer (default: summarizeTurns with the chat model)
+ * @returns {Object} - Memory with addTurn, compact, getMessages, getUsage, getState, restore and clear
+ */
+export function createConversationMemory(options = {}) {
+  const { recentTurns, maxTokens, summaryMaxTokens } = { ...MEMORY_DEFAULTS, ...options };
+  const summarize = options.summarize || summarizeTurns;
+
+  if (summaryMaxTokens >= maxTokens) {
+    throw new Error(`memory.summaryMaxTokens (${summaryMaxTokens}) must be smaller than memory.maxTokens (${maxTokens})`);
+  }
+
+  let turns = [];
+  let summary = '';
+  let summarizedTurns = 0;
+
+  const summaryMessages = () => summary
+    ? [{ role: 'system', content: `${SUMMARY_HEADER}${summary}` }]
+    : [];
+
+  const turnMessages = (list) => list.flatMap(turn => [
+    { role: 'user', content: turn.user },
+    { role: 'assistant', content: turn.assistant }
+  ]);
+
+  return {
+    /**
+     * Records a finished turn
+     * @param {string} user - Question
+     * @param {string} assistant - Answer
+     */
+    addTurn(user, assistant) {
+      turns.push({ user, assistant });
+    },
+
+    /**
+     * Folds turns past recentTurns, and turns that do not fit the budget, into the summary
+     * @returns {Promise<{summarized: number}>} - Number of turns folded in
+     */
+    async compact() {
+      // Room for verbatim turns next to a summary of full length
+      const verbatimBudget = maxTokens - summaryMaxTokens - estimateTokens(SUMMARY_HEADER) - MESSAGE_OVERHEAD_TOKENS;
+      let count = Math.max(0, turns.length - recentTurns);
+      // The latest turn always stays verbatim; getMessages() drops it if it is too long
+      while (count < turns.length - 1 &&
+        countMessageTokens(turnMessages(turns.slice(count))) > verbatimBudget) {
+        count++;
+      }
+      if (count === 0) {
+        return { summarized: 0 };
+      }
+
+      const folding = turns.slice(0, count);
+      const updated = await summarize(summary, folding, summaryMaxTokens);
+      summary = clipToTokens(updated, summaryMaxTokens);
+      summarizedTurns += count;
+      turns = turns.slice(count);
+      return { summarized: count };
+    },
+
+    /**
+     * Returns the history to send to the model: the summary, then the recent turns
+     * @returns {Array<{role: string, content: string}>}
+     */
+    getMessages() {
+      return fitHistory([...summaryMessages(), ...turnMessages(turns)], maxTokens);
+    },
+
+    /**
+     * Returns how much of the budget is in use
+     * @returns {{verbatimTurns: number, summarizedTurns: number, summaryTokens: number, historyTokens: number, maxTokens: number}}
+     */
+    getUsage() {
+      return {
+        verbatimTurns: turns.length,
+        summarizedTurns,
+        summaryTokens: summary ? estimateTokens(summary) : 0,
+        historyTokens: countMessageTokens(this.getMessages()),
+        maxTokens
+      };
+    },
+
+    /**
+     * Returns the state to store with a saved session
+     * @returns {{summary: string, summarizedTurns: number, turns: Array}}
+     */
+    getState() {
+      return { summary, summarizedTurns, turns: turns.map(turn => ({ ...turn })) };
+    },
+
+    /**
+     * Restores a state from getState()
+     * @param {Object} state - Saved state
+     */
+    restore(state) {
+      summary = state.summary || '';
+      summarizedTurns = state.summarizedTurns || 0;
+      turns = (state.turns || []).map(({ user, assistant }) => ({ user, assistant }));
+    },
+
+    /**
+     * Forgets the conversation
+     */
+    clear() {
+      turns = [];
+      summary = '';
+      summarizedTurns = 0;
+    }
+  };
+}
+
+export { MEMORY_DEFAULTS };
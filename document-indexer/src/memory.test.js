@@ -0,0 +1,110 @@
+/**
+ * memory.test.js - Token-budgeted conversation memory
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, countMessageTokens, fitHistory, createConversationMemory } from './memory.js';
+
+const message = (role, tokens) => ({ role, content: 'x'.repeat(tokens * 4) });
+
+test('token counts include the per-message overhead', () => {
+  assert.equal(estimateTokens('abcdefghi'), 3);
+  assert.equal(countMessageTokens([message('user', 10), message('assistant', 6)]), 24);
+  assert.equal(countMessageTokens([{ role: 'user', content: 'one two' }], text => text.split(' ').length), 6);
+});
+
+test('fitHistory keeps the newest messages and the leading system messages', () => {
+  const history = [
+    message('system', 10),
+    message('user', 10),
+    message('assistant', 10),
+    message('user', 10),
+    message('assistant', 10)
+  ];
+
+  assert.deepEqual(fitHistory(history, 1000), history);
+  // 14 tokens per message: the summary and the last turn fit in 42
+  assert.deepEqual(fitHistory(history, 42), [history[0], history[3], history[4]]);
+  // An answer without its question is dropped too
+  assert.deepEqual(fitHistory(history, 30), [history[0]]);
+  assert.deepEqual(fitHistory(history.slice(1), 10), []);
+});
+
+/**
+ * Records the turns handed to the summarizer and returns a short summary
+ * @returns {{summarize: Function, calls: Array}}
+ */
+function fakeSummarizer() {
+  const calls = [];
+  return {
+    calls,
+    summarize: async (summary, turns) => {
+      calls.push(turns.map(turn => turn.user));
+      return [summary, ...turns.map(turn => `asked ${turn.user}`)].filter(Boolean).join('; ');
+    }
+  };
+}
+
+test('turns past recentTurns are folded into the summary', async () => {
+  const { summarize, calls } = fakeSummarizer();
+  const memory = createConversationMemory({ recentTurns: 2, maxTokens: 1000, summaryMaxTokens: 100, summarize });
+
+  for (const question of ['q1', 'q2', 'q3']) {
+    memory.addTurn(question, `a-${question}`);
+  }
+  assert.deepEqual(await memory.compact(), { summarized: 1 });
+  assert.deepEqual(calls, [['q1']]);
+
+  memory.addTurn('q4', 'a-q4');
+  await memory.compact();
+
+  const messages = memory.getMessages();
+  assert.deepEqual(messages[0], { role: 'system', content: 'Summary of the earlier conversation:\nasked q1; asked q2' });
+  assert.deepEqual(messages.slice(1).map(m => m.content), ['q3', 'a-q3', 'q4', 'a-q4']);
+  assert.equal(memory.getUsage().summarizedTurns, 2);
+  assert.deepEqual(await memory.compact(), { summarized: 0 });
+});
+
+test('long turns are folded early so the history stays within maxTokens', async () => {
+  const { summarize } = fakeSummarizer();
+  const memory = createConversationMemory({ recentTurns: 4, maxTokens: 200, summaryMaxTokens: 50, summarize });
+  const long = 'y'.repeat(300);
+
+  memory.addTurn('first', long);
+  memory.addTurn('second', long);
+  memory.addTurn('third', long);
+  const { summarized } = await memory.compact();
+
+  assert.ok(summarized >= 1);
+  const usage = memory.getUsage();
+  assert.ok(usage.historyTokens <= 200, `${usage.historyTokens} tokens`);
+  assert.equal(memory.getMessages().at(-2).content, 'third');
+});
+
+test('the summary is clipped and the state survives a restore', async () => {
+  const memory = createConversationMemory({
+    recentTurns: 0,
+    maxTokens: 500,
+    summaryMaxTokens: 10,
+    summarize: async () => 'z'.repeat(200)
+  });
+  memory.addTurn('q', 'a');
+  await memory.compact();
+
+  const state = memory.getState();
+  assert.equal(state.summary.length, 40);
+  assert.ok(state.summary.endsWith('...'));
+  assert.deepEqual(state.turns, []);
+
+  const restored = createConversationMemory({ summarize: async () => '' });
+  restored.restore(state);
+  assert.deepEqual(restored.getState(), state);
+  restored.clear();
+  assert.deepEqual(restored.getMessages(), []);
+});
+
+test('the summary limit must be below the history budget', () => {
+  assert.throws(() => createConversationMemory({ maxTokens: 100, summaryMaxTokens: 100 }), /must be smaller than memory.maxTokens/);
+});
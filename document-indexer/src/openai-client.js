@@ -1,48 +1,267 @@
 /**
- * openai-client.js - OpenAI API client wrapper
+ * openai-client.js - Chat model client wrapper
+ *
+ * Backends:
+ * - openai: OpenAI or any OpenAI-compatible server (llama.cpp, vLLM, Ollama, ...)
+ * - echo: replies with the last user message (offline testing)
+ * - scripted: replies from a fixed script (offline testing)
+ *
+ * Settings are layered: defaults < environment variables (LLM_*) < configureLLM()
+ * < per-call options. The entry points pass the llm section of the project
+ * config (see config.js) to configureLLM().
  */
 
+import fs from 'fs';
 import OpenAI from 'openai';
 
 // Default model
 const DEFAULT_MODEL = 'gpt-4o-mini';
 
+// Supported backends
+const LLM_BACKENDS = ['openai', 'echo', 'scripted'];
+
+// Default settings
+const LLM_DEFAULTS = {
+  backend: 'openai',
+  baseURL: null,
+  apiKey: null,
+  model: DEFAULT_MODEL,
+  temperature: 0.7,
+  maxTokens: 1000,
+  script: []
+};
+
+// Settings from configureLLM() and the resolved settings (singleton)
+let overrides = {};
+let llmConfig = null;
+
 // Singleton client instance
 let openaiClient = null;
 
+// Position in the script of the scripted backend
+let scriptPosition = 0;
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File path
+ * @param {string} label - What the file is, for error messages
+ * @returns {*} - Parsed JSON
+ */
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads LLM settings from the environment
+ * (LLM_BACKEND, LLM_BASE_URL, LLM_API_KEY or OPENAI_API_KEY, LLM_MODEL,
+ * LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_SCRIPT)
+ * @returns {Object} - Settings from the environment
+ */
+function getEnvironmentConfig() {
+  const env = process.env;
+  const config = {};
+
+  if (env.LLM_BACKEND) config.backend = env.LLM_BACKEND;
+  if (env.LLM_BASE_URL) config.baseURL = env.LLM_BASE_URL;
+  if (env.LLM_API_KEY || env.OPENAI_API_KEY) config.apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+  if (env.LLM_MODEL) config.model = env.LLM_MODEL;
+  if (env.LLM_TEMPERATURE) config.temperature = Number(env.LLM_TEMPERATURE);
+  if (env.LLM_MAX_TOKENS) config.maxTokens = Number(env.LLM_MAX_TOKENS);
+  if (env.LLM_SCRIPT) config.script = readJsonFile(env.LLM_SCRIPT, 'LLM script');
+
+  return config;
+}
+
+/**
+ * Checks sampling settings
+ * @param {Object} settings - Settings with temperature and maxTokens
+ */
+function validateSampling({ temperature, maxTokens }) {
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+    throw new Error(`Invalid LLM temperature: ${temperature} (expected 0-2)`);
+  }
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    throw new Error(`Invalid LLM maxTokens: ${maxTokens} (expected a positive integer)`);
+  }
+}
+
+/**
+ * Checks the entries of a script for the scripted backend: reply strings, or
+ * rules { match: regular expression, reply: string }
+ * @param {Array} script - Script entries
+ * @returns {string[]} - Problems found
+ */
+function getScriptErrors(script) {
+  const errors = [];
+
+  script.forEach((entry, i) => {
+    if (typeof entry === 'string') {
+      return;
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry) ||
+      typeof entry.match !== 'string' || typeof entry.reply !== 'string') {
+      errors.push(`entry ${i + 1} must be a reply string or { "match": "<regex>", "reply": "<text>" }`);
+      return;
+    }
+    try {
+      new RegExp(entry.match, 'i');
+    } catch (error) {
+      errors.push(`entry ${i + 1} has an invalid "match" pattern (${error.message})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Checks resolved settings
+ * @param {Object} config - LLM settings
+ */
+function validateConfig(config) {
+  if (!LLM_BACKENDS.includes(config.backend)) {
+    throw new Error(`Unknown LLM backend: ${config.backend} (expected ${LLM_BACKENDS.join(', ')})`);
+  }
+  validateSampling(config);
+  if (!Array.isArray(config.script)) {
+    throw new Error('LLM script must be an array of replies');
+  }
+  const scriptErrors = getScriptErrors(config.script);
+  if (scriptErrors.length > 0) {
+    throw new Error(`Invalid LLM script: ${scriptErrors.join('; ')}`);
+  }
+}
+
+/**
+ * Returns the resolved LLM settings (environment and overrides)
+ * @returns {Object} - LLM settings
+ */
+function getConfig() {
+  if (!llmConfig) {
+    const config = { ...LLM_DEFAULTS, ...getEnvironmentConfig(), ...overrides };
+    validateConfig(config);
+    llmConfig = config;
+  }
+  return llmConfig;
+}
+
+/**
+ * Overrides LLM settings for this process (on top of the environment)
+ * @param {Object} settings - Any of backend, baseURL, apiKey, model, temperature, maxTokens, script
+ */
+export function configureLLM(settings = {}) {
+  overrides = { ...overrides, ...settings };
+  llmConfig = null;
+  openaiClient = null;
+  scriptPosition = 0;
+}
+
+/**
+ * Describes the active LLM backend (no credentials)
+ * @returns {{backend: string, model: string, baseURL: string|null, temperature: number, maxTokens: number}}
+ */
+export function describeLLM() {
+  const { backend, model, baseURL, temperature, maxTokens } = getConfig();
+  return { backend, model, baseURL, temperature, maxTokens };
+}
+
 /**
  * Gets or creates the OpenAI client
  * @returns {OpenAI} - OpenAI client instance
  */
 function getClient() {
   if (!openaiClient) {
-    const apiKey = process.env.OPENAI_API_KEY;
+    const { apiKey, baseURL } = getConfig();
 
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
+    // Local servers usually do not check the key
+    if (!apiKey && !baseURL) {
+      throw new Error('OPENAI_API_KEY environment variable is not set (or set LLM_BASE_URL for a local server)');
     }
 
-    openaiClient = new OpenAI({ apiKey });
+    openaiClient = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
   }
 
   return openaiClient;
 }
 
+/**
+ * Returns the content of the last user message
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {string}
+ */
+function lastUserMessage(messages) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return message ? message.content : '';
+}
+
+/**
+ * Picks the scripted reply for a conversation. Rules ({ match, reply }) are tried
+ * first against the last user message; plain string replies are used in order
+ * and start over at the end.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {string} - Reply
+ */
+function scriptedReply(messages) {
+  const { script } = getConfig();
+  const question = lastUserMessage(messages);
+
+  const rule = script.find(entry => typeof entry === 'object' && new RegExp(entry.match, 'i').test(question));
+  if (rule) {
+    return rule.reply;
+  }
+
+  const replies = script.filter(entry => typeof entry === 'string');
+  if (replies.length === 0) {
+    throw new Error('The scripted LLM backend has no reply for this message');
+  }
+  return replies[scriptPosition++ % replies.length];
+}
+
+/**
+ * Produces a reply without a model (echo and scripted backends)
+ * @param {string} backend - Backend name
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {string} - Reply
+ */
+function offlineReply(backend, messages) {
+  return backend === 'echo' ? lastUserMessage(messages) : scriptedReply(messages);
+}
+
+/**
+ * Resolves per-call options against the configured settings
+ * @param {Object} options - Per-call options
+ * @returns {Object} - Settings for this call
+ */
+function resolveOptions(options) {
+  const config = getConfig();
+  const settings = {
+    backend: config.backend,
+    model: options.model ?? config.model,
+    temperature: options.temperature ?? config.temperature,
+    maxTokens: options.maxTokens ?? config.maxTokens
+  };
+  validateSampling(settings);
+  return settings;
+}
+
 /**
  * Creates a chat completion
  * @param {Array<{role: string, content: string}>} messages - Chat messages
  * @param {Object} options - Options
- * @param {string} options.model - Model to use (default: gpt-4o-mini)
- * @param {number} options.temperature - Temperature (default: 0.7)
- * @param {number} options.maxTokens - Max tokens (default: 1000)
+ * @param {string} options.model - Model to use (default: configured model, gpt-4o-mini)
+ * @param {number} options.temperature - Temperature (default: configured, 0.7)
+ * @param {number} options.maxTokens - Max tokens (default: configured, 1000)
  * @returns {Promise<string>} - Assistant response
  */
 export async function createChatCompletion(messages, options = {}) {
-  const {
-    model = DEFAULT_MODEL,
-    temperature = 0.7,
-    maxTokens = 1000
-  } = options;
+  const { backend, model, temperature, maxTokens } = resolveOptions(options);
+
+  if (backend !== 'openai') {
+    return offlineReply(backend, messages);
+  }
 
   const client = getClient();
 
@@ -64,11 +283,18 @@ export async function createChatCompletion(messages, options = {}) {
  * @returns {Promise<string>} - Full response
  */
 export async function createStreamingCompletion(messages, options = {}, onChunk) {
-  const {
-    model = DEFAULT_MODEL,
-    temperature = 0.7,
-    maxTokens = 1000
-  } = options;
+  const { backend, model, temperature, maxTokens } = resolveOptions(options);
+
+  if (backend !== 'openai') {
+    const reply = offlineReply(backend, messages);
+    // Stream word by word, like a model would
+    for (const piece of reply.match(/\s*\S+/g) || []) {
+      if (onChunk) {
+        onChunk(piece);
+      }
+    }
+    return reply;
+  }
 
   const client = getClient();
 
@@ -95,4 +321,4 @@ export async function createStreamingCompletion(messages, options = {}, onChunk)
   return fullResponse;
 }
 
-export { DEFAULT_MODEL };
+export { getEnvironmentConfig as getLLMEnvironment, getScriptErrors, DEFAULT_MODEL, LLM_BACKENDS, LLM_DEFAULTS };
@@ -0,0 +1,474 @@
+/**
+ * pipeline.js - The document indexing pipeline
+ *
+ * Pipeline:
+ * 1. Load documents from config.documentsDir
+ * 2. Compare with the previous index and split new or changed documents into chunks
+ * 3. Generate embeddings for the new chunks
+ * 4. Create and save index to config.outputPath
+ *
+ * Used by the command line entry point (index.js) and the HTTP server (server.js).
+ */
+
+import fs from 'fs/promises';
+import { loadDocuments, reloadDocument, getSupportedExtensions } from './loader.js';
+import { chunkDocument } from './chunker.js';
+import {
+  generateEmbeddings,
+  getModelName,
+  getTokenCounter,
+  configureEmbedder,
+  configureEmbeddingCache,
+  getEmbeddingCacheStats,
+  describeEmbedding
+} from './embedder.js';
+import { clearEmbeddingCache } from './embedding-cache.js';
+import { describeConfig, getIndexingSettings } from './config.js';
+import {
+  createIndex,
+  saveIndex,
+  loadIndex,
+  getIndexStats,
+  planIndexUpdate,
+  groupChunksByFile,
+  buildAnnIndex
+} from './indexer.js';
+import { packVectorsFrom } from './vectors.js';
+
+/**
+ * Checks whether an index should get an HNSW graph with the current settings
+ * @param {Object} index - Index object
+ * @param {Object} config - Pipeline configuration
+ * @returns {boolean}
+ */
+function wantsAnnIndex(index, config) {
+  return config.ann.enabled && index.documents.length >= config.ann.minChunks;
+}
+
+/**
+ * Checks whether the HNSW graph of an index matches the current settings
+ * @param {Object} index - Index object
+ * @param {Object} config - Pipeline configuration
+ * @returns {boolean}
+ */
+function annIndexMatchesConfig(index, config) {
+  if (!wantsAnnIndex(index, config)) {
+    return !index.ann;
+  }
+  return Boolean(index.ann) &&
+    index.ann.m === config.ann.m &&
+    index.ann.efConstruction === config.ann.efConstruction &&
+    index.ann.efSearch === config.ann.efSearch;
+}
+
+/**
+ * Builds or drops the HNSW graph of an index according to config.ann
+ * @param {Object} index - Index object (modified in place)
+ * @param {Object} config - Pipeline configuration
+ */
+function applyAnnConfig(index, config) {
+  if (!wantsAnnIndex(index, config)) {
+    delete index.ann;
+    return;
+  }
+
+  console.log(`  Building HNSW graph over ${index.documents.length} chunks...`);
+  const startTime = Date.now();
+  index.ann = buildAnnIndex(index, {
+    m: config.ann.m,
+    efConstruction: config.ann.efConstruction,
+    efSearch: config.ann.efSearch
+  });
+  console.log(`  HNSW graph built in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+}
+
+/**
+ * Loads the previous index for incremental updates
+ * @param {Object} config - Pipeline configuration
+ * @returns {Promise<Object|null>} - Previous index or null if unavailable
+ */
+async function loadPreviousIndex(config) {
+  if (!config.incremental) {
+    return null;
+  }
+
+  try {
+    return await loadIndex(config.outputPath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a file exists
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Replaces the index with an empty one after the last document was removed,
+ * so searches, a running chat and the server stop returning deleted files
+ * @param {Object} config - Pipeline configuration
+ * @param {Object} effectiveConfig - Effective configuration of the run (describeConfig())
+ * @param {number} pipelineStartTime - Start of the run (ms)
+ * @returns {Promise<{status: string, index: Object, plan: Object, embedded: number, durationMs: number}>}
+ */
+async function clearIndex(config, effectiveConfig, pipelineStartTime) {
+  let removed = [];
+  try {
+    const previousIndex = await loadIndex(config.outputPath);
+    if (previousIndex.documents.length === 0) {
+      console.log('\nNo documents to process. The index is already empty.');
+      const plan = { incremental: true, reason: null, added: [], updated: [], unchanged: [], removed };
+      return { status: 'up-to-date', index: previousIndex, plan, embedded: 0, durationMs: Date.now() - pipelineStartTime };
+    }
+    removed = Object.keys(previousIndex.metadata.files || {});
+  } catch {
+    // Unreadable index: replace it all the same
+  }
+
+  console.log('\nNo documents left. Writing an empty index...');
+  console.log(`  Output path: ${config.outputPath}`);
+
+  const index = createIndex([], [], {
+    chunkSize: config.chunkSize,
+    overlap: config.overlap,
+    chunkStrategy: config.chunkStrategy,
+    chunkUnit: config.chunkUnit,
+    config: effectiveConfig
+  });
+  await saveIndex(index, config.outputPath, {
+    format: config.indexFormat,
+    quantization: config.quantization
+  });
+
+  if (removed.length > 0) {
+    console.log(`\nRemoved: ${removed.length}`);
+    removed.forEach(filename => console.log(`  - ${filename}`));
+  }
+
+  const plan = { incremental: true, reason: null, added: [], updated: [], unchanged: [], removed };
+  return { status: 'indexed', index, plan, embedded: 0, durationMs: Date.now() - pipelineStartTime };
+}
+
+/**
+ * Runs the indexing pipeline
+ * @param {Object} config - Pipeline configuration (loadConfig() plus the per-run flags incremental and clearCache)
+ * @returns {Promise<{status: string, index: Object|null, plan: Object|null, embedded: number, durationMs: number}>}
+ *   status is 'indexed', 'rewritten' (storage settings only), 'up-to-date' or 'empty' (no documents and no index);
+ *   when the last document is removed, the index is replaced by an empty one
+ */
+export async function runPipeline(config) {
+  console.log('='.repeat(60));
+  console.log('Document Indexing Pipeline');
+  console.log('='.repeat(60));
+  console.log();
+
+  const pipelineStartTime = Date.now();
+
+  // Recorded in the index so the run can be reproduced
+  const effectiveConfig = describeConfig(config);
+  if (config.configFile) {
+    console.log(`Config file: ${config.configFile}`);
+    console.log();
+  }
+
+  // Without configured settings, the EMBEDDING_* environment variables apply
+  configureEmbedder(config.embedding);
+
+  if (config.clearCache) {
+    const removed = await clearEmbeddingCache(config.embeddingCache.dir);
+    console.log(`Cleared embedding cache (${removed} file(s))`);
+    console.log();
+  }
+
+  if (config.embeddingCache.enabled) {
+    const { dir, maxEntries, maxSizeMB } = config.embeddingCache;
+    configureEmbeddingCache({ dir, maxEntries, maxSizeMB });
+  } else {
+    configureEmbeddingCache(null);
+  }
+
+  // Step 1: Load documents
+  console.log('Step 1: Loading documents...');
+  console.log(`  Source directory: ${config.documentsDir}`);
+  console.log();
+
+  const chunking = {
+    chunkSize: config.chunkSize,
+    overlap: config.overlap,
+    chunkStrategy: config.chunkStrategy,
+    chunkUnit: config.chunkUnit
+  };
+
+  // Files of a reusable previous index are only read again if their mtime or size changed
+  const previousIndex = await loadPreviousIndex(config);
+  const reusable = previousIndex && planIndexUpdate(previousIndex, [], chunking).incremental;
+
+  const documents = await loadDocuments(config.documentsDir, {
+    include: config.include,
+    exclude: config.exclude,
+    followSymlinks: config.followSymlinks,
+    known: reusable ? previousIndex.metadata.files : null
+  });
+
+  if (documents.length === 0) {
+    if (await fileExists(config.outputPath)) {
+      return clearIndex(config, effectiveConfig, pipelineStartTime);
+    }
+    console.log('\nNo documents to process. Exiting.');
+    console.log(`Add ${getSupportedExtensions().join(', ')} files to the documents/ folder.`);
+    return { status: 'empty', index: null, plan: null, embedded: 0, durationMs: Date.now() - pipelineStartTime };
+  }
+
+  console.log(`\nLoaded ${documents.length} document(s)`);
+  console.log();
+
+  // Step 2: Chunk new and changed documents
+  console.log('Step 2: Splitting documents into chunks...');
+  console.log(`  Chunk size: ${config.chunkSize} ${config.chunkUnit}`);
+  console.log(`  Overlap: ${config.overlap} ${config.chunkUnit}`);
+  console.log(`  Strategy: ${config.chunkStrategy}`);
+  console.log();
+
+  const plan = planIndexUpdate(previousIndex, documents, chunking);
+
+  if (plan.incremental) {
+    console.log('  Incremental update against previous index');
+  } else {
+    console.log(`  Full rebuild (${config.incremental ? plan.reason : 'full rebuild requested'})`);
+  }
+  console.log();
+
+  if (plan.incremental && plan.added.length === 0 && plan.updated.length === 0 && plan.removed.length === 0) {
+    const storage = previousIndex.metadata.storage;
+    const savedFormat = storage ? storage.format : 'json';
+    const savedQuantization = storage && storage.dtype !== 'float32' ? storage.dtype : 'none';
+
+    const annMatches = annIndexMatchesConfig(previousIndex, config);
+    // Chat, search and eval settings do not shape the index: rewriting it for them
+    // would only make running chats reload it
+    const configMatches = JSON.stringify(getIndexingSettings(previousIndex.metadata.config || {})) ===
+      JSON.stringify(getIndexingSettings(effectiveConfig));
+
+    if (savedFormat === config.indexFormat && savedQuantization === config.quantization && annMatches && configMatches) {
+      console.log('Index is up to date. Nothing to do.');
+      return { status: 'up-to-date', index: previousIndex, plan, embedded: 0, durationMs: Date.now() - pipelineStartTime };
+    }
+
+    // Documents are unchanged, only storage, ANN or other indexing settings differ
+    console.log('Documents are up to date. Rewriting index with the current configuration...');
+    if (!annMatches) {
+      applyAnnConfig(previousIndex, config);
+    }
+    previousIndex.metadata.config = effectiveConfig;
+    await saveIndex(previousIndex, config.outputPath, {
+      format: config.indexFormat,
+      quantization: config.quantization
+    });
+    return { status: 'rewritten', index: previousIndex, plan, embedded: 0, durationMs: Date.now() - pipelineStartTime };
+  }
+
+  const previousChunks = plan.incremental ? groupChunksByFile(previousIndex) : new Map();
+  const unchangedFiles = new Set(plan.unchanged);
+  const allChunks = [];
+  const embeddings = [];
+  // Position of each chunk in the previous index, or -1 for new chunks
+  const origins = [];
+  const pendingPositions = [];
+  const files = {};
+
+  // The tokenizer is only loaded when something has to be chunked
+  let tokenCounter = null;
+
+  for (const doc of documents) {
+    let chunks;
+
+    if (doc.content === null && !(unchangedFiles.has(doc.filename) && previousChunks.has(doc.filename))) {
+      // Skipped by loadDocuments, but there are no chunks to reuse (e.g. they failed to embed last time)
+      const reloaded = await reloadDocument(config.documentsDir, doc.filename);
+      if (!reloaded) {
+        continue;
+      }
+      Object.assign(doc, reloaded);
+    }
+
+    if (unchangedFiles.has(doc.filename) && previousChunks.has(doc.filename)) {
+      // Reuse chunks and embeddings from the previous index
+      const previous = previousChunks.get(doc.filename);
+      chunks = previous.chunks;
+      allChunks.push(...chunks);
+      embeddings.push(...previous.embeddings);
+      origins.push(...previous.positions);
+      console.log(`  ${doc.filename}: ${chunks.length} chunk(s) (unchanged)`);
+    } else {
+      if (config.chunkUnit === 'tokens' && !tokenCounter) {
+        tokenCounter = await getTokenCounter();
+      }
+      chunks = chunkDocument(
+        doc.content,
+        doc.filename,
+        config.chunkSize,
+        config.overlap,
+        {
+          strategy: config.chunkStrategy,
+          countTokens: config.chunkUnit === 'tokens' ? tokenCounter.countTokens : undefined,
+          pages: doc.pages
+        }
+      );
+      for (const chunk of chunks) {
+        pendingPositions.push(allChunks.length);
+        allChunks.push(chunk);
+        embeddings.push(null);
+        origins.push(-1);
+      }
+      console.log(`  ${doc.filename}: ${chunks.length} chunk(s)`);
+    }
+
+    files[doc.filename] = {
+      hash: doc.hash,
+      mtime: doc.mtime,
+      size: doc.size,
+      chunks: chunks.length
+    };
+
+    if (doc.pages) {
+      files[doc.filename].pages = doc.pages.length;
+    } else if (unchangedFiles.has(doc.filename) && previousIndex.metadata.files[doc.filename].pages !== undefined) {
+      // Not read again (see loadDocuments)
+      files[doc.filename].pages = previousIndex.metadata.files[doc.filename].pages;
+    }
+  }
+
+  console.log(`\nTotal chunks: ${allChunks.length} (${pendingPositions.length} to embed)`);
+  console.log();
+
+  // Warn about chunks the model would silently truncate
+  if (pendingPositions.length > 0) {
+    tokenCounter = tokenCounter || await getTokenCounter();
+    const oversized = [];
+
+    for (const position of pendingPositions) {
+      const chunk = allChunks[position];
+      const tokens = tokenCounter.countTokens(chunk.content);
+      if (tokens > tokenCounter.maxTokens) {
+        oversized.push({ source: chunk.source, tokens });
+      }
+    }
+
+    if (oversized.length > 0) {
+      console.warn(`Warning: ${oversized.length} chunk(s) exceed the model limit of ${tokenCounter.maxTokens} tokens;`);
+      console.warn('text past the limit will not be part of their embeddings:');
+      oversized.forEach(({ source, tokens }) => {
+        console.warn(`  ${source.filename} (chunk ${source.chunkIndex}): ${tokens} tokens`);
+      });
+      console.warn(`Consider a smaller chunk size or chunkUnit: 'tokens'.`);
+      console.log();
+    }
+  }
+
+  // Step 3: Generate embeddings
+  console.log('Step 3: Generating embeddings...');
+  console.log(`  Model: ${getModelName()} (${describeEmbedding().provider})`);
+
+  const chunkTexts = pendingPositions.map(position => allChunks[position].content);
+  const newEmbeddings = await generateEmbeddings(chunkTexts, config.embeddingBatch);
+
+  pendingPositions.forEach((position, i) => {
+    embeddings[position] = newEmbeddings[i];
+  });
+
+  // Files with failed chunks record how many made it, so the next run embeds them again
+  pendingPositions.forEach((position, i) => {
+    if (newEmbeddings[i] === null) {
+      const entry = files[allChunks[position].source.filename];
+      entry.embedded = (entry.embedded ?? entry.chunks) - 1;
+    }
+  });
+
+  console.log();
+
+  // Step 4: Create and save index
+  console.log('Step 4: Creating and saving index...');
+  console.log(`  Output path: ${config.outputPath}`);
+  console.log();
+
+  const index = createIndex(allChunks, embeddings, {
+    chunkSize: config.chunkSize,
+    overlap: config.overlap,
+    chunkStrategy: config.chunkStrategy,
+    chunkUnit: config.chunkUnit,
+    config: effectiveConfig,
+    files
+  });
+
+  // Unchanged chunks keep their stored vectors: packing their dequantized
+  // values again would re-quantize them on every incremental save
+  if (plan.incremental && previousIndex.vectors && config.indexFormat === 'binary') {
+    const dtype = config.quantization === 'none' ? 'float32' : config.quantization;
+    const kept = origins.filter((_, i) => embeddings[i] !== null);
+    index.vectors = packVectorsFrom(index.documents.map(doc => doc.embedding), dtype, previousIndex.vectors, kept);
+  }
+
+  // The graph is rebuilt on every run since chunk positions change
+  applyAnnConfig(index, config);
+
+  await saveIndex(index, config.outputPath, {
+    format: config.indexFormat,
+    quantization: config.quantization
+  });
+
+  // Print final statistics
+  const totalTime = ((Date.now() - pipelineStartTime) / 1000).toFixed(2);
+  const stats = getIndexStats(index);
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log('Indexing Complete!');
+  console.log('='.repeat(60));
+  console.log();
+  console.log('Statistics:');
+  console.log(`  Documents processed: ${stats.totalDocuments}`);
+  console.log(`  Chunks in index: ${stats.totalChunks}`);
+  console.log(`  Chunks embedded: ${chunkTexts.length}`);
+  console.log(`  Average chunk length: ${stats.avgChunkLength} characters`);
+  console.log(`  Embedding dimension: ${stats.embeddingDimension}`);
+  console.log(`  Total processing time: ${totalTime}s`);
+
+  const cacheStats = await getEmbeddingCacheStats();
+  if (cacheStats) {
+    const lookups = cacheStats.hits + cacheStats.misses;
+    const hitRate = lookups > 0 ? ((cacheStats.hits / lookups) * 100).toFixed(1) : '0.0';
+    console.log();
+    console.log('Embedding cache:');
+    console.log(`  Hits: ${cacheStats.hits} of ${lookups} (${hitRate}%)`);
+    console.log(`  Entries: ${cacheStats.entries} (${(cacheStats.sizeBytes / 1024 / 1024).toFixed(2)} MB)`);
+    if (cacheStats.evicted > 0) {
+      console.log(`  Evicted: ${cacheStats.evicted}`);
+    }
+  }
+  console.log();
+  console.log('Changes:');
+  console.log(`  Added: ${plan.added.length}`);
+  plan.added.forEach(file => console.log(`    + ${file}`));
+  console.log(`  Updated: ${plan.updated.length}`);
+  plan.updated.forEach(file => console.log(`    ~ ${file}`));
+  console.log(`  Removed: ${plan.removed.length}`);
+  plan.removed.forEach(file => console.log(`    - ${file}`));
+  console.log(`  Unchanged: ${plan.unchanged.length}`);
+  console.log();
+  console.log('Source files:');
+  stats.uniqueFiles.forEach(file => console.log(`  - ${file}`));
+  console.log();
+  console.log(`Index saved to: ${config.outputPath}`);
+
+  return { status: 'indexed', index, plan, embedded: chunkTexts.length, durationMs: Date.now() - pipelineStartTime };
+}
@@ -0,0 +1,125 @@
+/**
+ * reranker.js - Cross-encoder re-ranking of retrieved chunks using Transformers.js
+ * Uses local model 'Xenova/ms-marco-MiniLM-L-6-v2'
+ */
+
+// Model configuration
+const RERANK_MODEL_NAME = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+// Default minimum re-ranker relevance (0.0 - 1.0)
+const DEFAULT_RERANK_THRESHOLD = 0.1;
+
+// Number of (query, chunk) pairs scored per model call
+const RERANK_BATCH_SIZE = 16;
+
+// Singleton for the tokenizer and model
+let reranker = null;
+
+/**
+ * Initializes the cross-encoder (singleton)
+ * @returns {Promise<{tokenizer: Object, model: Object}>} - Loaded tokenizer and model
+ */
+async function getReranker() {
+  if (!reranker) {
+    console.log(`Loading re-ranking model: ${RERANK_MODEL_NAME}`);
+    console.log('This may take a moment on first run (downloading model)...');
+
+    const startTime = Date.now();
+    const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+    const [tokenizer, model] = await Promise.all([
+      AutoTokenizer.from_pretrained(RERANK_MODEL_NAME),
+      AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL_NAME)
+    ]);
+    reranker = { tokenizer, model };
+    const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    console.log(`Model loaded in ${loadTime}s`);
+  }
+  return reranker;
+}
+
+/**
+ * Scores (query, passage) pairs with the cross-encoder
+ * @param {string} query - Query text
+ * @param {string[]} passages - Passages to score
+ * @returns {Promise<number[]>} - Relevance per passage (0 to 1)
+ */
+export async function scorePairs(query, passages) {
+  if (passages.length === 0) {
+    return [];
+  }
+
+  const { tokenizer, model } = await getReranker();
+  const scores = [];
+
+  for (let start = 0; start < passages.length; start += RERANK_BATCH_SIZE) {
+    const batch = passages.slice(start, start + RERANK_BATCH_SIZE);
+    const inputs = tokenizer(new Array(batch.length).fill(query), {
+      text_pair: batch,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+
+    // One logit per pair; the sigmoid maps it to a 0-1 relevance
+    for (const logit of logits.data) {
+      scores.push(1 / (1 + Math.exp(-logit)));
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Re-ranks search results with the cross-encoder
+ * @param {string} query - Query text
+ * @param {Array<{content: string, score: number}>} results - Retrieved candidates
+ * @param {Object} options - Re-ranking options
+ * @param {number} options.topK - Number of results to keep (default: 5)
+ * @param {number} options.threshold - Minimum re-ranker relevance (default: 0.1)
+ * @returns {Promise<{results: Array, stats: Object}>} - Re-ranked results (score is the
+ *   re-ranker relevance, retrievalScore the original score) and re-ranking stats
+ */
+export async function rerankResults(query, results, options = {}) {
+  const { topK = 5, threshold = DEFAULT_RERANK_THRESHOLD } = options;
+  const startTime = Date.now();
+
+  const scores = await scorePairs(query, results.map(r => r.content));
+
+  const ranked = results
+    .map((result, i) => ({ result, retrievalRank: i + 1, score: scores[i] }))
+    .sort((a, b) => b.score - a.score);
+
+  const reranked = ranked.map(({ result, score }) => ({ ...result, retrievalScore: result.score, score }));
+  const topResults = reranked.slice(0, topK);
+  const passed = topResults.filter(r => r.score >= threshold);
+
+  const stats = {
+    model: RERANK_MODEL_NAME,
+    candidates: results.length,
+    topK: topResults.length,
+    filtered: topResults.length - passed.length,
+    passed: passed.length,
+    threshold,
+    durationMs: Date.now() - startTime,
+    scores: ranked.map(({ result, retrievalRank, score }, rank) => ({
+      id: result.id,
+      rank: rank + 1,
+      retrievalRank,
+      retrievalScore: result.score,
+      rerankScore: score
+    }))
+  };
+
+  return { results: passed, stats };
+}
+
+/**
+ * Returns the re-ranking model name
+ * @returns {string}
+ */
+export function getRerankModelName() {
+  return RERANK_MODEL_NAME;
+}
+
+export { DEFAULT_RERANK_THRESHOLD };
@@ -1,12 +1,39 @@
 /**
  * searcher.js - Module for searching similar documents in the index
- * Includes relevance filtering by similarity threshold
+ * Includes relevance filtering by similarity threshold and
+ * semantic, lexical (BM25) and hybrid retrieval modes
  */
 
+import { scoreVector, vectorNorm } from './vectors.js';
+import { searchHnswGraph } from './hnsw.js';
+import { buildLexicalIndex, searchLexical } from './lexical.js';
+import { compileFilter, formatFilter, parseFilter } from './filter.js';
+import { rerankResults } from './reranker.js';
+import { assertIndexCompatible, generateEmbedding } from './embedder.js';
+
 // Default similarity threshold (0.0 - 1.0)
 // Documents below this threshold are considered irrelevant
 const DEFAULT_THRESHOLD = 0.3;
 
+// Retrieval modes for text queries
+const SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+
+// Ways of merging semantic and lexical rankings in hybrid mode
+const FUSION_METHODS = ['rrf', 'weighted'];
+
+// Reciprocal rank fusion constant: higher values flatten the rank differences
+const RRF_K = 60;
+
+// Each retriever fetches this many times topK candidates in hybrid mode
+const HYBRID_CANDIDATE_FACTOR = 4;
+
+// The re-ranker scores this many times topK retrieved candidates
+const RERANK_CANDIDATE_FACTOR = 4;
+
+// Below this share of eligible chunks, a filtered search scans the eligible chunks
+// instead of walking the HNSW graph through mostly excluded nodes
+const ANN_MIN_FILTER_SELECTIVITY = 0.1;
+
 /**
  * Calculates cosine similarity between two vectors
  * @param {number[]} vecA - First vector
@@ -38,64 +65,379 @@ export function cosineSimilarity(vecA, vecB) {
 }
 
 /**
- * Searches the index for most similar documents with relevance filtering
+ * Resolves the filter option of a search into a predicate and stats fields
+ * @param {Object} index - The document index
+ * @param {string|Object} filter - Filter expression or object (see filter.js)
+ * @returns {{accept: Function|null, eligible: number[]|null, description: string|null}}
+ */
+function resolveFilter(index, filter) {
+  const accept = compileFilter(filter, index);
+
+  if (!accept) {
+    return { accept: null, eligible: null, description: null };
+  }
+
+  const eligible = [];
+  for (let i = 0; i < index.documents.length; i++) {
+    if (accept(i)) {
+      eligible.push(i);
+    }
+  }
+
+  const description = formatFilter(typeof filter === 'string' ? parseFilter(filter) : filter);
+  return { accept, eligible, description };
+}
+
+/**
+ * Searches the index for most similar documents with relevance filtering.
+ * Indexes with an HNSW graph (index.ann) are searched approximately unless
+ * options.exact is set; all others are scanned exhaustively.
+ * A metadata filter restricts the search to matching chunks before ranking.
  * @param {Object} index - The document index
  * @param {number[]} queryEmbedding - Query embedding vector
  * @param {Object} options - Search options
  * @param {number} options.topK - Number of results to return (default: 5)
  * @param {number} options.threshold - Minimum similarity score (default: 0.3)
+ * @param {number} options.efSearch - HNSW candidate list size (default: from the index)
+ * @param {boolean} options.exact - Force an exhaustive scan (default: false)
+ * @param {string|Object} options.filter - Metadata filter (see filter.js)
  * @returns {Object} - Search results with filtering stats
  */
 export function searchIndex(index, queryEmbedding, options = {}) {
-  const { topK = 5, threshold = DEFAULT_THRESHOLD } = options;
+  const { topK = 5, threshold = DEFAULT_THRESHOLD, exact = false, filter = null } = options;
 
   if (!index || !index.documents || index.documents.length === 0) {
     return { results: [], stats: { total: 0, filtered: 0, passed: 0 } };
   }
 
-  // Calculate similarity for each document
-  const allResults = index.documents.map(doc => ({
-    content: doc.content,
-    source: doc.source,
-    score: cosineSimilarity(queryEmbedding, doc.embedding)
-  }));
+  // Binary indexes are scored directly against their packed (possibly quantized) vectors
+  const store = index.vectors;
+
+  const dimension = index.metadata && index.metadata.embeddingDimension;
+
+  if (dimension && queryEmbedding.length !== dimension) {
+    throw new Error(
+      `Query embedding has ${queryEmbedding.length} dimensions, but the index has ${dimension}`
+    );
+  }
+  if (store && queryEmbedding.length !== store.dimension) {
+    throw new Error('Vectors must have the same length');
+  }
+
+  const total = index.documents.length;
+  const { accept, eligible, description } = resolveFilter(index, filter);
+  const eligibleCount = eligible ? eligible.length : total;
+
+  const useAnn = Boolean(index.ann) && !exact && topK < eligibleCount &&
+    eligibleCount / total >= ANN_MIN_FILTER_SELECTIVITY;
+  let topResults;
+  let scored;
+  let efSearch;
+
+  if (useAnn) {
+    efSearch = Math.max(options.efSearch || index.ann.efSearch, topK);
+    const { results: neighbors, visited } = searchHnswGraph(index.ann, store, queryEmbedding, {
+      k: topK,
+      efSearch,
+      filter: accept
+    });
+
+    topResults = neighbors.map(({ id, score }) => ({
+      id,
+      content: index.documents[id].content,
+      source: index.documents[id].source,
+      score
+    }));
+    scored = visited;
+  } else {
+    let score;
 
-  // Sort by score descending
-  allResults.sort((a, b) => b.score - a.score);
+    if (store) {
+      const queryNorm = vectorNorm(queryEmbedding);
+      score = i => scoreVector(store, i, queryEmbedding, queryNorm);
+    } else {
+      score = i => cosineSimilarity(queryEmbedding, index.documents[i].embedding);
+    }
 
-  // Take top K first
-  const topResults = allResults.slice(0, topK);
+    // Calculate similarity for each document that passes the filter
+    const positions = eligible || index.documents.map((doc, i) => i);
+    const allResults = positions.map(i => ({
+      id: i,
+      content: index.documents[i].content,
+      source: index.documents[i].source,
+      score: score(i)
+    }));
+
+    // Sort by score descending
+    allResults.sort((a, b) => b.score - a.score);
+
+    // Take top K first
+    topResults = allResults.slice(0, topK);
+    scored = allResults.length;
+  }
 
   // Filter by threshold
   const filteredResults = topResults.filter(r => r.score >= threshold);
 
   // Stats for debugging/logging
   const stats = {
-    total: allResults.length,
+    total,
     topK: topResults.length,
     filtered: topResults.length - filteredResults.length,
     passed: filteredResults.length,
     threshold,
     maxScore: topResults.length > 0 ? topResults[0].score : 0,
-    minPassedScore: filteredResults.length > 0 ? filteredResults[filteredResults.length - 1].score : null
+    minPassedScore: filteredResults.length > 0 ? filteredResults[filteredResults.length - 1].score : null,
+    method: useAnn ? 'hnsw' : 'exact',
+    scored
   };
 
+  if (useAnn) {
+    stats.efSearch = efSearch;
+  }
+  if (description !== null) {
+    stats.filter = description;
+    stats.eligible = eligibleCount;
+  }
+
   return { results: filteredResults, stats };
 }
 
 /**
- * Searches the index using a text query with relevance filtering
+ * Returns the BM25 index of an index, building it for indexes created before
+ * lexical search existed
+ * @param {Object} index - The document index
+ * @returns {Object} - Lexical index
+ */
+function getLexicalIndex(index) {
+  if (!index.lexical) {
+    index.lexical = buildLexicalIndex(index.documents.map(doc => doc.content));
+  }
+  return index.lexical;
+}
+
+/**
+ * Searches the index with BM25 keyword scoring.
+ * BM25 scores are unbounded, so the similarity threshold does not apply.
+ * @param {Object} index - The document index
+ * @param {string} query - Text query
+ * @param {Object} options - Search options
+ * @param {number} options.topK - Number of results to return (default: 5)
+ * @param {string|Object} options.filter - Metadata filter (see filter.js)
+ * @returns {{results: Array, stats: Object}}
+ */
+export function searchLexicalIndex(index, query, options = {}) {
+  const { topK = 5, filter = null } = options;
+
+  if (!index || !index.documents || index.documents.length === 0) {
+    return { results: [], stats: { total: 0, filtered: 0, passed: 0 } };
+  }
+
+  const { accept, eligible, description } = resolveFilter(index, filter);
+  const { results: matches, matched } = searchLexical(getLexicalIndex(index), query, { topK, filter: accept });
+
+  const results = matches.map(({ id, score }) => ({
+    id,
+    content: index.documents[id].content,
+    source: index.documents[id].source,
+    score
+  }));
+
+  const stats = {
+    total: index.documents.length,
+    topK: results.length,
+    filtered: 0,
+    passed: results.length,
+    threshold: null,
+    maxScore: results.length > 0 ? results[0].score : 0,
+    minPassedScore: results.length > 0 ? results[results.length - 1].score : null,
+    method: 'bm25',
+    matched
+  };
+
+  if (description !== null) {
+    stats.filter = description;
+    stats.eligible = eligible.length;
+  }
+
+  return { results, stats };
+}
+
+/**
+ * Merges semantic and lexical rankings into one, with scores scaled to 0-1
+ * - rrf: sum of weight / (RRF_K + rank) over the rankings containing a chunk
+ * - weighted: sum of weight * score / best score of each ranking
+ * @param {Array<{id: number, score: number}>} semantic - Semantic results, best first
+ * @param {Array<{id: number, score: number}>} lexical - Lexical results, best first
+ * @param {Object} options - Fusion options
+ * @param {string} options.fusion - 'rrf' or 'weighted'
+ * @param {number} options.semanticWeight - Weight of the semantic ranking (0-1)
+ * @returns {Array<{id: number, score: number, scores: Object}>} - Fused results, best first
+ */
+function fuseRankings(semantic, lexical, options) {
+  const { fusion, semanticWeight } = options;
+  const rankings = [
+    { name: 'semantic', results: semantic, weight: semanticWeight },
+    { name: 'lexical', results: lexical, weight: 1 - semanticWeight }
+  ];
+  const fused = new Map();
+
+  for (const { name, results, weight } of rankings) {
+    const bestScore = results.length > 0 ? results[0].score : 0;
+
+    results.forEach((result, rank) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, { id: result.id, score: 0, scores: {} });
+      }
+
+      const entry = fused.get(result.id);
+      entry.scores[name] = result.score;
+
+      if (fusion === 'rrf') {
+        // Scaled so that ranking first everywhere gives 1
+        entry.score += weight * (RRF_K + 1) / (RRF_K + rank + 1);
+      } else {
+        entry.score += bestScore > 0 ? weight * Math.max(0, result.score) / bestScore : 0;
+      }
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score || a.id - b.id);
+}
+
+/**
+ * Retrieves chunks for a text query with the selected retrieval mode
+ * @param {Object} index - The document index
+ * @param {string} query - Text query
+ * @param {Function} embedFn - Function to generate embedding for query
+ * @param {Object} options - Search options (see searchByText)
+ * @returns {Promise<{results: Array, stats: Object}>}
+ */
+async function retrieve(index, query, embedFn, options = {}) {
+  const { topK = 5, mode = 'semantic', fusion = 'rrf', semanticWeight = 0.5 } = options;
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode: ${mode} (expected ${SEARCH_MODES.join(', ')})`);
+  }
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new Error(`Unknown fusion method: ${fusion} (expected ${FUSION_METHODS.join(', ')})`);
+  }
+
+  if (mode === 'lexical') {
+    const { results, stats } = searchLexicalIndex(index, query, { topK, filter: options.filter });
+    return { results, stats: { ...stats, mode } };
+  }
+
+  // Query vectors from another model would produce meaningless similarities. The configured
+  // settings only describe generateEmbedding; custom embedding functions are the caller's concern.
+  if (embedFn === generateEmbedding) {
+    assertIndexCompatible(index.metadata);
+  }
+  const queryEmbedding = await embedFn(query);
+
+  if (mode === 'semantic') {
+    const { results, stats } = searchIndex(index, queryEmbedding, options);
+    return { results, stats: { ...stats, mode } };
+  }
+
+  // Hybrid: over-fetch from both retrievers, then fuse
+  const candidates = topK * HYBRID_CANDIDATE_FACTOR;
+  const semantic = searchIndex(index, queryEmbedding, { ...options, topK: candidates });
+  const lexical = searchLexicalIndex(index, query, { topK: candidates, filter: options.filter });
+
+  const fused = fuseRankings(semantic.results, lexical.results, { fusion, semanticWeight })
+    .slice(0, topK);
+
+  const results = fused.map(({ id, score, scores }) => ({
+    id,
+    content: index.documents[id].content,
+    source: index.documents[id].source,
+    score,
+    scores
+  }));
+
+  const fromSemantic = results.filter(r => r.scores.semantic !== undefined).length;
+  const fromLexical = results.filter(r => r.scores.lexical !== undefined).length;
+  const fromBoth = results.filter(r => r.scores.semantic !== undefined && r.scores.lexical !== undefined).length;
+
+  const stats = {
+    ...semantic.stats,
+    topK: results.length,
+    // The threshold only cuts semantic candidates (retrievers.semantic.filtered), never fused results
+    filtered: 0,
+    passed: results.length,
+    maxScore: results.length > 0 ? results[0].score : 0,
+    minPassedScore: results.length > 0 ? results[results.length - 1].score : null,
+    mode,
+    fusion,
+    semanticWeight,
+    retrievers: {
+      semantic: {
+        method: semantic.stats.method,
+        candidates: semantic.results.length,
+        filtered: semantic.stats.filtered,
+        contributed: fromSemantic,
+        only: fromSemantic - fromBoth
+      },
+      lexical: {
+        method: lexical.stats.method,
+        candidates: lexical.results.length,
+        matched: lexical.stats.matched,
+        contributed: fromLexical,
+        only: fromLexical - fromBoth
+      },
+      both: fromBoth
+    }
+  };
+
+  return { results, stats };
+}
+
+/**
+ * Searches the index using a text query with relevance filtering,
+ * optionally re-ranking the candidates with a cross-encoder
  * @param {Object} index - The document index
  * @param {string} query - Text query
  * @param {Function} embedFn - Function to generate embedding for query
  * @param {Object} options - Search options
  * @param {number} options.topK - Number of results to return (default: 5)
  * @param {number} options.threshold - Minimum similarity score (default: 0.3)
+ * @param {number} options.efSearch - HNSW candidate list size (default: from the index)
+ * @param {boolean} options.exact - Force an exhaustive scan (default: false)
+ * @param {string} options.mode - 'semantic' (default), 'lexical' or 'hybrid'
+ * @param {string} options.fusion - Hybrid merging: 'rrf' (default) or 'weighted'
+ * @param {number} options.semanticWeight - Share of the semantic ranking in hybrid mode (default: 0.5)
+ * @param {string|Object} options.filter - Metadata filter (see filter.js)
+ * @param {boolean|Object} options.rerank - Re-rank candidates with the cross-encoder (default: false);
+ *   an object may set candidates (default: 4 * topK) and threshold (minimum re-ranker relevance)
+ * @param {number} options.rerankThreshold - Minimum re-ranker relevance when rerank does not set one (default: 0.1)
  * @returns {Promise<{results: Array, stats: Object}>}
  */
 export async function searchByText(index, query, embedFn, options = {}) {
-  const queryEmbedding = await embedFn(query);
-  return searchIndex(index, queryEmbedding, options);
+  const { topK = 5, rerank = false, rerankThreshold } = options;
+
+  if (!rerank) {
+    return retrieve(index, query, embedFn, options);
+  }
+
+  const { candidates = topK * RERANK_CANDIDATE_FACTOR, threshold = rerankThreshold } = rerank === true ? {} : rerank;
+
+  // Candidates are not cut by the retrieval threshold: the re-ranker decides relevance
+  const retrieval = await retrieve(index, query, embedFn, { ...options, topK: candidates, threshold: 0 });
+  const { results, stats: rerankStats } = await rerankResults(query, retrieval.results, { topK, threshold });
+
+  const stats = {
+    ...retrieval.stats,
+    topK: rerankStats.topK,
+    filtered: rerankStats.filtered,
+    passed: rerankStats.passed,
+    threshold: rerankStats.threshold,
+    maxScore: results.length > 0 ? results[0].score : 0,
+    minPassedScore: results.length > 0 ? results[results.length - 1].score : null,
+    rerank: rerankStats
+  };
+
+  return { results, stats };
 }
 
-export { DEFAULT_THRESHOLD };
+export { DEFAULT_THRESHOLD, SEARCH_MODES, FUSION_METHODS };
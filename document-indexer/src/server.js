@@ -0,0 +1,544 @@
+/**
+ * server.js - HTTP API for search, question answering and indexing
+ *
+ * Endpoints:
+ * - POST /search   { query, topK, threshold, mode, fusion, semanticWeight, filter, rerank, rerankThreshold, efSearch, exact }
+ *                  -> { results, stats }
+ * - POST /ask      { question, history, condense, ...search options, neighbors, diversity, budget, budgetUnit }
+ *                  -> Server-Sent Events: 'token' events, then 'done' (or 'error')
+ * - GET  /stats    -> index statistics
+ * - POST /reindex  { full } -> runs the indexing pipeline and reloads the index
+ *
+ * Omitted search and context options default to the project configuration (see config.js).
+ * Errors are returned as JSON: { error: { status, message } }
+ *
+ * Usage: node src/server.js [--port 3000] [--host 127.0.0.1]
+ */
+
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadConfig } from './config.js';
+import { runPipeline } from './pipeline.js';
+import { loadIndex, getIndexStats } from './indexer.js';
+import { generateEmbedding, useIndexEmbedding, configureEmbeddingCache } from './embedder.js';
+import { searchByText, SEARCH_MODES, FUSION_METHODS } from './searcher.js';
+import { answerWithRAG } from './agent.js';
+import { splitCitedResults } from './citations.js';
+import { configureLLM } from './openai-client.js';
+import { fitHistory } from './memory.js';
+import { parseFilter } from './filter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Server defaults (PORT and HOST environment variables override them)
+const SERVER_DEFAULTS = {
+  port: 3000,
+  host: '127.0.0.1'
+};
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Server state
+let config = null;
+let index = null;
+
+// A running /reindex (a promise settled when it is done) and the searches in flight.
+// The pipeline reconfigures the shared embedder, so the two never overlap.
+let reindexing = null;
+let activeQueries = 0;
+let onQueriesDone = null;
+
+/**
+ * Creates an error that is sent to the client with the given HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+/**
+ * Sends a JSON error response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ */
+function sendError(res, status, message, headers = {}) {
+  sendJson(res, status, { error: { status, message } }, headers);
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body ({} if empty)
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf-8').trim();
+  if (!text) {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Checks request fields against a schema and returns the known fields
+ * @param {Object} body - Request body
+ * @param {Object<string, {type: string, required?: boolean, min?: number, max?: number, values?: string[], fields?: Object}>} schema
+ *   type is 'string', 'number', 'integer', 'boolean', 'array', 'object' or 'boolean|object';
+ *   fields is the schema of an object value
+ * @param {string} prefix - Path of the body in error messages, e.g. 'rerank.' (default: none)
+ * @returns {Object} - Validated fields
+ */
+function validateBody(body, schema, prefix = '') {
+  const unknown = Object.keys(body).filter(key => !(key in schema));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown field(s): ${unknown.map(key => prefix + key).join(', ')}`);
+  }
+
+  const values = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const key = prefix + name;
+    const value = body[name];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        throw httpError(400, `Missing required field: ${key}`);
+      }
+      continue;
+    }
+
+    const types = rule.type.split('|');
+    const matches = types.some(type => {
+      switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+      }
+    });
+    if (!matches) {
+      throw httpError(400, `Field ${key} must be of type ${rule.type}`);
+    }
+
+    if (rule.required && typeof value === 'string' && !value.trim()) {
+      throw httpError(400, `Field ${key} must not be empty`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      throw httpError(400, `Field ${key} must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      throw httpError(400, `Field ${key} must be at most ${rule.max}`);
+    }
+    if (rule.values && !rule.values.includes(value)) {
+      throw httpError(400, `Field ${key} must be one of: ${rule.values.join(', ')}`);
+    }
+
+    values[name] = rule.fields && typeof value === 'object' ? validateBody(value, rule.fields, `${key}.`) : value;
+  }
+
+  // Filter expressions are parsed here so that syntax errors are client errors
+  if (values.filter !== undefined) {
+    try {
+      values.filter = parseFilter(values.filter);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+
+  return values;
+}
+
+// Fields shared by /search and /ask
+const SEARCH_SCHEMA = {
+  topK: { type: 'integer', min: 1, max: 100 },
+  threshold: { type: 'number', min: 0, max: 1 },
+  mode: { type: 'string', values: SEARCH_MODES },
+  fusion: { type: 'string', values: FUSION_METHODS },
+  semanticWeight: { type: 'number', min: 0, max: 1 },
+  filter: { type: 'string' },
+  rerank: {
+    type: 'boolean|object',
+    fields: {
+      candidates: { type: 'integer', min: 1, max: 1000 },
+      threshold: { type: 'number', min: 0, max: 1 }
+    }
+  },
+  rerankThreshold: { type: 'number', min: 0, max: 1 },
+  efSearch: { type: 'integer', min: 1, max: 10000 },
+  exact: { type: 'boolean' }
+};
+
+const ASK_SCHEMA = {
+  question: { type: 'string', required: true },
+  history: { type: 'array' },
+  condense: { type: 'boolean' },
+  neighbors: { type: 'integer', min: 0, max: 10 },
+  diversity: { type: 'number', min: 0, max: 1 },
+  budget: { type: 'integer', min: 1 },
+  budgetUnit: { type: 'string', values: ['characters', 'tokens'] },
+  ...SEARCH_SCHEMA
+};
+
+/**
+ * Checks the conversation history of an /ask request
+ * @param {Array} history - Messages
+ */
+function validateHistory(history) {
+  for (const message of history) {
+    if (!message || !['user', 'assistant'].includes(message.role) || typeof message.content !== 'string') {
+      throw httpError(400, 'history must be an array of { role: "user" | "assistant", content: string }');
+    }
+  }
+}
+
+/**
+ * Returns the loaded index or fails with 503
+ * @returns {Object} - The document index
+ */
+function requireIndex() {
+  if (!index) {
+    throw httpError(503, 'No index loaded. Run the indexing pipeline (POST /reindex) first.');
+  }
+  return index;
+}
+
+/**
+ * Loads the index from config.outputPath and embeds queries with its model
+ * @returns {Promise<Object>} - The document index
+ */
+async function reloadIndex() {
+  const loaded = await loadIndex(config.outputPath);
+  useIndexEmbedding(loaded.metadata);
+  index = loaded;
+  return index;
+}
+
+/**
+ * Runs a search or answer once no re-indexing is running; /reindex waits for it
+ * @param {Function} fn - Async work that embeds queries
+ * @returns {Promise<*>} - Result of fn
+ */
+async function runQuery(fn) {
+  while (reindexing) {
+    await reindexing;
+  }
+
+  activeQueries++;
+  try {
+    return await fn();
+  } finally {
+    activeQueries--;
+    if (activeQueries === 0 && onQueriesDone) {
+      onQueriesDone();
+      onQueriesDone = null;
+    }
+  }
+}
+
+/**
+ * POST /search
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleSearch(req, res) {
+  const { query, ...options } = validateBody(await readJsonBody(req), {
+    query: { type: 'string', required: true },
+    ...SEARCH_SCHEMA
+  });
+
+  const { results, stats } = await runQuery(() => searchByText(requireIndex(), query, generateEmbedding, {
+    ...config.search,
+    ...options
+  }));
+  sendJson(res, 200, { query, results, stats });
+}
+
+/**
+ * POST /ask - streams the answer as Server-Sent Events
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleAsk(req, res) {
+  const { question, history = [], ...options } = validateBody(await readJsonBody(req), ASK_SCHEMA);
+  validateHistory(history);
+  await runQuery(() => streamAnswer(res, question, history, options));
+}
+
+/**
+ * Streams the answer to an /ask request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} question - User question
+ * @param {Array} history - Previous messages
+ * @param {Object} options - Validated search and context options
+ */
+async function streamAnswer(res, question, history, options) {
+  const currentIndex = requireIndex();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Errors after the headers are sent go into the stream
+  try {
+    const { answer, context, passages, stats, searchQuery, citations } = await answerWithRAG(question, currentIndex, {
+      ...config.search,
+      ...config.context,
+      systemPrompt: config.prompts.rag,
+      condensePrompt: config.prompts.condense,
+      ...options,
+      // Long histories lose their oldest turns, so they cannot crowd out the context
+      history: fitHistory(history, config.memory.maxTokens),
+      onChunk: (text) => send('token', { text })
+    });
+
+    const { cited, uncited } = splitCitedResults(context, citations);
+    const sourceEntry = ({ id, source, score, citations: numbers = [] }) => ({ id, source, score, citations: numbers });
+
+    send('done', {
+      answer,
+      searchQuery,
+      sources: [...cited, ...uncited].map(sourceEntry),
+      passages: passages.map(({ source, score, hits }) => ({ source, score, hits })),
+      citations,
+      stats
+    });
+  } catch (error) {
+    send('error', { status: 500, message: error.message });
+  }
+  res.end();
+}
+
+/**
+ * GET /stats
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleStats(req, res) {
+  const currentIndex = requireIndex();
+  sendJson(res, 200, {
+    ...getIndexStats(currentIndex),
+    embedding: currentIndex.metadata.embedding || null,
+    ann: Boolean(currentIndex.ann),
+    reindexing: Boolean(reindexing)
+  });
+}
+
+/**
+ * POST /reindex - runs the indexing pipeline, then reloads the index.
+ * Waits for the searches in flight; new ones wait until it is done.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleReindex(req, res) {
+  const { full = false } = validateBody(await readJsonBody(req), {
+    full: { type: 'boolean' }
+  });
+
+  if (reindexing) {
+    throw httpError(409, 'Indexing is already running');
+  }
+
+  let finish;
+  reindexing = new Promise(resolve => { finish = resolve; });
+  try {
+    if (activeQueries > 0) {
+      await new Promise(resolve => { onQueriesDone = resolve; });
+    }
+
+    const result = await runPipeline({ ...config, incremental: !full, clearCache: false });
+    if (result.status !== 'empty') {
+      await reloadIndex();
+    }
+
+    sendJson(res, 200, {
+      status: result.status,
+      embedded: result.embedded,
+      totalChunks: index ? index.documents.length : 0,
+      changes: result.plan ? {
+        added: result.plan.added,
+        updated: result.plan.updated,
+        removed: result.plan.removed
+      } : null,
+      durationMs: result.durationMs
+    });
+  } finally {
+    reindexing = null;
+    finish();
+  }
+}
+
+// Routes: path -> method -> handler
+const ROUTES = {
+  '/search': { POST: handleSearch },
+  '/ask': { POST: handleAsk },
+  '/stats': { GET: handleStats },
+  '/reindex': { POST: handleReindex }
+};
+
+/**
+ * Dispatches a request to its route handler
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  let pathname = req.url;
+
+  try {
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch {
+      throw httpError(400, `Invalid request URL: ${req.url}`);
+    }
+
+    const route = ROUTES[pathname];
+    if (!route) {
+      throw httpError(404, `Not found: ${pathname}`);
+    }
+    const handler = route[req.method];
+    if (!handler) {
+      sendError(res, 405, `Method ${req.method} not allowed on ${pathname}`, { Allow: Object.keys(route).join(', ') });
+      return;
+    }
+
+    await handler(req, res);
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error(`${req.method} ${pathname} failed: ${error.message}`);
+    }
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendError(res, status, error.message);
+    }
+  }
+}
+
+/**
+ * Creates the HTTP server (not listening yet)
+ * @param {Object} projectConfig - Project configuration (default: loadConfig())
+ * @returns {http.Server}
+ */
+export function createServer(projectConfig = null) {
+  config = projectConfig || config || loadConfig();
+  configureLLM(config.llm);
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      // Last resort: a failing request must never take the server down
+      console.error(`${req.method} ${req.url} failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendError(res, 500, 'Internal server error');
+      } else {
+        res.end();
+      }
+    });
+  });
+}
+
+/**
+ * Main server function
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string' },
+      host: { type: 'string' }
+    }
+  });
+  const port = Number(values.port || process.env.PORT || SERVER_DEFAULTS.port);
+  const host = values.host || process.env.HOST || SERVER_DEFAULTS.host;
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${values.port || process.env.PORT}`);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Document Indexer API');
+  console.log('='.repeat(60));
+  console.log();
+
+  config = loadConfig();
+  if (config.configFile) {
+    console.log(`Config file: ${config.configFile}`);
+  }
+
+  if (config.embeddingCache.enabled) {
+    const { dir, maxEntries, maxSizeMB } = config.embeddingCache;
+    configureEmbeddingCache({ dir, maxEntries, maxSizeMB });
+  }
+
+  try {
+    await reloadIndex();
+  } catch (error) {
+    console.log(`Note: No index at ${config.outputPath} (${error.message})`);
+    console.log('Search endpoints return 503 until POST /reindex has run.');
+  }
+  console.log();
+
+  const server = createServer(config);
+  server.listen(port, host, () => {
+    console.log(`Listening on http://${host}:${server.address().port}`);
+    console.log('Endpoints: POST /search, POST /ask, GET /stats, POST /reindex');
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,228 @@
+/**
+ * sessions.js - Saved chat sessions and Markdown transcripts
+ *
+ * A session is one JSON file per name in the sessions directory:
+ * { version, name, created, updated, index, settings, memory, messages }
+ * where messages are the conversation turns; assistant turns record the mode,
+ * threshold, the search query and the sources retrieved for them, with the [n]
+ * citations that refer to each source (see citations.js). memory is the state
+ * of the conversation memory (see memory.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { formatSource } from './chunker.js';
+
+// Format version of session files
+const SESSION_VERSION = 1;
+
+// Allowed session names (they become file names)
+const SESSION_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Returns the file path of a named session
+ * @param {string} dir - Sessions directory
+ * @param {string} name - Session name
+ * @returns {string} - Path to the session file
+ */
+export function getSessionPath(dir, name) {
+  if (!SESSION_NAME_PATTERN.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid session name: "${name}" (use letters, digits, ".", "-" and "_")`);
+  }
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Returns a session name from a date, e.g. 'session-2024-01-15-1030'
+ * @param {Date} date - Date (default: now)
+ * @returns {string}
+ */
+export function defaultSessionName(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `session-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * Describes a retrieved source, e.g. 'report.pdf p. 12 (chunk 7) - 81.2% relevance'
+ * @param {{source: Object, score: number, scoreType: string}} entry - Source entry ('bm25' or 'relevance' score)
+ * @returns {string}
+ */
+export function describeSource({ source, score, scoreType }) {
+  const relevance = scoreType === 'bm25'
+    ? `BM25 ${score.toFixed(2)}`
+    : `${(score * 100).toFixed(1)}% relevance`;
+  return `${formatSource(source)} (chunk ${source.chunkIndex}) - ${relevance}`;
+}
+
+/**
+ * Saves a session; an existing session with the same name is replaced
+ * @param {string} dir - Sessions directory
+ * @param {Object} session - Session (name, created, index, settings, memory, messages)
+ * @returns {Promise<string>} - Path of the saved file
+ */
+export async function saveSession(dir, session) {
+  const filePath = getSessionPath(dir, session.name);
+  const data = {
+    version: SESSION_VERSION,
+    name: session.name,
+    created: session.created || new Date().toISOString(),
+    updated: new Date().toISOString(),
+    index: session.index || null,
+    settings: session.settings,
+    memory: session.memory || null,
+    messages: session.messages
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+  await fs.rename(tempPath, filePath);
+
+  return filePath;
+}
+
+/**
+ * Loads a saved session
+ * @param {string} dir - Sessions directory
+ * @param {string} name - Session name
+ * @returns {Promise<Object>} - Session
+ */
+export async function loadSession(dir, name) {
+  const filePath = getSessionPath(dir, name);
+
+  let session;
+  try {
+    session = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Session not found: ${name}`);
+    }
+    throw new Error(`Cannot read session ${filePath}: ${error.message}`);
+  }
+
+  if (session.version !== SESSION_VERSION || !Array.isArray(session.messages) || !session.settings) {
+    throw new Error(`Unsupported session file: ${filePath}`);
+  }
+
+  return session;
+}
+
+/**
+ * Lists saved sessions, most recently updated first
+ * @param {string} dir - Sessions directory
+ * @returns {Promise<Array<{name: string, updated: string, messages: number, ragMode: boolean}>>}
+ */
+export async function listSessions(dir) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const sessions = [];
+  for (const file of files) {
+    try {
+      const session = await loadSession(dir, path.basename(file, '.json'));
+      sessions.push({
+        name: session.name,
+        updated: session.updated,
+        messages: session.messages.length,
+        ragMode: Boolean(session.settings.ragMode)
+      });
+    } catch {
+      // Skip files that are not sessions
+    }
+  }
+
+  return sessions.sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+/**
+ * Formats a threshold for display
+ * @param {number} threshold - Relevance threshold (0-1)
+ * @returns {string}
+ */
+function formatThreshold(threshold) {
+  return threshold > 0 ? `${(threshold * 100).toFixed(0)}%` : 'off';
+}
+
+/**
+ * Formats a session as a readable Markdown transcript
+ * @param {Object} session - Session
+ * @returns {string} - Markdown
+ */
+export function formatTranscript(session) {
+  const { settings, index } = session;
+  const lines = [
+    `# Chat session: ${session.name || 'unsaved'}`,
+    '',
+    `- Started: ${session.created}`,
+    ...(session.updated ? [`- Saved: ${session.updated}`] : []),
+    ...(index ? [`- Index: ${index.path} (${index.totalChunks} chunks, ${index.model})`] : []),
+    `- Mode: ${settings.ragMode ? 'RAG' : 'Direct'}, search: ${settings.searchMode}${settings.rerank ? ' + rerank' : ''}, threshold: ${formatThreshold(settings.threshold)}`,
+    ...(settings.filter ? [`- Filter: \`${settings.filter}\``] : []),
+    ''
+  ];
+
+  let previousQuestion = null;
+  for (const message of session.messages) {
+    lines.push('---', '');
+
+    if (message.role === 'user') {
+      lines.push(`**You:** ${message.content}`, '');
+      previousQuestion = message.content;
+      continue;
+    }
+
+    const mode = message.rag
+      ? `RAG, ${message.searchMode || 'semantic'}, threshold ${formatThreshold(message.threshold)}`
+      : 'Direct';
+    lines.push(`**Assistant** (${mode}):`, '');
+    if (message.searchQuery && message.searchQuery !== previousQuestion) {
+      lines.push(`_Searched for: ${message.searchQuery}_`, '');
+    }
+    lines.push(message.content, '');
+
+    if (message.rag) {
+      const sources = message.sources || [];
+      const cited = sources.filter(entry => entry.citations);
+      const uncited = sources.filter(entry => !entry.citations);
+
+      if (sources.length === 0) {
+        lines.push('_No relevant context found._', '');
+      }
+      if (cited.length > 0) {
+        lines.push('Cited sources:', '');
+        cited.forEach(entry => lines.push(`- ${entry.citations.map(n => `[${n}]`).join('')} ${describeSource(entry)}`));
+        lines.push('');
+      }
+      if (uncited.length > 0) {
+        lines.push(cited.length > 0 ? 'Retrieved but not cited:' : 'Retrieved (none cited):', '');
+        uncited.forEach(entry => lines.push(`- ${describeSource(entry)}`));
+        lines.push('');
+      }
+      if (message.invalidCitations && message.invalidCitations.length > 0) {
+        lines.push(`_Cited without a matching context block: ${message.invalidCitations.map(n => `[${n}]`).join(' ')}_`, '');
+      }
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Writes a Markdown transcript of a session
+ * @param {Object} session - Session
+ * @param {string} filePath - Output file
+ * @returns {Promise<string>} - Absolute path of the written file
+ */
+export async function exportTranscript(session, filePath) {
+  const outputPath = path.resolve(filePath);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, formatTranscript(session), 'utf-8');
+  return outputPath;
+}
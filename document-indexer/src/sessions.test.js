@@ -0,0 +1,127 @@
+/**
+ * sessions.test.js - Saved chat sessions and Markdown transcripts
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  getSessionPath,
+  defaultSessionName,
+  saveSession,
+  loadSession,
+  listSessions,
+  formatTranscript,
+  exportTranscript
+} from './sessions.js';
+
+/**
+ * Runs a test body with a fresh temporary directory
+ * @param {Function} body - Receives the directory path
+ */
+async function withTempDir(body) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-test-'));
+  try {
+    await body(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const session = {
+  name: 'rotation',
+  created: '2024-05-01T10:30:00.000Z',
+  index: { path: 'output/index.json', totalChunks: 42, model: 'Xenova/all-MiniLM-L6-v2' },
+  settings: { ragMode: true, searchMode: 'hybrid', rerank: false, threshold: 0.3, filter: 'ext:md' },
+  memory: { summary: null, summarizedTurns: 0 },
+  messages: [
+    { role: 'user', content: 'How often are keys rotated?' },
+    {
+      role: 'assistant',
+      content: 'Every 90 days [1].',
+      rag: true,
+      searchMode: 'hybrid',
+      threshold: 0.3,
+      searchQuery: 'How often are keys rotated?',
+      sources: [
+        { source: { filename: 'security.md', chunkIndex: 0 }, score: 0.812, scoreType: 'relevance', citations: [1] },
+        { source: { filename: 'report.pdf', chunkIndex: 7, pageStart: 12, pageEnd: 13 }, score: 4.5, scoreType: 'bm25' }
+      ],
+      invalidCitations: [3]
+    },
+    { role: 'user', content: 'And passwords?' },
+    { role: 'assistant', content: 'No context.', rag: true, searchQuery: 'password rotation policy', threshold: 0, sources: [] }
+  ]
+};
+
+test('sessions round-trip through their file', async () => {
+  await withTempDir(async (dir) => {
+    const filePath = await saveSession(path.join(dir, 'sessions'), session);
+    assert.equal(filePath, path.join(dir, 'sessions', 'rotation.json'));
+
+    const loaded = await loadSession(path.join(dir, 'sessions'), 'rotation');
+    assert.equal(loaded.version, 1);
+    assert.equal(loaded.created, session.created);
+    assert.ok(loaded.updated);
+    assert.deepEqual(loaded.messages, session.messages);
+    assert.deepEqual(loaded.settings, session.settings);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'sessions')), ['rotation.json']);
+  });
+});
+
+test('invalid, missing and foreign session files are reported', async () => {
+  assert.throws(() => getSessionPath('/tmp', '../etc/passwd'), /Invalid session name/);
+  assert.throws(() => getSessionPath('/tmp', '.hidden'), /Invalid session name/);
+
+  await withTempDir(async (dir) => {
+    await assert.rejects(loadSession(dir, 'nothing'), /Session not found: nothing/);
+    await fs.writeFile(path.join(dir, 'broken.json'), '{');
+    await assert.rejects(loadSession(dir, 'broken'), /Cannot read session/);
+    await fs.writeFile(path.join(dir, 'other.json'), JSON.stringify({ version: 1, messages: [] }));
+    await assert.rejects(loadSession(dir, 'other'), /Unsupported session file/);
+  });
+});
+
+test('listSessions shows sessions most recently updated first and skips other files', async () => {
+  await withTempDir(async (dir) => {
+    assert.deepEqual(await listSessions(path.join(dir, 'missing')), []);
+
+    await saveSession(dir, { ...session, name: 'older' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await saveSession(dir, { ...session, name: 'newer', settings: { ragMode: false }, messages: [] });
+    await fs.writeFile(path.join(dir, 'notes.json'), '[]');
+
+    const sessions = await listSessions(dir);
+    assert.deepEqual(sessions.map(s => [s.name, s.messages, s.ragMode]), [['newer', 0, false], ['older', 4, true]]);
+  });
+});
+
+test('transcripts show settings, searches, cited and uncited sources', () => {
+  const transcript = formatTranscript(session);
+
+  assert.ok(transcript.startsWith('# Chat session: rotation\n'));
+  assert.ok(transcript.includes('- Mode: RAG, search: hybrid, threshold: 30%'));
+  assert.ok(transcript.includes('- Filter: `ext:md`'));
+  assert.ok(transcript.includes('- [1] security.md (chunk 0) - 81.2% relevance'));
+  assert.ok(transcript.includes('Retrieved but not cited:\n\n- report.pdf p. 12–13 (chunk 7) - BM25 4.50'));
+  assert.ok(transcript.includes('_Cited without a matching context block: [3]_'));
+  // The search query is shown only when it differs from the question
+  assert.equal(transcript.match(/_Searched for:/g).length, 1);
+  assert.ok(transcript.includes('_Searched for: password rotation policy_'));
+  assert.ok(transcript.includes('_No relevant context found._'));
+  assert.ok(transcript.endsWith('\n') && !transcript.endsWith('\n\n'));
+});
+
+test('exportTranscript writes the Markdown file and creates its folder', async () => {
+  await withTempDir(async (dir) => {
+    const outputPath = await exportTranscript(session, path.join(dir, 'out', 'chat.md'));
+    assert.equal(await fs.readFile(outputPath, 'utf-8'), formatTranscript(session));
+  });
+});
+
+test('default session names are derived from the date', () => {
+  assert.equal(defaultSessionName(new Date(2024, 0, 5, 9, 7)), 'session-2024-01-05-0907');
+});
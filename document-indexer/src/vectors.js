@@ -0,0 +1,311 @@
+/**
+ * vectors.js - Packed embedding storage with optional quantization
+ * Vectors are stored row by row in a single typed array:
+ * - float32: exact
+ * - float16: half precision (2 bytes per value)
+ * - int8: symmetric per-vector quantization with a float32 scale per vector
+ */
+
+// Supported storage types and their size per value in bytes
+const VECTOR_DTYPES = {
+  float32: 4,
+  float16: 2,
+  int8: 1
+};
+
+// Shared views for float32 <-> float16 bit conversion
+const floatView = new Float32Array(1);
+const int32View = new Int32Array(floatView.buffer);
+
+// Lookup table of all 65536 float16 values, built on first use
+let float16Table = null;
+
+/**
+ * Converts a number to float16 bits (round to nearest even)
+ * @param {number} value - Value to convert
+ * @returns {number} - 16-bit representation
+ */
+function toFloat16(value) {
+  floatView[0] = value;
+  const x = int32View[0];
+
+  let bits = (x >> 16) & 0x8000;
+  let mantissa = (x >> 12) & 0x07ff;
+  const exponent = (x >> 23) & 0xff;
+
+  // Too small: signed zero
+  if (exponent < 103) {
+    return bits;
+  }
+
+  // Too large, Infinity or NaN
+  if (exponent > 142) {
+    bits |= 0x7c00;
+    bits |= (exponent === 255 && (x & 0x007fffff)) ? 1 : 0;
+    return bits;
+  }
+
+  // Subnormal
+  if (exponent < 113) {
+    mantissa |= 0x0800;
+    bits |= (mantissa >> (114 - exponent)) + ((mantissa >> (113 - exponent)) & 1);
+    return bits;
+  }
+
+  bits |= ((exponent - 112) << 10) | (mantissa >> 1);
+  bits += mantissa & 1;
+  return bits;
+}
+
+/**
+ * Returns the float16 -> float32 lookup table
+ * @returns {Float32Array} - Table indexed by float16 bits
+ */
+function getFloat16Table() {
+  if (!float16Table) {
+    float16Table = new Float32Array(65536);
+    for (let h = 0; h < 65536; h++) {
+      const sign = h & 0x8000 ? -1 : 1;
+      const exponent = (h >> 10) & 0x1f;
+      const fraction = h & 0x03ff;
+
+      if (exponent === 0) {
+        float16Table[h] = sign * Math.pow(2, -14) * (fraction / 1024);
+      } else if (exponent === 31) {
+        float16Table[h] = fraction ? NaN : sign * Infinity;
+      } else {
+        float16Table[h] = sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+      }
+    }
+  }
+  return float16Table;
+}
+
+/**
+ * Computes the norm of every stored vector
+ * @param {Object} store - Vector store
+ * @returns {Float32Array} - Norm per vector
+ */
+function computeNorms(store) {
+  const { count, dimension } = store;
+  const norms = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const vector = getVector(store, i);
+    let sum = 0;
+    for (let j = 0; j < dimension; j++) {
+      sum += vector[j] * vector[j];
+    }
+    norms[i] = Math.sqrt(sum);
+  }
+
+  return norms;
+}
+
+/**
+ * Packs embedding vectors into a single typed array
+ * @param {Array<number[]|Float32Array>} embeddings - Vectors of equal length
+ * @param {string} dtype - 'float32' (default), 'float16' or 'int8'
+ * @returns {{dtype: string, dimension: number, count: number, data: Float32Array|Uint16Array|Int8Array, scales: Float32Array|null, norms: Float32Array}}
+ */
+export function packVectors(embeddings, dtype = 'float32') {
+  if (!VECTOR_DTYPES[dtype]) {
+    throw new Error(`Unknown vector type: ${dtype} (expected ${Object.keys(VECTOR_DTYPES).join(', ')})`);
+  }
+
+  const count = embeddings.length;
+  const dimension = count > 0 ? embeddings[0].length : 0;
+  let data;
+  let scales = null;
+
+  if (dtype === 'float32') {
+    data = new Float32Array(count * dimension);
+    embeddings.forEach((vector, i) => data.set(vector, i * dimension));
+  } else if (dtype === 'float16') {
+    data = new Uint16Array(count * dimension);
+    embeddings.forEach((vector, i) => {
+      for (let j = 0; j < dimension; j++) {
+        data[i * dimension + j] = toFloat16(vector[j]);
+      }
+    });
+  } else {
+    data = new Int8Array(count * dimension);
+    scales = new Float32Array(count);
+    embeddings.forEach((vector, i) => {
+      let maxAbs = 0;
+      for (let j = 0; j < dimension; j++) {
+        maxAbs = Math.max(maxAbs, Math.abs(vector[j]));
+      }
+      const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+      scales[i] = scale;
+      for (let j = 0; j < dimension; j++) {
+        data[i * dimension + j] = Math.round(vector[j] / scale);
+      }
+    });
+  }
+
+  const store = { dtype, dimension, count, data, scales, norms: null };
+  store.norms = computeNorms(store);
+  return store;
+}
+
+/**
+ * Packs vectors like packVectors, but takes some rows over from another store
+ * as stored, so vectors that were quantized before are not quantized again
+ * (int8 would pick a new scale from the dequantized values and drift)
+ * @param {Array<number[]|Float32Array>} embeddings - Vectors of equal length
+ * @param {string} dtype - 'float32', 'float16' or 'int8'
+ * @param {Object} source - Store to copy rows from (ignored unless dtype and dimension match)
+ * @param {number[]} origins - Row in source for each vector, or -1 to pack the given vector
+ * @returns {Object} - Vector store
+ */
+export function packVectorsFrom(embeddings, dtype, source, origins) {
+  const store = packVectors(embeddings, dtype);
+  const { dimension } = store;
+
+  if (source.dtype !== dtype || source.dimension !== dimension) {
+    return store;
+  }
+
+  origins.forEach((origin, i) => {
+    if (origin < 0) return;
+    store.data.set(source.data.subarray(origin * dimension, (origin + 1) * dimension), i * dimension);
+    if (store.scales) {
+      store.scales[i] = source.scales[origin];
+    }
+    store.norms[i] = source.norms[origin];
+  });
+
+  return store;
+}
+
+/**
+ * Returns a stored vector as float32 values
+ * @param {Object} store - Vector store
+ * @param {number} i - Vector position
+ * @returns {Float32Array} - Vector
+ */
+export function getVector(store, i) {
+  const { dtype, dimension, data } = store;
+  const offset = i * dimension;
+
+  if (dtype === 'float32') {
+    return data.subarray(offset, offset + dimension);
+  }
+
+  const vector = new Float32Array(dimension);
+
+  if (dtype === 'float16') {
+    const table = getFloat16Table();
+    for (let j = 0; j < dimension; j++) {
+      vector[j] = table[data[offset + j]];
+    }
+  } else {
+    const scale = store.scales[i];
+    for (let j = 0; j < dimension; j++) {
+      vector[j] = data[offset + j] * scale;
+    }
+  }
+
+  return vector;
+}
+
+/**
+ * Computes cosine similarity between a query and a stored vector
+ * without dequantizing the stored vector first
+ * @param {Object} store - Vector store
+ * @param {number} i - Vector position
+ * @param {number[]|Float32Array} query - Query vector
+ * @param {number} queryNorm - Norm of the query vector
+ * @returns {number} - Cosine similarity (-1 to 1)
+ */
+export function scoreVector(store, i, query, queryNorm) {
+  const { dtype, dimension, data } = store;
+  const offset = i * dimension;
+  let dot = 0;
+
+  if (dtype === 'float16') {
+    const table = getFloat16Table();
+    for (let j = 0; j < dimension; j++) {
+      dot += query[j] * table[data[offset + j]];
+    }
+  } else {
+    for (let j = 0; j < dimension; j++) {
+      dot += query[j] * data[offset + j];
+    }
+    if (dtype === 'int8') {
+      dot *= store.scales[i];
+    }
+  }
+
+  const magnitude = queryNorm * store.norms[i];
+  return magnitude === 0 ? 0 : dot / magnitude;
+}
+
+/**
+ * Computes the norm of a vector
+ * @param {number[]|Float32Array} vector - Vector
+ * @returns {number} - Euclidean norm
+ */
+export function vectorNorm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) {
+    sum += vector[i] * vector[i];
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Serializes a vector store to bytes (vector data, then int8 scales)
+ * @param {Object} store - Vector store
+ * @returns {Buffer} - Serialized vectors
+ */
+export function serializeVectors(store) {
+  const parts = [Buffer.from(store.data.buffer, store.data.byteOffset, store.data.byteLength)];
+  if (store.scales) {
+    parts.push(Buffer.from(store.scales.buffer, store.scales.byteOffset, store.scales.byteLength));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Restores a vector store from bytes written by serializeVectors
+ * @param {Buffer} buffer - Serialized vectors
+ * @param {{dtype: string, dimension: number, count: number}} header - Storage description
+ * @returns {Object} - Vector store
+ */
+export function deserializeVectors(buffer, header) {
+  const { dtype, dimension, count } = header;
+  const bytesPerValue = VECTOR_DTYPES[dtype];
+
+  if (!bytesPerValue) {
+    throw new Error(`Unknown vector type: ${dtype}`);
+  }
+
+  const dataBytes = count * dimension * bytesPerValue;
+  const expectedBytes = dataBytes + (dtype === 'int8' ? count * 4 : 0);
+
+  if (buffer.length !== expectedBytes) {
+    throw new Error(`Vector file size mismatch: expected ${expectedBytes} bytes, got ${buffer.length}`);
+  }
+
+  // Copy into fresh, aligned array buffers
+  const copy = (start, end) => buffer.buffer.slice(buffer.byteOffset + start, buffer.byteOffset + end);
+
+  let data;
+  if (dtype === 'float32') {
+    data = new Float32Array(copy(0, dataBytes));
+  } else if (dtype === 'float16') {
+    data = new Uint16Array(copy(0, dataBytes));
+  } else {
+    data = new Int8Array(copy(0, dataBytes));
+  }
+
+  const scales = dtype === 'int8' ? new Float32Array(copy(dataBytes, expectedBytes)) : null;
+
+  const store = { dtype, dimension, count, data, scales, norms: null };
+  store.norms = computeNorms(store);
+  return store;
+}
+
+export { VECTOR_DTYPES };
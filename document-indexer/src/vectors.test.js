@@ -0,0 +1,83 @@
+/**
+ * vectors.test.js - Packed vector storage and quantization
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  packVectors,
+  packVectorsFrom,
+  getVector,
+  scoreVector,
+  vectorNorm,
+  serializeVectors,
+  deserializeVectors
+} from './vectors.js';
+
+const embeddings = [
+  [0.12, -0.5, 0.33, 0.9],
+  [-0.7, 0.01, 0.2, -0.25],
+  [0, 0, 0, 0]
+];
+
+const cosine = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  const magnitude = vectorNorm(a) * vectorNorm(b);
+  return magnitude === 0 ? 0 : dot / magnitude;
+};
+
+for (const [dtype, tolerance] of [['float32', 1e-6], ['float16', 1e-3], ['int8', 1e-2]]) {
+  test(`${dtype}: vectors and scores stay close to the originals`, () => {
+    const store = packVectors(embeddings, dtype);
+    const query = [0.3, -0.2, 0.1, 0.6];
+
+    assert.equal(store.count, 3);
+    assert.equal(store.dimension, 4);
+    embeddings.forEach((vector, i) => {
+      getVector(store, i).forEach((value, j) => {
+        assert.ok(Math.abs(value - vector[j]) <= tolerance, `${dtype} [${i}][${j}]: ${value} vs ${vector[j]}`);
+      });
+      const score = scoreVector(store, i, query, vectorNorm(query));
+      assert.ok(Math.abs(score - cosine(query, vector)) <= tolerance * 2, `${dtype} score ${i}`);
+    });
+  });
+
+  test(`${dtype}: serialization round-trips byte for byte`, () => {
+    const store = packVectors(embeddings, dtype);
+    const buffer = serializeVectors(store);
+    const restored = deserializeVectors(buffer, { dtype, dimension: 4, count: 3 });
+
+    assert.deepEqual(Array.from(restored.data), Array.from(store.data));
+    assert.deepEqual(restored.scales && Array.from(restored.scales), store.scales && Array.from(store.scales));
+    assert.deepEqual(serializeVectors(restored), buffer);
+  });
+}
+
+test('deserializeVectors rejects a file of the wrong size', () => {
+  const buffer = serializeVectors(packVectors(embeddings, 'int8'));
+  assert.throws(
+    () => deserializeVectors(buffer.subarray(1), { dtype: 'int8', dimension: 4, count: 3 }),
+    /Vector file size mismatch/
+  );
+  assert.throws(() => packVectors(embeddings, 'int4'), /Unknown vector type/);
+});
+
+test('packVectorsFrom copies reused rows as stored instead of quantizing them again', () => {
+  const previous = packVectors(embeddings, 'int8');
+  const dequantized = getVector(previous, 1);
+  const fresh = [0.4, 0.4, -0.1, 0.05];
+
+  const store = packVectorsFrom([fresh, dequantized], 'int8', previous, [-1, 1]);
+
+  assert.deepEqual(Array.from(store.data.subarray(4, 8)), Array.from(previous.data.subarray(4, 8)));
+  assert.equal(store.scales[1], previous.scales[1]);
+  assert.equal(store.norms[1], previous.norms[1]);
+  assert.deepEqual(Array.from(store.data.subarray(0, 4)), Array.from(packVectors([fresh], 'int8').data));
+
+  // A store of another type cannot be copied from
+  const mixed = packVectorsFrom([fresh, dequantized], 'float16', previous, [-1, 1]);
+  assert.equal(mixed.dtype, 'float16');
+  assert.equal(mixed.scales, null);
+});
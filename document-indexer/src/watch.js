@@ -0,0 +1,167 @@
+/**
+ * watch.js - Keeping the index in sync with the documents folder
+ *
+ * watchDocuments watches the documents folder and calls back after a burst of
+ * changes has settled (debounceMs without new events), e.g. to run the pipeline,
+ * which then re-embeds only the files that changed. Changes that arrive during a
+ * run are collected and handled by one more run afterwards.
+ *
+ * watchIndexFile polls an index file, so a running chat can reload the index
+ * when the pipeline rewrites it. saveIndex replaces the index file last and
+ * atomically, so a change to it means the new index is complete.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getSupportedExtensions } from './loader.js';
+import { isExcludedPath } from './glob.js';
+
+// Default watch settings
+const WATCH_DEFAULTS = {
+  debounceMs: 500,        // Quiet time after the last change before re-indexing
+  pollIntervalMs: 1000    // How often a chat checks the index file for changes
+};
+
+/**
+ * Checks whether a changed path can affect the index
+ * @param {string} relativePath - Path relative to the documents folder, with forward slashes
+ * @param {Object} options - Relevance options
+ * @param {string[]} options.extensions - Supported extensions
+ * @param {string[]} options.exclude - Glob patterns of skipped files
+ * @param {string[]} options.ignoredDirs - Folders whose changes never matter (e.g. the index folder)
+ * @returns {boolean}
+ */
+function isRelevantChange(relativePath, { extensions, exclude, ignoredDirs }) {
+  const name = path.posix.basename(relativePath);
+  const ext = path.posix.extname(name).toLowerCase();
+
+  if (ignoredDirs.some(dir => relativePath === dir || relativePath.startsWith(`${dir}/`))) {
+    return false;
+  }
+  if (name === '.indexignore') {
+    return true;
+  }
+  if (isExcludedPath(relativePath, exclude)) {
+    return false;
+  }
+  // Editor swap and backup files (.notes.md.swp, notes.md~) have unsupported extensions;
+  // paths without an extension may be folders that were renamed or deleted
+  return ext === '' || extensions.includes(ext);
+}
+
+/**
+ * Watches the documents folder and calls back after changes settle
+ * @param {Object} config - Project configuration (see config.js)
+ * @param {Function} onChange - Async callback, receives the changed paths (relative to the documents folder)
+ * @param {Object} options - Watch options
+ * @param {number} options.debounceMs - Quiet time before calling back (default: config.watch.debounceMs)
+ * @returns {{close: Function}} - Watcher; close() stops watching
+ */
+export function watchDocuments(config, onChange, options = {}) {
+  const { debounceMs = config.watch.debounceMs } = options;
+  const documentsDir = path.resolve(config.documentsDir);
+
+  // The index, its cache, sessions and reports may live inside the documents folder
+  const ignoredDirs = [
+    path.dirname(config.outputPath),
+    config.embeddingCache.dir,
+    config.sessionsDir,
+    config.eval.reportDir
+  ]
+    .filter(Boolean)
+    .map(dir => path.relative(documentsDir, path.resolve(dir)))
+    .filter(dir => dir !== '' && !dir.startsWith('..') && !path.isAbsolute(dir))
+    .map(dir => dir.split(path.sep).join('/'));
+
+  const relevance = {
+    extensions: getSupportedExtensions(),
+    exclude: config.exclude || [],
+    ignoredDirs
+  };
+
+  const changed = new Set();
+  let timer = null;
+  let running = false;
+  let closed = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const flush = async () => {
+    timer = null;
+    const files = [...changed].sort();
+    changed.clear();
+    running = true;
+
+    console.log(`\nDetected ${files.length} change(s): ${files.join(', ')}`);
+    try {
+      await onChange(files);
+    } catch (error) {
+      console.error(`\nError during indexing: ${error.message}`);
+    }
+
+    running = false;
+    if (closed) return;
+    if (changed.size > 0) {
+      schedule();
+    } else {
+      console.log(`\nWatching ${documentsDir} for changes (Ctrl+C to stop)...`);
+    }
+  };
+
+  const watcher = fs.watch(documentsDir, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const relativePath = filename.toString().split(path.sep).join('/');
+    if (!isRelevantChange(relativePath, relevance)) return;
+
+    changed.add(relativePath);
+    // A run in progress picks the changes up when it is done
+    if (!running) {
+      schedule();
+    }
+  });
+
+  watcher.on('error', (error) => {
+    console.error(`\nStopped watching ${documentsDir}: ${error.message}`);
+  });
+
+  console.log(`\nWatching ${documentsDir} for changes (Ctrl+C to stop)...`);
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+/**
+ * Calls back whenever an index file is replaced
+ * @param {string} indexPath - Index file (it may not exist yet)
+ * @param {Function} onChange - Callback
+ * @param {Object} options - Watch options
+ * @param {number} options.pollIntervalMs - Polling interval (default: 1000)
+ * @returns {{close: Function}} - Watcher; close() stops watching
+ */
+export function watchIndexFile(indexPath, onChange, options = {}) {
+  const { pollIntervalMs = WATCH_DEFAULTS.pollIntervalMs } = options;
+
+  // Polling survives the file being replaced by a rename, unlike fs.watch
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs && current.mtimeMs > 0) {
+      onChange();
+    }
+  };
+  fs.watchFile(indexPath, { interval: pollIntervalMs }, listener).unref();
+
+  return {
+    close() {
+      fs.unwatchFile(indexPath, listener);
+    }
+  };
+}
+
+export { WATCH_DEFAULTS };